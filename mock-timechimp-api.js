@@ -0,0 +1,653 @@
+#!/usr/bin/env node
+
+import http from 'http';
+import { pathToFileURL } from 'url';
+import { realpathSync } from 'fs';
+
+/**
+ * Seed data for the mock API: a small agency with customers, projects, people and a few weeks of
+ * registered time, expenses and mileage in October 2026
+ */
+function seedData() {
+  return {
+    customers: [
+      { id: 1, name: 'Acme Corporation', active: true, relationId: 'C-001', email: 'finance@acme.example', phone: '+31 20 123 4567', hourlyRate: 95, mileageRate: 0.23, paymentPeriod: 30, prospect: false, vatRate: { id: 1 }, tags: [{ id: 1 }], contacts: [{ id: 1 }] },
+      { id: 2, name: 'Globex', active: true, relationId: 'C-002', email: 'ap@globex.example', hourlyRate: 110, mileageRate: 0.23, paymentPeriod: 14, prospect: false, tags: [], contacts: [{ id: 2 }] },
+      { id: 3, name: 'Initech', active: false, relationId: 'C-003', email: 'office@initech.example', hourlyRate: 85, paymentPeriod: 30, prospect: true, tags: [], contacts: [{ id: 3 }] },
+    ],
+    contacts: [
+      { id: 1, name: 'Jane Doe', jobTitle: 'CFO', email: 'jane@acme.example', phone: '+31 6 1234 5678', useForInvoicing: true, active: true, customers: [{ id: 1 }] },
+      { id: 2, name: 'Hank Scorpio', jobTitle: 'CEO', email: 'hank@globex.example', useForInvoicing: false, active: true, customers: [{ id: 2 }] },
+      { id: 3, name: 'Bill Lumbergh', jobTitle: 'Division VP', email: 'bill@initech.example', useForInvoicing: true, active: false, customers: [{ id: 3 }] },
+    ],
+    users: [
+      { id: 1, userName: 'sam@agency.example', displayName: 'Sam Admin', language: 'en', role: 'Admin', active: true },
+      { id: 2, userName: 'alex@agency.example', displayName: 'Alex Developer', language: 'en', role: 'User', active: true },
+      { id: 3, userName: 'robin@agency.example', displayName: 'Robin Designer', language: 'nl', role: 'User', active: true },
+    ],
+    tasks: [
+      { id: 1, name: 'Development', code: 'DEV', active: true, billable: true, hourlyRate: 100 },
+      { id: 2, name: 'Design', code: 'DES', active: true, billable: true, hourlyRate: 90 },
+      { id: 3, name: 'Project management', code: 'PM', active: true, billable: true, hourlyRate: 110 },
+      { id: 4, name: 'Internal meeting', code: 'INT', active: true, billable: false, hourlyRate: 0 },
+    ],
+    tags: [
+      { id: 1, name: 'Priority', active: true, type: 'Customer' },
+      { id: 2, name: 'Fixed price', active: true, type: 'Project' },
+      { id: 3, name: 'Overtime', active: true, type: 'Time' },
+    ],
+    projects: [
+      {
+        id: 1, name: 'Website Redesign', code: 'ACME-WEB', active: true, color: '#3366ff', notes: 'New marketing website',
+        startDate: '2026-09-01', endDate: '2026-12-31', customer: { id: 1 }, tags: [{ id: 2 }], managers: [{ id: 1 }],
+        invoicing: { method: 'TaskHourlyRate' }, budget: { method: 'TotalHours', hours: 200, notificationPercentage: 80 },
+        projectTasks: [{ id: 1, task: { id: 1 }, billable: true, hourlyRate: 100 }, { id: 2, task: { id: 2 }, billable: true, hourlyRate: 90 }],
+        projectUsers: [{ id: 1, user: { id: 2 } }, { id: 2, user: { id: 3 } }],
+      },
+      {
+        id: 2, name: 'Mobile App', code: 'GLOBEX-APP', active: true, color: '#33cc66', notes: null,
+        startDate: '2026-10-01', endDate: null, customer: { id: 2 }, tags: [], managers: [{ id: 1 }],
+        invoicing: { method: 'ProjectHourlyRate', hourlyRate: 120 }, budget: { method: 'TotalFee', fee: 25000, notificationPercentage: 90 },
+        projectTasks: [{ id: 3, task: { id: 1 }, billable: true, hourlyRate: 120 }, { id: 4, task: { id: 3 }, billable: true, hourlyRate: 120 }],
+        projectUsers: [{ id: 3, user: { id: 1 } }, { id: 4, user: { id: 2 } }],
+      },
+      {
+        id: 3, name: 'Internal', code: 'INT', active: true, color: '#999999', notes: 'Non-billable internal work',
+        startDate: '2026-01-01', endDate: null, customer: null, tags: [], managers: [{ id: 1 }],
+        invoicing: { method: 'NoInvoicing' }, budget: { method: 'NoBudget' },
+        projectTasks: [{ id: 5, task: { id: 4 }, billable: false, hourlyRate: 0 }],
+        projectUsers: [{ id: 5, user: { id: 1 } }, { id: 6, user: { id: 2 } }, { id: 7, user: { id: 3 } }],
+      },
+    ],
+    times: [
+      { id: 1, date: '2026-10-12', start: '2026-10-12T09:00:00Z', end: '2026-10-12T13:00:00Z', hours: 4, notes: 'Homepage layout', billable: true, status: 'Approved', clientStatus: 'Open', user: { id: 2 }, project: { id: 1 }, task: { id: 1 }, customer: { id: 1 }, tags: [] },
+      { id: 2, date: '2026-10-12', start: '2026-10-12T13:30:00Z', end: '2026-10-12T17:00:00Z', hours: 3.5, notes: 'Style guide', billable: true, status: 'Approved', clientStatus: 'Open', user: { id: 3 }, project: { id: 1 }, task: { id: 2 }, customer: { id: 1 }, tags: [] },
+      { id: 3, date: '2026-10-13', start: '2026-10-13T09:00:00Z', end: '2026-10-13T10:00:00Z', hours: 1, notes: 'Weekly stand-up', billable: false, status: 'Approved', clientStatus: 'Open', user: { id: 1 }, project: { id: 3 }, task: { id: 4 }, customer: null, tags: [] },
+      { id: 4, date: '2026-10-13', start: '2026-10-13T10:00:00Z', end: '2026-10-13T16:00:00Z', hours: 6, notes: 'API integration', billable: true, status: 'PendingApproval', clientStatus: 'Open', user: { id: 2 }, project: { id: 2 }, task: { id: 1 }, customer: { id: 2 }, tags: [] },
+      { id: 5, date: '2026-10-14', start: '2026-10-14T09:00:00Z', end: '2026-10-14T11:00:00Z', hours: 2, notes: 'Sprint planning', billable: true, status: 'PendingApproval', clientStatus: 'Open', user: { id: 1 }, project: { id: 2 }, task: { id: 3 }, customer: { id: 2 }, tags: [] },
+      { id: 6, date: '2026-10-15', start: '2026-10-15T09:00:00Z', end: '2026-10-15T17:00:00Z', hours: 8, notes: 'Product pages', billable: true, status: 'Open', clientStatus: 'Open', user: { id: 2 }, project: { id: 1 }, task: { id: 1 }, customer: { id: 1 }, tags: [{ id: 3 }] },
+      { id: 7, date: '2026-10-16', start: '2026-10-16T09:00:00Z', end: '2026-10-16T12:30:00Z', hours: 3.5, notes: 'Icon set', billable: true, status: 'Open', clientStatus: 'Open', user: { id: 3 }, project: { id: 1 }, task: { id: 2 }, customer: { id: 1 }, tags: [] },
+      { id: 8, date: '2026-10-19', start: '2026-10-19T09:00:00Z', end: '2026-10-19T13:00:00Z', hours: 4, notes: 'Push notifications', billable: true, status: 'Open', clientStatus: 'Open', user: { id: 2 }, project: { id: 2 }, task: { id: 1 }, customer: { id: 2 }, tags: [] },
+      { id: 9, date: '2026-10-19', start: '2026-10-19T09:00:00Z', end: '2026-10-19T10:00:00Z', hours: 1, notes: 'Weekly stand-up', billable: false, status: 'Open', clientStatus: 'Open', user: { id: 1 }, project: { id: 3 }, task: { id: 4 }, customer: null, tags: [] },
+    ],
+    expenses: [
+      { id: 1, date: '2026-10-12', notes: 'Stock photos', quantity: 1, rate: 49, billable: true, status: 'Approved', clientStatus: 'Open', customer: { id: 1 }, project: { id: 1 }, product: { id: 1 }, user: { id: 3 }, vatRate: { id: 1 } },
+      { id: 2, date: '2026-10-14', notes: 'Test devices', quantity: 2, rate: 350, billable: true, status: 'PendingApproval', clientStatus: 'Open', customer: { id: 2 }, project: { id: 2 }, product: { id: 2 }, user: { id: 2 }, vatRate: { id: 1 } },
+      { id: 3, date: '2026-10-15', notes: 'Team lunch', quantity: 1, rate: 86.5, billable: false, status: 'PendingApproval', clientStatus: 'Open', customer: null, project: { id: 3 }, product: { id: 3 }, user: { id: 1 }, vatRate: { id: 2 } },
+      { id: 4, date: '2026-10-16', notes: 'Font license', quantity: 1, rate: 120, billable: true, status: 'Open', clientStatus: 'Open', customer: { id: 1 }, project: { id: 1 }, product: { id: 1 }, user: { id: 3 }, vatRate: { id: 1 } },
+    ],
+    mileage: [
+      { id: 1, date: '2026-10-13', fromAddress: 'Herengracht 1, Amsterdam', toAddress: 'Acme HQ, Utrecht', distance: 42, notes: 'Kick-off workshop', billable: true, type: 'Business', status: 'Approved', clientStatus: 'Open', customer: { id: 1 }, project: { id: 1 }, vehicle: { id: 1 }, user: { id: 1 } },
+      { id: 2, date: '2026-10-15', fromAddress: 'Herengracht 1, Amsterdam', toAddress: 'Globex, Rotterdam', distance: 78, notes: 'Sprint review', billable: true, type: 'Business', status: 'PendingApproval', clientStatus: 'Open', customer: { id: 2 }, project: { id: 2 }, vehicle: { id: 2 }, user: { id: 2 } },
+      { id: 3, date: '2026-10-16', fromAddress: 'Home', toAddress: 'Herengracht 1, Amsterdam', distance: 15, notes: null, billable: false, type: 'Commute', status: 'Open', clientStatus: 'Open', customer: null, project: { id: 3 }, vehicle: { id: 1 }, user: { id: 3 } },
+    ],
+    mileageVehicles: [
+      { id: 1, name: 'Company car (Tesla Model 3)', licensePlate: 'AB-123-C', active: true },
+      { id: 2, name: 'Private car', licensePlate: null, active: true },
+    ],
+    invoices: [
+      { id: 1, invoiceNumber: '2026-0041', date: '2026-09-30', dueDate: '2026-10-30', status: 'Sent', customer: { id: 1 }, projects: [{ id: 1 }], amount: 9500, vatAmount: 1995, totalAmount: 11495 },
+      { id: 2, invoiceNumber: '2026-0042', date: '2026-10-01', dueDate: '2026-10-15', status: 'Paid', customer: { id: 2 }, projects: [{ id: 2 }], amount: 4800, vatAmount: 1008, totalAmount: 5808 },
+    ],
+    statusHistory: {
+      times: {
+        1: [{ id: 1, date: '2026-10-12T17:05:00Z', status: 'PendingApproval', message: null, user: { id: 2 } }, { id: 2, date: '2026-10-13T08:30:00Z', status: 'Approved', message: 'Looks good', user: { id: 1 } }],
+        4: [{ id: 3, date: '2026-10-13T16:10:00Z', status: 'PendingApproval', message: null, user: { id: 2 } }],
+      },
+      expenses: {
+        1: [{ id: 4, date: '2026-10-12T18:00:00Z', status: 'Approved', message: null, user: { id: 1 } }],
+      },
+      mileage: {
+        1: [{ id: 5, date: '2026-10-13T18:00:00Z', status: 'Approved', message: null, user: { id: 1 } }],
+      },
+    },
+  };
+}
+
+// Reference properties that $expand replaces with the full entity, and the collection they point to
+const REFERENCES = {
+  customer: 'customers',
+  customers: 'customers',
+  contacts: 'contacts',
+  project: 'projects',
+  projects: 'projects',
+  mainProject: 'projects',
+  subprojects: 'projects',
+  task: 'tasks',
+  user: 'users',
+  managers: 'users',
+  vehicle: 'mileageVehicles',
+  tags: 'tags',
+};
+
+// Collection properties only returned when expanded, like TimeChimp does for project tasks and users
+const EXPAND_ONLY = {
+  projects: ['projectTasks', 'projectUsers'],
+};
+
+// Fields TimeChimp requires when creating or replacing an entity
+const REQUIRED = {
+  projects: ['name'],
+  customers: ['name'],
+  contacts: ['name'],
+  tasks: ['name'],
+  users: ['userName'],
+  times: ['date', 'user', 'project', 'task'],
+  expenses: ['date', 'user', 'project'],
+  mileage: ['date', 'user', 'distance'],
+};
+
+// Collections that can be created, replaced and deleted; invoices, tags and vehicles are read-only
+const WRITABLE = ['projects', 'customers', 'contacts', 'tasks', 'users', 'times', 'expenses', 'mileage'];
+
+// Collections with approval workflows (status, clientStatus and statusHistory), and the property
+// that lists the entries in their status update bodies
+const WORKFLOWS = ['times', 'expenses', 'mileage'];
+const WORKFLOW_ITEMS = { times: 'times', expenses: 'expenses', mileage: 'mileages' };
+
+const STATUSES = ['Open', 'PendingApproval', 'Approved', 'Invoiced', 'WrittenOff', 'Rejected'];
+
+class ODataError extends Error {}
+
+/**
+ * Parse the OData $filter subset the server and its users send: comparisons (eq, ne, gt, ge, lt,
+ * le) between property paths like `project/id` and literals (numbers, 'strings', true, false, null
+ * and unquoted dates), combined with and, or, not and parentheses, plus the contains, startswith
+ * and endswith functions. Returns a predicate for an entity.
+ */
+function parseFilter(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\()|(\))|(,)|'((?:[^']|'')*)'|(\d{4}-\d{2}-\d{2}(?:T[\d:.]+(?:Z|[+-]\d{2}:\d{2})?)?)|(-?\d+(?:\.\d+)?)|([A-Za-z_][\w/.]*))/y;
+  let position = 0;
+  while (position < expression.length) {
+    if (/^\s*$/.test(expression.slice(position))) break;
+    pattern.lastIndex = position;
+    const match = pattern.exec(expression);
+    if (!match) {
+      throw new ODataError(`Unexpected character at position ${position} in $filter`);
+    }
+    position = pattern.lastIndex;
+    if (match[1]) tokens.push({ type: '(' });
+    else if (match[2]) tokens.push({ type: ')' });
+    else if (match[3]) tokens.push({ type: ',' });
+    else if (match[4] !== undefined) tokens.push({ type: 'literal', value: match[4].replace(/''/g, "'") });
+    else if (match[5]) tokens.push({ type: 'literal', value: match[5] });
+    else if (match[6]) tokens.push({ type: 'literal', value: Number(match[6]) });
+    else tokens.push({ type: 'word', value: match[7] });
+  }
+
+  let index = 0;
+  const peek = () => tokens[index];
+  const isWord = (value) => peek() && peek().type === 'word' && peek().value.toLowerCase() === value;
+  const expect = (type) => {
+    if (!peek() || peek().type !== type) {
+      throw new ODataError(`Expected "${type}" in $filter`);
+    }
+    index += 1;
+  };
+
+  const parseValue = () => {
+    const token = peek();
+    if (!token) throw new ODataError('Unexpected end of $filter');
+    index += 1;
+    if (token.type === 'literal') return () => token.value;
+    if (token.type !== 'word') throw new ODataError(`Unexpected "${token.type}" in $filter`);
+
+    const word = token.value.toLowerCase();
+    if (word === 'true') return () => true;
+    if (word === 'false') return () => false;
+    if (word === 'null') return () => null;
+    if (['contains', 'startswith', 'endswith'].includes(word) && peek() && peek().type === '(') {
+      expect('(');
+      const haystack = parseValue();
+      expect(',');
+      const needle = parseValue();
+      expect(')');
+      return (entity) => {
+        const text = String(haystack(entity) ?? '').toLowerCase();
+        const search = String(needle(entity) ?? '').toLowerCase();
+        if (word === 'contains') return text.includes(search);
+        return word === 'startswith' ? text.startsWith(search) : text.endsWith(search);
+      };
+    }
+    return (entity) => readPath(entity, token.value);
+  };
+
+  const comparisons = {
+    eq: (a, b) => a === b,
+    ne: (a, b) => a !== b,
+    gt: (a, b) => a !== null && a > b,
+    ge: (a, b) => a !== null && a >= b,
+    lt: (a, b) => a !== null && a < b,
+    le: (a, b) => a !== null && a <= b,
+  };
+
+  const parseComparison = () => {
+    if (peek() && peek().type === '(') {
+      expect('(');
+      const inner = parseOr();
+      expect(')');
+      return inner;
+    }
+    const left = parseValue();
+    const operator = peek() && peek().type === 'word' ? peek().value.toLowerCase() : null;
+    if (!comparisons[operator]) {
+      return (entity) => left(entity) === true;
+    }
+    index += 1;
+    const right = parseValue();
+    return (entity) => comparisons[operator](normalize(left(entity)), normalize(right(entity)));
+  };
+
+  const parseNot = () => {
+    if (isWord('not')) {
+      index += 1;
+      const operand = parseNot();
+      return (entity) => !operand(entity);
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = () => {
+    let left = parseNot();
+    while (isWord('and')) {
+      index += 1;
+      const [a, b] = [left, parseNot()];
+      left = (entity) => a(entity) && b(entity);
+    }
+    return left;
+  };
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (isWord('or')) {
+      index += 1;
+      const [a, b] = [left, parseAnd()];
+      left = (entity) => a(entity) || b(entity);
+    }
+    return left;
+  };
+
+  const predicate = parseOr();
+  if (index < tokens.length) {
+    throw new ODataError(`Unexpected "${tokens[index].value || tokens[index].type}" in $filter`);
+  }
+  return predicate;
+}
+
+// Missing properties compare as null, like in OData
+function normalize(value) {
+  return value === undefined ? null : value;
+}
+
+function readPath(entity, propertyPath) {
+  return propertyPath.split(/[/.]/).reduce((value, key) => (value == null ? undefined : value[key]), entity);
+}
+
+/**
+ * Sort by an OData $orderby such as "date desc, start" (property paths use / like in $filter)
+ */
+function orderBy(entities, expression) {
+  const keys = expression.split(',').map((part) => {
+    const [propertyPath, direction = 'asc'] = part.trim().split(/\s+/);
+    if (!propertyPath || !['asc', 'desc'].includes(direction.toLowerCase())) {
+      throw new ODataError(`Invalid $orderby "${part.trim()}"`);
+    }
+    return { propertyPath, sign: direction.toLowerCase() === 'desc' ? -1 : 1 };
+  });
+
+  return [...entities].sort((a, b) => {
+    for (const { propertyPath, sign } of keys) {
+      const [x, y] = [normalize(readPath(a, propertyPath)), normalize(readPath(b, propertyPath))];
+      if (x === y) continue;
+      if (x === null) return -sign;
+      if (y === null) return sign;
+      return x < y ? -sign : sign;
+    }
+    return 0;
+  });
+}
+
+/**
+ * An in-process stand-in for the TimeChimp v2 API with seeded data, for running the server and its
+ * tests offline. Point the server at it with TIMECHIMP_BASE_URL. Every request is recorded in
+ * `requests`, `fail()` makes the next matching request return an error and `hold()` keeps the next
+ * matching request waiting.
+ */
+class MockTimechimpApi {
+  constructor(options = {}) {
+    this.apiKey = options.apiKey === undefined ? 'mock-api-key' : options.apiKey;
+    this.seed = options.seed || seedData;
+    this.server = null;
+    this.url = null;
+    this.reset();
+  }
+
+  /**
+   * Restore the seed data and clear the request log, pending failures and holds
+   */
+  reset() {
+    this.data = this.seed();
+    this.requests = [];
+    this.failures = [];
+    this.holds = [];
+  }
+
+  async start(port = 0, host = '127.0.0.1') {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+    this.url = `http://${host}:${this.server.address().port}`;
+    return this.url;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Make the next request matching method and path (a string or RegExp; both optional) fail with
+   * the given status, body and headers instead of being handled
+   */
+  fail({ method = null, path = null, status = 500, body = null, headers = {} } = {}) {
+    this.failures.push({ method, path, status, body, headers });
+  }
+
+  /**
+   * Keep the next request matching method and path waiting until the returned function is called
+   */
+  hold({ method = null, path = null } = {}) {
+    let release;
+    const released = new Promise((resolve) => {
+      release = resolve;
+    });
+    this.holds.push({ method, path, released });
+    return release;
+  }
+
+  matches(candidate, method, pathname) {
+    return (!candidate.method || candidate.method === method)
+      && (!candidate.path || (candidate.path instanceof RegExp ? candidate.path.test(pathname) : candidate.path === pathname));
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+
+    let body = null;
+    try {
+      body = raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      body = raw;
+    }
+
+    const request = {
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      body,
+      headers: req.headers,
+    };
+    this.requests.push(request);
+
+    const send = (status, payload = null, headers = {}) => {
+      const text = payload === null ? '' : (typeof payload === 'string' ? payload : JSON.stringify(payload));
+      res.writeHead(status, { ...(text && { 'Content-Type': 'application/json' }), ...headers });
+      res.end(text);
+    };
+
+    const hold = this.holds.find((candidate) => this.matches(candidate, req.method, url.pathname));
+    if (hold) {
+      this.holds.splice(this.holds.indexOf(hold), 1);
+      await hold.released;
+    }
+
+    const failure = this.failures.find((candidate) => this.matches(candidate, req.method, url.pathname));
+    if (failure) {
+      this.failures.splice(this.failures.indexOf(failure), 1);
+      send(failure.status, failure.body, failure.headers);
+      return;
+    }
+
+    if (this.apiKey !== null && req.headers['api-key'] !== this.apiKey) {
+      send(401, { type: 'https://tools.ietf.org/html/rfc7235#section-3.1', title: 'Unauthorized', status: 401 });
+      return;
+    }
+    if (typeof body === 'string') {
+      send(400, { title: 'The request body is not valid JSON', status: 400 });
+      return;
+    }
+
+    try {
+      const [status, payload] = this.route(req.method, url.pathname.split('/').filter(Boolean), url.searchParams, body);
+      send(status, payload);
+    } catch (error) {
+      if (error instanceof ODataError) {
+        send(400, { title: 'Invalid OData query', status: 400, detail: error.message });
+        return;
+      }
+      send(500, { title: 'Internal Server Error', status: 500, detail: error.message });
+    }
+  }
+
+  route(method, segments, query, body) {
+    const [collection, id, action] = segments;
+    const notFound = [404, { title: 'Not Found', status: 404 }];
+    if (!this.data[collection] || collection === 'statusHistory') return notFound;
+
+    const entities = this.data[collection];
+    const entity = id !== undefined && /^\d+$/.test(id) ? entities.find((item) => item.id === Number(id)) : undefined;
+
+    if (WORKFLOWS.includes(collection) && ['status', 'clientStatus'].includes(id) && !action) {
+      return method === 'PUT' ? this.updateStatus(collection, id, body) : notFound;
+    }
+    if (id === undefined) {
+      if (method === 'GET') return [200, this.list(collection, entities, query)];
+      if (method === 'POST' && WRITABLE.includes(collection)) return this.create(collection, body);
+      return notFound;
+    }
+    if (!entity) return notFound;
+
+    if (action === 'statusHistory' && WORKFLOWS.includes(collection) && method === 'GET') {
+      return [200, this.list(null, this.data.statusHistory[collection][entity.id] || [], query)];
+    }
+    if (action === 'insights' && collection === 'projects' && method === 'GET') {
+      return [200, this.insights(entity)];
+    }
+    if (action !== undefined) return notFound;
+
+    if (method === 'GET') return [200, this.present(collection, entity, query.get('$expand'))];
+    if (method === 'PUT' && WRITABLE.includes(collection)) return this.replace(collection, entity, body);
+    if (method === 'DELETE' && WRITABLE.includes(collection)) {
+      entities.splice(entities.indexOf(entity), 1);
+      return [204, null];
+    }
+    return notFound;
+  }
+
+  /**
+   * Apply $filter, $orderby, $count, $skip, $top and $expand to a collection
+   */
+  list(collection, entities, query) {
+    let result = entities;
+    if (query.get('$filter')) {
+      const predicate = parseFilter(query.get('$filter'));
+      result = result.filter((entity) => predicate(entity));
+    }
+    if (query.get('$orderby')) {
+      result = orderBy(result, query.get('$orderby'));
+    }
+
+    const top = query.has('$top') ? Number(query.get('$top')) : 100;
+    const skip = query.has('$skip') ? Number(query.get('$skip')) : 0;
+    if (!Number.isInteger(top) || top < 1 || top > 10000) throw new ODataError('$top must be between 1 and 10000');
+    if (!Number.isInteger(skip) || skip < 0) throw new ODataError('$skip must be 0 or more');
+
+    return {
+      ...(query.get('$count') === 'true' && { '@odata.count': result.length }),
+      value: result.slice(skip, skip + top).map((entity) => this.present(collection, entity, query.get('$expand'))),
+    };
+  }
+
+  /**
+   * Copy an entity for a response, replacing expanded references with the entities they point to
+   */
+  present(collection, entity, expand) {
+    const expanded = (expand || '').split(',').map((part) => part.trim()).filter(Boolean);
+    const copy = JSON.parse(JSON.stringify(entity));
+
+    for (const property of EXPAND_ONLY[collection] || []) {
+      if (!expanded.includes(property)) delete copy[property];
+    }
+    for (const property of expanded) {
+      const target = REFERENCES[property];
+      if (!target || !copy[property]) continue;
+      const resolve = (reference) => this.data[target].find((item) => item.id === reference.id) || reference;
+      copy[property] = Array.isArray(copy[property]) ? copy[property].map(resolve) : resolve(copy[property]);
+    }
+    return copy;
+  }
+
+  validate(collection, body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return [400, { title: 'The request body must be a JSON object', status: 400 }];
+    }
+
+    const errors = {};
+    for (const field of REQUIRED[collection] || []) {
+      if (body[field] === undefined || body[field] === null || body[field] === '') {
+        const name = field.charAt(0).toUpperCase() + field.slice(1);
+        errors[name] = [`The ${name} field is required.`];
+      }
+    }
+    if (Object.keys(errors).length > 0) {
+      return [422, { title: 'One or more validation errors occurred.', status: 422, errors }];
+    }
+    return null;
+  }
+
+  create(collection, body) {
+    const invalid = this.validate(collection, body);
+    if (invalid) return invalid;
+
+    const entities = this.data[collection];
+    const id = entities.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+    const entity = { id, ...this.defaults(collection, body), ...body };
+    entity.id = id;
+    entities.push(entity);
+    return [201, this.present(collection, entity, (EXPAND_ONLY[collection] || []).join(','))];
+  }
+
+  replace(collection, entity, body) {
+    const invalid = this.validate(collection, body);
+    if (invalid) return invalid;
+
+    const entities = this.data[collection];
+    const replacement = { id: entity.id, ...this.defaults(collection, body), ...body };
+    replacement.id = entity.id;
+    entities[entities.indexOf(entity)] = replacement;
+    return [200, this.present(collection, replacement, (EXPAND_ONLY[collection] || []).join(','))];
+  }
+
+  defaults(collection, body) {
+    if (collection === 'times' && body.hours === undefined && body.start && body.end) {
+      return { hours: Math.round((new Date(body.end) - new Date(body.start)) / 36000) / 100, status: 'Open', clientStatus: 'Open' };
+    }
+    return WORKFLOWS.includes(collection) ? { status: 'Open', clientStatus: 'Open' } : {};
+  }
+
+  /**
+   * PUT /{times|expenses|mileage}/status with { times|expenses|mileages: [{ id }], status, message },
+   * or /clientStatus with clientStatus instead of status
+   */
+  updateStatus(collection, property, body) {
+    const key = WORKFLOW_ITEMS[collection];
+    const items = body && body[key];
+    const value = body && body[property];
+    const errors = {};
+    if (!Array.isArray(items) || items.length === 0) {
+      errors[key] = [`At least one item is required in ${key}.`];
+    } else if (items.length > 100) {
+      errors[key] = ['At most 100 items can be updated at once.'];
+    }
+    if (!STATUSES.includes(value)) {
+      const name = property.charAt(0).toUpperCase() + property.slice(1);
+      errors[name] = [`The ${name} field must be one of ${STATUSES.join(', ')}.`];
+    }
+    if (Object.keys(errors).length > 0) {
+      return [422, { title: 'One or more validation errors occurred.', status: 422, errors }];
+    }
+
+    const entities = items.map((item) => this.data[collection].find((entity) => entity.id === item.id));
+    if (entities.includes(undefined)) {
+      return [404, { title: 'Not Found', status: 404, detail: `Unknown ${collection} ID` }];
+    }
+
+    for (const entity of entities) {
+      entity[property] = value;
+      if (property === 'status') {
+        const history = this.data.statusHistory[collection];
+        const nextId = Math.max(0, ...Object.values(this.data.statusHistory).flatMap((byId) => Object.values(byId).flat().map((entry) => entry.id))) + 1;
+        history[entity.id] = [...(history[entity.id] || []), {
+          id: nextId,
+          date: new Date().toISOString(),
+          status: value,
+          message: body.message || null,
+          user: { id: 1 },
+        }];
+      }
+    }
+    return [204, null];
+  }
+
+  /**
+   * Registered hours, revenue and budget use of a project, computed from its time entries
+   */
+  insights(project) {
+    const times = this.data.times.filter((entry) => entry.project && entry.project.id === project.id);
+    const rates = Object.fromEntries((project.projectTasks || []).map((projectTask) => [projectTask.task.id, projectTask.hourlyRate]));
+    const hours = times.reduce((sum, entry) => sum + entry.hours, 0);
+    const billableHours = times.filter((entry) => entry.billable).reduce((sum, entry) => sum + entry.hours, 0);
+    const revenue = times
+      .filter((entry) => entry.billable)
+      .reduce((sum, entry) => sum + entry.hours * (project.invoicing.hourlyRate || rates[entry.task.id] || 0), 0);
+    const budget = project.budget || {};
+
+    return {
+      projectId: project.id,
+      hours,
+      billableHours,
+      nonBillableHours: hours - billableHours,
+      revenue,
+      expenses: this.data.expenses
+        .filter((expense) => expense.project && expense.project.id === project.id)
+        .reduce((sum, expense) => sum + expense.quantity * expense.rate, 0),
+      budget: {
+        method: budget.method || 'NoBudget',
+        hours: budget.hours || null,
+        fee: budget.fee || null,
+        usedPercentage: budget.hours ? Math.round((hours / budget.hours) * 1000) / 10
+          : (budget.fee ? Math.round((revenue / budget.fee) * 1000) / 10 : null),
+      },
+    };
+  }
+}
+
+export { MockTimechimpApi, parseFilter, seedData };
+
+// Run standalone: node mock-timechimp-api.js
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+  const api = new MockTimechimpApi({ apiKey: process.env.TIMECHIMP_MOCK_API_KEY || 'mock-api-key' });
+  api.start(parseInt(process.env.TIMECHIMP_MOCK_PORT || '4010', 10)).then((url) => {
+    console.error(`Mock TimeChimp API running on ${url} (api-key: ${api.apiKey})`);
+    console.error(`Run the server against it with TIMECHIMP_BASE_URL=${url} TIMECHIMP_API_KEY=${api.apiKey}`);
+  }).catch((error) => {
+    console.error('Failed to start mock TimeChimp API:', error);
+    process.exit(1);
+  });
+}
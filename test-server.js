@@ -1,76 +1,1637 @@
 #!/usr/bin/env node
 
 /**
- * Simple test script for the TimeChimp MCP Server
- * This script tests basic functionality without requiring a real API key
+ * End-to-end tests for the TimeChimp MCP Server.
+ * The server runs over stdio against the mock TimeChimp API (mock-timechimp-api.js), and every
+ * tool call is checked against the exact HTTP requests it sends: method, path, query and body.
  */
 
+import assert from 'assert/strict';
 import { spawn } from 'child_process';
+import { promises as fs } from 'fs';
+import http from 'http';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { fileURLToPath } from 'url';
+import { MockTimechimpApi, seedData } from './mock-timechimp-api.js';
 
-console.log('Testing TimeChimp MCP Server...\n');
+const serverPath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'timechimp-mcp-server.js');
 
-// Set a dummy API key for testing
-process.env.TIMECHIMP_API_KEY = 'test-key-123';
+/**
+ * A minimal MCP client that talks JSON-RPC to the server over its stdin and stdout
+ */
+class McpClient {
+  constructor(env) {
+    this.pending = new Map();
+    this.nextId = 1;
+    this.stderr = '';
+    this.process = spawn('node', [serverPath], { env, stdio: ['pipe', 'pipe', 'pipe'] });
+
+    let buffer = '';
+    this.process.stdout.on('data', (data) => {
+      buffer += data.toString();
+      let newline;
+      while ((newline = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 1);
+        const message = JSON.parse(line);
+        const resolve = this.pending.get(message.id);
+        if (resolve) {
+          this.pending.delete(message.id);
+          resolve(message);
+        }
+      }
+    });
+    this.process.stderr.on('data', (data) => {
+      this.stderr += data.toString();
+    });
+  }
+
+  request(method, params = {}) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`No response to ${method} within 10 seconds. Server output:\n${this.stderr}`));
+      }, 10000);
+      this.pending.set(id, (message) => {
+        clearTimeout(timeout);
+        resolve(message);
+      });
+      this.process.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', id, method, params })}\n`);
+    });
+  }
+
+  async initialize() {
+    const response = await this.request('initialize', {
+      protocolVersion: '2024-11-05',
+      capabilities: {},
+      clientInfo: { name: 'test-server', version: '1.0.0' },
+    });
+    this.process.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' })}\n`);
+    return response.result;
+  }
+
+  async listTools() {
+    return (await this.request('tools/list')).result.tools;
+  }
+
+  /**
+   * Call a tool and return its result, or the JSON-RPC error for protocol-level failures
+   */
+  async callTool(name, args = {}) {
+    const response = await this.request('tools/call', { name, arguments: args });
+    return response.error ? { error: response.error } : response.result;
+  }
+
+  async close() {
+    if (this.process.exitCode !== null) return;
+    const exited = new Promise((resolve) => this.process.once('exit', resolve));
+    this.process.kill();
+    await exited;
+  }
+}
+
+/**
+ * An MCP client for the HTTP transport: it opens an event stream with GET /sse and posts its
+ * messages to the endpoint the server announces on it
+ */
+class SseClient {
+  constructor(url, token) {
+    this.url = url;
+    this.token = token;
+    this.pending = new Map();
+    this.nextId = 1;
+  }
+
+  headers() {
+    return this.token ? { Authorization: `Bearer ${this.token}` } : {};
+  }
+
+  /**
+   * Open the event stream. Resolves with the HTTP status when the server refuses it.
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      this.stream = http.get(`${this.url}/sse`, { headers: this.headers() }, (res) => {
+        if (res.statusCode !== 200) {
+          res.resume();
+          resolve(res.statusCode);
+          return;
+        }
+
+        let buffer = '';
+        res.on('data', (data) => {
+          buffer += data.toString();
+          let end;
+          while ((end = buffer.indexOf('\n\n')) >= 0) {
+            const event = Object.fromEntries(buffer.slice(0, end).split('\n').map((line) => {
+              const colon = line.indexOf(':');
+              return [line.slice(0, colon), line.slice(colon + 1).trim()];
+            }));
+            buffer = buffer.slice(end + 2);
+            if (event.event === 'endpoint') {
+              this.endpoint = event.data;
+              resolve(200);
+            } else {
+              const message = JSON.parse(event.data);
+              const handler = this.pending.get(message.id);
+              if (handler) {
+                this.pending.delete(message.id);
+                handler(message);
+              }
+            }
+          }
+        });
+      });
+      this.stream.on('error', reject);
+    });
+  }
+
+  /**
+   * Post a message to the session and return the HTTP status of the post
+   */
+  async post(message, token = this.token) {
+    const response = await fetch(`${this.url}${this.endpoint}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+      body: JSON.stringify(message),
+    });
+    await response.text();
+    return response.status;
+  }
+
+  async request(method, params = {}) {
+    const id = this.nextId++;
+    const response = new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => reject(new Error(`No response to ${method} within 10 seconds`)), 10000);
+      this.pending.set(id, (message) => {
+        clearTimeout(timeout);
+        resolve(message);
+      });
+    });
+    const status = await this.post({ jsonrpc: '2.0', id, method, params });
+    assert.equal(status, 202);
+    return response;
+  }
+
+  async initialize() {
+    await this.request('initialize', {
+      protocolVersion: '2024-11-05',
+      capabilities: {},
+      clientInfo: { name: 'test-server', version: '1.0.0' },
+    });
+    await this.post({ jsonrpc: '2.0', method: 'notifications/initialized' });
+  }
+
+  async callTool(name, args = {}) {
+    const response = await this.request('tools/call', { name, arguments: args });
+    return response.error ? { error: response.error } : response.result;
+  }
+
+  close() {
+    this.stream.destroy();
+  }
+}
+
+// A port that is free right now, for servers that cannot report the port they were given
+async function freePort() {
+  const server = net.createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+const api = new MockTimechimpApi();
+let stateDir;
+let baseUrl;
+
+/**
+ * Start a server against the mock API. Caching, delete confirmation, the undo journal and retries
+ * are off unless a test turns them on, so each tool call maps to exactly the requests it sends.
+ */
+async function startServer(env = {}) {
+  const inherited = Object.fromEntries(Object.entries(process.env).filter(([key]) => !key.startsWith('TIMECHIMP_')));
+  const client = new McpClient({
+    ...inherited,
+    TIMECHIMP_API_KEY: api.apiKey,
+    TIMECHIMP_BASE_URL: baseUrl,
+    TIMECHIMP_STATE_DIR: stateDir,
+    TIMECHIMP_CACHE: 'false',
+    TIMECHIMP_CONFIRM_DELETES: 'false',
+    TIMECHIMP_UNDO: 'false',
+    TIMECHIMP_MAX_RETRIES: '0',
+    TIMECHIMP_RETRY_BASE_DELAY_MS: '1',
+    TIMECHIMP_TIME_ZONE: 'UTC',
+    TIMECHIMP_RATE_LIMIT_PER_MINUTE: '60000',
+    TIMECHIMP_RATE_LIMIT_BURST: '1000',
+    ...env,
+  });
+  await client.initialize();
+  return client;
+}
+
+// The requests the mock API received since the last reset, without headers
+function sentRequests() {
+  return api.requests.map(({ method, path: requestPath, query, body }) => ({ method, path: requestPath, query, body }));
+}
+
+function request(method, requestPath, { query = {}, body = null } = {}) {
+  return { method, path: requestPath, query, body };
+}
+
+// The calendar date of a moment in a time zone, as YYYY-MM-DD
+function dateIn(timeZone, moment) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date(moment));
+}
+
+function text(result) {
+  return result.content[0].text;
+}
+
+function json(result) {
+  return JSON.parse(text(result));
+}
+
+/**
+ * One case per tool: the arguments to call it with and the requests it must send. `check` can make
+ * further assertions on the result and the requests.
+ */
+const toolCases = [
+  // Projects
+  {
+    tool: 'get_projects',
+    args: { top: 2, skip: 1, count: true, expand: 'customer', active_only: true, filter: "code ne 'INT'", orderby: 'name desc' },
+    requests: [request('GET', '/projects', {
+      query: { $top: '2', $skip: '1', $count: 'true', $expand: 'customer', $orderby: 'name desc', $filter: "active eq true and code ne 'INT'" },
+    })],
+    check: (result) => assert.deepEqual(json(result).value.map((project) => project.id), [2]),
+  },
+  {
+    tool: 'get_project_by_id',
+    args: { id: 1, expand: 'projectTasks' },
+    requests: [request('GET', '/projects/1', { query: { $expand: 'projectTasks' } })],
+    check: (result) => assert.equal(json(result).projectTasks.length, 2),
+  },
+  {
+    tool: 'create_project',
+    args: { name: 'Intranet', customer: { id: 1 }, projectTasks: [{ task: { id: 1 } }], projectUsers: [{ user: { id: 2 } }] },
+    requests: [request('POST', '/projects', {
+      body: { name: 'Intranet', customer: { id: 1 }, projectTasks: [{ task: { id: 1 } }], projectUsers: [{ user: { id: 2 } }] },
+    })],
+    check: (result) => assert.equal(json(result).id, 4),
+  },
+  {
+    tool: 'update_project',
+    args: { id: 3, name: 'Internal work', invoicing: { method: 'NoInvoicing' }, budget: { method: 'NoBudget' }, projectTasks: [], projectUsers: [] },
+    requests: [request('PUT', '/projects/3', {
+      body: { name: 'Internal work', invoicing: { method: 'NoInvoicing' }, budget: { method: 'NoBudget' }, projectTasks: [], projectUsers: [] },
+    })],
+  },
+  {
+    tool: 'delete_project',
+    args: { id: 3 },
+    requests: [request('DELETE', '/projects/3')],
+    check: (result) => assert.equal(text(result), 'Project 3 deleted successfully'),
+  },
+  {
+    tool: 'get_project_insights',
+    args: { id: 1 },
+    requests: [request('GET', '/projects/1/insights')],
+    check: (result) => assert.equal(json(result).hours, 19),
+  },
+  {
+    tool: 'add_project_task',
+    args: { id: 3, task: { id: 1 }, billable: false },
+    requests: [
+      request('GET', '/projects/3', { query: { $expand: 'projectTasks,projectUsers' } }),
+      request('PUT', '/projects/3'),
+    ],
+    check: (result, requests) => assert.deepEqual(requests[1].body.projectTasks, [
+      { id: 5, task: { id: 4 }, billable: false, hourlyRate: 0 },
+      { task: { id: 1 }, billable: false },
+    ]),
+  },
+  {
+    tool: 'remove_project_task',
+    args: { id: 1, task: { id: 2 } },
+    requests: [
+      request('GET', '/projects/1', { query: { $expand: 'projectTasks,projectUsers' } }),
+      request('PUT', '/projects/1'),
+    ],
+    check: (result, requests) => {
+      assert.deepEqual(requests[1].body.projectTasks, [{ id: 1, task: { id: 1 }, billable: true, hourlyRate: 100 }]);
+      assert.equal(requests[1].body.projectUsers.length, 2);
+    },
+  },
+
+  // Users
+  {
+    tool: 'get_users',
+    args: { active_only: true, orderby: 'displayName' },
+    requests: [request('GET', '/users', { query: { $orderby: 'displayName', $filter: 'active eq true' } })],
+  },
+  {
+    tool: 'get_user_by_id',
+    args: { id: 2 },
+    requests: [request('GET', '/users/2')],
+    check: (result) => assert.equal(json(result).displayName, 'Alex Developer'),
+  },
+  {
+    tool: 'create_user',
+    args: { userName: 'kim@agency.example', displayName: 'Kim', role: { id: 2 }, sendInvitation: false },
+    requests: [request('POST', '/users', {
+      body: { userName: 'kim@agency.example', displayName: 'Kim', role: { id: 2 }, sendInvitation: false },
+    })],
+  },
+  {
+    tool: 'update_user',
+    args: { id: 2, patch: true, displayName: 'Alex D.' },
+    requests: [
+      request('GET', '/users/2'),
+      request('PUT', '/users/2', {
+        body: { id: 2, userName: 'alex@agency.example', displayName: 'Alex D.', language: 'en', role: 'User', active: true },
+      }),
+    ],
+  },
+
+  // Time Entries
+  {
+    tool: 'get_time_entries',
+    args: { user_id: '2', project_id: '1', from_date: '2026-10-12', to_date: '2026-10-18', orderby: 'date desc' },
+    requests: [request('GET', '/times', {
+      query: { $orderby: 'date desc', $filter: 'user/id eq 2 and project/id eq 1 and date ge 2026-10-12 and date le 2026-10-18' },
+    })],
+    check: (result) => assert.deepEqual(json(result).value.map((entry) => entry.id), [6, 1]),
+  },
+  {
+    tool: 'get_time_entry_by_id',
+    args: { id: 4, expand: 'project,task' },
+    requests: [request('GET', '/times/4', { query: { $expand: 'project,task' } })],
+    check: (result) => assert.equal(json(result).task.name, 'Development'),
+  },
+  {
+    tool: 'create_time_entry',
+    args: { date: '2026-10-19', start: '2026-10-19T13:00:00Z', end: '2026-10-19T15:30:00Z', notes: 'Review', billable: true, user: { id: 2 }, project: { id: 1 }, task: { id: 1 } },
+    requests: [request('POST', '/times', {
+      body: { date: '2026-10-19', start: '2026-10-19T13:00:00Z', end: '2026-10-19T15:30:00Z', notes: 'Review', billable: true, user: { id: 2 }, project: { id: 1 }, task: { id: 1 } },
+    })],
+    check: (result) => assert.equal(json(result).hours, 2.5),
+  },
+  {
+    tool: 'create_time_entry',
+    args: { start: '2026-10-19T22:30:00Z', hours: 1, user: { id: 2 }, project: { id: 1 }, task: { id: 1 } },
+    requests: [request('POST', '/times', {
+      body: { date: '2026-10-19', start: '2026-10-19T22:30:00Z', hours: 1, user: { id: 2 }, project: { id: 1 }, task: { id: 1 } },
+    })],
+  },
+  {
+    tool: 'update_time_entry',
+    args: { id: 1, hours: 4.5, notes: 'Homepage layout and header' },
+    requests: [
+      request('GET', '/times/1'),
+      request('PUT', '/times/1', {
+        body: { ...seedData().times[0], hours: 4.5, notes: 'Homepage layout and header' },
+      }),
+    ],
+  },
+  {
+    tool: 'update_time_entry',
+    args: { id: 2, end: '2026-10-12T18:00:00Z' },
+    requests: [
+      request('GET', '/times/2'),
+      request('PUT', '/times/2', {
+        body: { ...seedData().times[1], end: '2026-10-12T18:00:00Z', hours: 4.5 },
+      }),
+    ],
+  },
+  {
+    tool: 'delete_time_entry',
+    args: { id: 2 },
+    requests: [request('DELETE', '/times/2')],
+  },
+  {
+    tool: 'update_time_entry_status',
+    args: { times: [{ id: 6 }, { id: 7 }], status: 'Approved', message: 'Week 42' },
+    requests: [request('PUT', '/times/status', {
+      body: { message: 'Week 42', times: [{ id: 6 }, { id: 7 }], status: 'Approved' },
+    })],
+    check: () => assert.equal(api.data.times.find((entry) => entry.id === 6).status, 'Approved'),
+  },
+  {
+    tool: 'update_time_entry_client_status',
+    args: { times: [{ id: 1 }], clientStatus: 'Invoiced' },
+    requests: [request('PUT', '/times/clientStatus', { body: { clientStatus: 'Invoiced', times: [{ id: 1 }] } })],
+    check: () => assert.equal(api.data.times.find((entry) => entry.id === 1).clientStatus, 'Invoiced'),
+  },
+  {
+    tool: 'get_time_entry_status_history',
+    args: { id: 1, top: 5, orderby: 'date desc' },
+    requests: [request('GET', '/times/1/statusHistory', { query: { $top: '5', $orderby: 'date desc' } })],
+    check: (result) => assert.deepEqual(json(result).value.map((entry) => entry.status), ['Approved', 'PendingApproval']),
+  },
+
+  // Timer
+  {
+    tool: 'start_timer',
+    args: { user: { id: 2 }, project: { id: 1 }, task: { id: 1 }, notes: 'Bug fixing' },
+    requests: [],
+  },
+  {
+    tool: 'current_timer',
+    args: {},
+    requests: [],
+    check: (result) => assert.equal(json(result).notes, 'Bug fixing'),
+  },
+  {
+    tool: 'stop_timer',
+    args: { notes: 'Fixed the menu' },
+    requests: [request('POST', '/times')],
+    check: (result, requests) => {
+      const { start, end, hours, date, ...body } = requests[0].body;
+      assert.deepEqual(body, { notes: 'Fixed the menu', user: { id: 2 }, project: { id: 1 }, task: { id: 1 } });
+      assert.equal(date, dateIn('UTC', start));
+      assert.ok(new Date(end) >= new Date(start));
+      assert.equal(hours, Math.round(((new Date(end) - new Date(start)) / 3600000) * 100) / 100);
+    },
+  },
+
+  // Contacts
+  {
+    tool: 'get_contacts',
+    args: { filter: "contains(name,'doe')", count: true },
+    requests: [request('GET', '/contacts', { query: { $count: 'true', $filter: "contains(name,'doe')" } })],
+    check: (result) => assert.equal(json(result)['@odata.count'], 1),
+  },
+  {
+    tool: 'get_contact_by_id',
+    args: { id: 1, expand: 'customers' },
+    requests: [request('GET', '/contacts/1', { query: { $expand: 'customers' } })],
+  },
+  {
+    tool: 'create_contact',
+    args: { name: 'Peter Gibbons', email: 'peter@initech.example', customers: [{ id: 3 }] },
+    requests: [request('POST', '/contacts', { body: { name: 'Peter Gibbons', email: 'peter@initech.example', customers: [{ id: 3 }] } })],
+  },
+  {
+    tool: 'update_contact',
+    args: { id: 1, name: 'Jane Doe', jobTitle: 'CEO' },
+    requests: [request('PUT', '/contacts/1', { body: { name: 'Jane Doe', jobTitle: 'CEO' } })],
+  },
+  {
+    tool: 'delete_contact',
+    args: { id: 3 },
+    requests: [request('DELETE', '/contacts/3')],
+  },
+
+  // Customers
+  {
+    tool: 'get_customers',
+    args: { active_only: true, top: 10 },
+    requests: [request('GET', '/customers', { query: { $top: '10', $filter: 'active eq true' } })],
+    check: (result) => assert.equal(json(result).value.length, 2),
+  },
+  {
+    tool: 'get_customer_by_id',
+    args: { id: 1 },
+    requests: [request('GET', '/customers/1')],
+  },
+  {
+    tool: 'create_customer',
+    args: { name: 'Umbrella', email: 'info@umbrella.example', hourlyRate: 105 },
+    requests: [request('POST', '/customers', { body: { name: 'Umbrella', email: 'info@umbrella.example', hourlyRate: 105 } })],
+  },
+  {
+    tool: 'update_customer',
+    args: { id: 2, patch: true, hourlyRate: 115 },
+    requests: [
+      request('GET', '/customers/2'),
+      request('PUT', '/customers/2'),
+    ],
+    check: (result, requests) => assert.deepEqual(requests[1].body, { ...api.seed().customers[1], hourlyRate: 115 }),
+  },
+  {
+    tool: 'delete_customer',
+    args: { id: 3 },
+    requests: [request('DELETE', '/customers/3')],
+  },
+
+  // Tasks
+  {
+    tool: 'get_tasks',
+    args: { active_only: true },
+    requests: [request('GET', '/tasks', { query: { $filter: 'active eq true' } })],
+  },
+  {
+    tool: 'get_task_by_id',
+    args: { id: 2 },
+    requests: [request('GET', '/tasks/2')],
+  },
+  {
+    tool: 'create_task',
+    args: { name: 'Copywriting', code: 'COPY', billable: true, hourlyRate: 80 },
+    requests: [request('POST', '/tasks', { body: { name: 'Copywriting', code: 'COPY', billable: true, hourlyRate: 80 } })],
+  },
+  {
+    tool: 'update_task',
+    args: { id: 4, active: false },
+    requests: [
+      request('GET', '/tasks/4'),
+      request('PUT', '/tasks/4', { body: { id: 4, name: 'Internal meeting', code: 'INT', active: false, billable: false, hourlyRate: 0 } }),
+    ],
+  },
+  {
+    tool: 'update_task',
+    args: { id: 1, active: false },
+    requests: [request('GET', '/tasks/1'), request('PUT', '/tasks/1')],
+    check: () => assert.deepEqual(api.data.tasks[0], { id: 1, name: 'Development', code: 'DEV', active: false, billable: true, hourlyRate: 100 }),
+  },
+  {
+    tool: 'delete_task',
+    args: { id: 4 },
+    requests: [request('DELETE', '/tasks/4')],
+  },
 
-// Start the server
-const server = spawn('node', ['timechimp-mcp-server.js'], {
-  stdio: ['pipe', 'pipe', 'pipe']
+  // Invoices
+  {
+    tool: 'get_invoices',
+    args: { customer_id: '1', from_date: '2026-09-01' },
+    requests: [request('GET', '/invoices', { query: { $filter: 'customer/id eq 1 and date ge 2026-09-01' } })],
+    check: (result) => assert.deepEqual(json(result).value.map((invoice) => invoice.id), [1]),
+  },
+  {
+    tool: 'get_invoice_by_id',
+    args: { id: 2, expand: 'customer' },
+    requests: [request('GET', '/invoices/2', { query: { $expand: 'customer' } })],
+  },
+
+  // Expenses
+  {
+    tool: 'get_expenses',
+    args: { user_id: '3', customer_id: '1', to_date: '2026-10-31' },
+    requests: [request('GET', '/expenses', { query: { $filter: 'user/id eq 3 and customer/id eq 1 and date le 2026-10-31' } })],
+    check: (result) => assert.equal(json(result).value.length, 2),
+  },
+  {
+    tool: 'get_expense_by_id',
+    args: { id: 1 },
+    requests: [request('GET', '/expenses/1')],
+  },
+  {
+    tool: 'create_expense',
+    args: { date: '2026-10-19', notes: 'Parking', quantity: 1, rate: 12.5, user: { id: 2 }, project: { id: 2 } },
+    requests: [request('POST', '/expenses', {
+      body: { date: '2026-10-19', notes: 'Parking', quantity: 1, rate: 12.5, user: { id: 2 }, project: { id: 2 } },
+    })],
+  },
+  {
+    tool: 'update_expense',
+    args: { id: 4, date: '2026-10-16', rate: 150, user: { id: 3 }, project: { id: 1 } },
+    requests: [request('PUT', '/expenses/4', { body: { date: '2026-10-16', rate: 150, user: { id: 3 }, project: { id: 1 } } })],
+  },
+  {
+    tool: 'delete_expense',
+    args: { id: 3 },
+    requests: [request('DELETE', '/expenses/3')],
+  },
+  {
+    tool: 'update_expense_status',
+    args: { expenses: [{ id: 2 }, { id: 3 }], status: 'Rejected', message: 'Missing receipt' },
+    requests: [request('PUT', '/expenses/status', {
+      body: { message: 'Missing receipt', expenses: [{ id: 2 }, { id: 3 }], status: 'Rejected' },
+    })],
+  },
+  {
+    tool: 'update_expense_client_status',
+    args: { expenses: [{ id: 1 }], clientStatus: 'Approved' },
+    requests: [request('PUT', '/expenses/clientStatus', { body: { clientStatus: 'Approved', expenses: [{ id: 1 }] } })],
+  },
+  {
+    tool: 'get_expense_status_history',
+    args: { id: 1 },
+    requests: [request('GET', '/expenses/1/statusHistory')],
+  },
+
+  // Mileage
+  {
+    tool: 'get_mileage',
+    args: { project_id: '2', from_date: '2026-10-01' },
+    requests: [request('GET', '/mileage', { query: { $filter: 'project/id eq 2 and date ge 2026-10-01' } })],
+    check: (result) => assert.deepEqual(json(result).value.map((entry) => entry.id), [2]),
+  },
+  {
+    tool: 'get_mileage_by_id',
+    args: { id: 1, expand: 'vehicle' },
+    requests: [request('GET', '/mileage/1', { query: { $expand: 'vehicle' } })],
+    check: (result) => assert.equal(json(result).vehicle.licensePlate, 'AB-123-C'),
+  },
+  {
+    tool: 'create_mileage',
+    args: { date: '2026-10-19', fromAddress: 'Amsterdam', toAddress: 'Utrecht', distance: 42, type: 'Business', user: { id: 1 }, vehicle: { id: 1 } },
+    requests: [request('POST', '/mileage', {
+      body: { date: '2026-10-19', fromAddress: 'Amsterdam', toAddress: 'Utrecht', distance: 42, type: 'Business', user: { id: 1 }, vehicle: { id: 1 } },
+    })],
+  },
+  {
+    tool: 'update_mileage',
+    args: { id: 3, date: '2026-10-16', distance: 16, type: 'HomeWork', user: { id: 3 } },
+    requests: [request('PUT', '/mileage/3', { body: { date: '2026-10-16', distance: 16, type: 'HomeWork', user: { id: 3 } } })],
+  },
+  {
+    tool: 'delete_mileage',
+    args: { id: 3 },
+    requests: [request('DELETE', '/mileage/3')],
+  },
+  {
+    tool: 'update_mileage_status',
+    args: { mileages: [{ id: 2 }], status: 'Approved' },
+    requests: [request('PUT', '/mileage/status', { body: { mileages: [{ id: 2 }], status: 'Approved' } })],
+    check: () => assert.equal(api.data.mileage.find((entry) => entry.id === 2).status, 'Approved'),
+  },
+  {
+    tool: 'update_mileage_client_status',
+    args: { mileages: [{ id: 1 }], clientStatus: 'Invoiced' },
+    requests: [request('PUT', '/mileage/clientStatus', { body: { clientStatus: 'Invoiced', mileages: [{ id: 1 }] } })],
+  },
+  {
+    tool: 'get_mileage_status_history',
+    args: { id: 1 },
+    requests: [request('GET', '/mileage/1/statusHistory')],
+  },
+  {
+    tool: 'get_mileage_vehicles',
+    args: { active_only: true },
+    requests: [request('GET', '/mileageVehicles', { query: { $filter: 'active eq true' } })],
+    check: (result) => assert.equal(json(result).value.length, 2),
+  },
+  {
+    tool: 'get_mileage_vehicle_by_id',
+    args: { id: 2 },
+    requests: [request('GET', '/mileageVehicles/2')],
+  },
+
+  // Tags
+  {
+    tool: 'get_tags',
+    args: { orderby: 'name' },
+    requests: [request('GET', '/tags', { query: { $orderby: 'name' } })],
+    check: (result) => assert.deepEqual(json(result).value.map((tag) => tag.name), ['Fixed price', 'Overtime', 'Priority']),
+  },
+  {
+    tool: 'get_tag_by_id',
+    args: { id: 3 },
+    requests: [request('GET', '/tags/3')],
+  },
+
+  // Profiles
+  {
+    tool: 'list_profiles',
+    args: {},
+    requests: [],
+  },
+  {
+    tool: 'switch_profile',
+    args: { name: 'sister' },
+    requests: [],
+    isError: true,
+  },
+
+  // Diagnostics
+  {
+    tool: 'get_diagnostics',
+    args: {},
+    requests: [],
+    check: (result) => assert.equal(json(result).cache, null),
+  },
+
+  // Audit
+  {
+    tool: 'get_audit_log',
+    args: { entity: 'mileage', tool: 'delete_mileage' },
+    requests: [],
+    check: (result) => assert.deepEqual(json(result).entries.map((entry) => [entry.method, entry.endpoint, entry.status]), [['DELETE', '/mileage/3', 204]]),
+  },
+
+  // Undo (the journal is off here; see the undo tests below)
+  {
+    tool: 'undo_last_change',
+    args: {},
+    requests: [],
+    isError: true,
+  },
+  {
+    tool: 'restore_entity',
+    args: { entity: 'contacts', id: 3 },
+    requests: [],
+    isError: true,
+  },
+];
+
+before(async () => {
+  stateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'timechimp-mcp-test-'));
+  baseUrl = await api.start();
+});
+
+after(async () => {
+  await api.stop();
+  await fs.rm(stateDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  api.reset();
+});
+
+describe('tools', () => {
+  let client;
+
+  before(async () => {
+    client = await startServer();
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  it('has a test case for every listed tool', async () => {
+    const tools = await client.listTools();
+    assert.deepEqual(
+      tools.map((tool) => tool.name).sort(),
+      [...new Set(toolCases.map((toolCase) => toolCase.tool))].sort()
+    );
+  });
+
+  for (const toolCase of toolCases) {
+    it(`${toolCase.tool} sends ${toolCase.requests.map((sent) => `${sent.method} ${sent.path}`).join(', ') || 'no requests'}`, async () => {
+      const result = await client.callTool(toolCase.tool, toolCase.args);
+      assert.equal(result.error, undefined, JSON.stringify(result.error));
+      assert.equal(Boolean(result.isError), Boolean(toolCase.isError), text(result));
+
+      const requests = sentRequests();
+      assert.deepEqual(
+        requests.map(({ method, path: requestPath, query }) => ({ method, path: requestPath, query })),
+        toolCase.requests.map(({ method, path: requestPath, query }) => ({ method, path: requestPath, query }))
+      );
+      toolCase.requests.forEach((expected, index) => {
+        if (expected.body !== null) {
+          assert.deepEqual(requests[index].body, expected.body);
+        }
+      });
+
+      if (toolCase.check) {
+        await toolCase.check(result, requests);
+      }
+    });
+  }
+
+  it('books a stopped timer on the date it started in TIMECHIMP_TIME_ZONE', async () => {
+    // UTC+14, so the local date is ahead of the UTC date for most of the day
+    const kiritimati = await startServer({ TIMECHIMP_TIME_ZONE: 'Pacific/Kiritimati' });
+    try {
+      await kiritimati.callTool('start_timer', { user: { id: 2 }, project: { id: 1 }, task: { id: 1 } });
+      await kiritimati.callTool('stop_timer');
+      const { date, start } = api.requests[0].body;
+      assert.equal(date, dateIn('Pacific/Kiritimati', start));
+    } finally {
+      await kiritimati.close();
+    }
+  });
+
+  it('dates new time entries in TIMECHIMP_TIME_ZONE', async () => {
+    const amsterdam = await startServer({ TIMECHIMP_TIME_ZONE: 'Europe/Amsterdam' });
+    try {
+      await amsterdam.callTool('create_time_entry', { start: '2026-10-19T22:30:00Z', hours: 1, user: { id: 2 }, project: { id: 1 }, task: { id: 1 } });
+      assert.equal(api.requests[0].body.date, '2026-10-20');
+    } finally {
+      await amsterdam.close();
+    }
+  });
 });
 
-let output = '';
-let errorOutput = '';
+describe('errors', () => {
+  let client;
+
+  before(async () => {
+    client = await startServer({ TIMECHIMP_MAX_RETRIES: '1' });
+  });
 
-server.stdout.on('data', (data) => {
-  output += data.toString();
+  after(async () => {
+    await client.close();
+  });
+
+  it('reports a missing API key without calling TimeChimp', async () => {
+    const keyless = await startServer({ TIMECHIMP_API_KEY: '' });
+    try {
+      const result = await keyless.callTool('get_projects');
+      assert.equal(result.isError, true);
+      assert.match(text(result), /TIMECHIMP_API_KEY environment variable is required/);
+      assert.deepEqual(sentRequests(), []);
+    } finally {
+      await keyless.close();
+    }
+  });
+
+  it('explains a rejected API key', async () => {
+    const unauthorized = await startServer({ TIMECHIMP_API_KEY: 'wrong-key' });
+    try {
+      const result = await unauthorized.callTool('get_projects');
+      assert.equal(result.isError, true);
+      assert.match(text(result), /401 Unauthorized - the API key is invalid or expired/);
+      assert.equal(api.requests[0].headers['api-key'], 'wrong-key');
+    } finally {
+      await unauthorized.close();
+    }
+  });
+
+  it('sends the TimeChimp API headers', async () => {
+    await client.callTool('get_tags');
+    const { headers } = api.requests[0];
+    assert.equal(headers['api-key'], api.apiKey);
+    assert.equal(headers['api-version'], '2.0');
+    assert.equal(headers.accept, 'application/json');
+  });
+
+  it('names the entity that was not found', async () => {
+    const result = await client.callTool('get_customer_by_id', { id: 99 });
+    assert.equal(result.isError, true);
+    assert.match(text(result), /404 Not Found - Customer 99 was not found/);
+  });
+
+  it('names the path when a bulk status change refers to an unknown entry', async () => {
+    const result = await client.callTool('update_time_entry_status', { times: [{ id: 999 }], status: 'Approved' });
+    assert.equal(result.isError, true);
+    assert.match(text(result), /404 Not Found - \/times\/status was not found \(Unknown times ID\)/);
+  });
+
+  it('lists validation errors per field', async () => {
+    const result = await client.callTool('create_contact', { name: '' });
+    assert.equal(result.isError, true);
+    assert.match(text(result), /422 Unprocessable Entity - One or more validation errors occurred\.\n- Name: The Name field is required\./);
+  });
+
+  it('reports how long to wait when rate limited', async () => {
+    api.fail({ method: 'POST', path: '/tasks', status: 429, headers: { 'Retry-After': '42' } });
+    const result = await client.callTool('create_task', { name: 'Copywriting' });
+    assert.equal(result.isError, true);
+    assert.match(text(result), /429 Too Many Requests - .*Wait 42 seconds/);
+    assert.equal(api.requests.length, 1);
+  });
+
+  it('retries idempotent requests after a 503', async () => {
+    api.fail({ path: '/projects/1', status: 503 });
+    const result = await client.callTool('get_project_by_id', { id: 1 });
+    assert.equal(result.isError, undefined, text(result));
+    assert.equal(json(result).name, 'Website Redesign');
+    assert.equal(api.requests.length, 2);
+  });
+
+  it('does not retry a delete after a gateway timeout', async () => {
+    api.fail({ method: 'DELETE', path: '/contacts/1', status: 504 });
+    const result = await client.callTool('delete_contact', { id: 1 });
+    assert.equal(result.isError, true);
+    assert.match(text(result), /504 Gateway Timeout/);
+    assert.equal(api.requests.length, 1);
+  });
+
+  it('does not retry a failed create', async () => {
+    api.fail({ method: 'POST', path: '/customers', status: 500, body: { title: 'Internal Server Error' } });
+    const result = await client.callTool('create_customer', { name: 'Umbrella' });
+    assert.equal(result.isError, true);
+    assert.match(text(result), /500 Internal Server Error/);
+    assert.equal(api.requests.length, 1);
+  });
+
+  it('rejects unknown tools', async () => {
+    const result = await client.callTool('get_timesheets');
+    assert.equal(result.error.code, -32601);
+    assert.match(result.error.message, /Unknown tool: get_timesheets/);
+  });
+
+  it('rejects invalid arguments before calling TimeChimp', async () => {
+    const result = await client.callTool('update_expense_status', { expenses: [{ id: '2' }], status: 'Done', extra: true });
+    assert.equal(result.error.code, -32602);
+    assert.match(result.error.message, /- expenses\[0\]\.id: must be a number/);
+    assert.match(result.error.message, /- status: must be one of Open, PendingApproval/);
+    assert.match(result.error.message, /- extra: is not a known property/);
+    assert.deepEqual(sentRequests(), []);
+  });
 });
 
-server.stderr.on('data', (data) => {
-  errorOutput += data.toString();
-  console.log('Server output:', data.toString());
+describe('rate limiting', () => {
+  // Poll until the mock API has received the given number of requests
+  async function received(count) {
+    while (api.requests.length < count) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  }
+
+  it('queues calls beyond TIMECHIMP_MAX_CONCURRENCY', async () => {
+    const client = await startServer({ TIMECHIMP_MAX_CONCURRENCY: '1' });
+    const release = api.hold({ path: '/tags' });
+    try {
+      const calls = [1, 2, 3].map(() => client.callTool('get_tags'));
+      await received(1);
+      const waiting = json(await client.callTool('get_diagnostics')).rateLimiter;
+      assert.equal(waiting.inFlight, 1);
+      assert.equal(waiting.queued, 2);
+      assert.equal(api.requests.length, 1);
+
+      release();
+      for (const result of await Promise.all(calls)) {
+        assert.equal(result.isError, undefined, text(result));
+      }
+      const done = json(await client.callTool('get_diagnostics')).rateLimiter;
+      assert.deepEqual([done.inFlight, done.queued, done.totalRequests], [0, 0, 3]);
+    } finally {
+      release();
+      await client.close();
+    }
+  });
+
+  it('spaces out requests once the burst is used up', async () => {
+    // One token every 100ms, and a burst of one
+    const client = await startServer({ TIMECHIMP_RATE_LIMIT_PER_MINUTE: '600', TIMECHIMP_RATE_LIMIT_BURST: '1' });
+    try {
+      const started = Date.now();
+      const results = await Promise.all([1, 2, 3].map(() => client.callTool('get_tags')));
+      const elapsed = Date.now() - started;
+      results.forEach((result) => assert.equal(result.isError, undefined, text(result)));
+
+      assert.ok(elapsed >= 190, `three requests took ${elapsed}ms`);
+      const { totalRequests, throttledRequests, inFlight, queued } = json(await client.callTool('get_diagnostics')).rateLimiter;
+      assert.deepEqual({ totalRequests, throttledRequests, inFlight, queued }, { totalRequests: 3, throttledRequests: 2, inFlight: 0, queued: 0 });
+    } finally {
+      await client.close();
+    }
+  });
 });
 
-// Send a list tools request
-const listToolsRequest = {
-  jsonrpc: '2.0',
-  id: 1,
-  method: 'tools/list',
-  params: {}
-};
-
-// Wait a moment for server to start
-setTimeout(() => {
-  console.log('Sending list tools request...');
-  server.stdin.write(JSON.stringify(listToolsRequest) + '\n');
-  
-  // Wait for response then close
-  setTimeout(() => {
-    console.log('\nServer response:', output);
+describe('http transport', () => {
+  let server;
+  let url;
+
+  before(async () => {
+    const authFile = path.join(stateDir, 'auth.json');
+    await fs.writeFile(authFile, JSON.stringify({
+      clients: [
+        { name: 'alice', token: 'alice-token', apiKey: api.apiKey },
+        { name: 'bob', token: 'bob-token', apiKey: 'bobs-api-key', mode: 'readonly' },
+        { name: 'carol', token: 'carol-token', apiKey: api.apiKey, auditScope: 'all' },
+      ],
+    }));
+    const port = await freePort();
+    url = `http://127.0.0.1:${port}`;
+
+    const inherited = Object.fromEntries(Object.entries(process.env).filter(([key]) => !key.startsWith('TIMECHIMP_')));
+    server = spawn('node', [serverPath], {
+      env: {
+        ...inherited,
+        TIMECHIMP_TRANSPORT: 'http',
+        TIMECHIMP_HTTP_PORT: String(port),
+        TIMECHIMP_AUTH_FILE: authFile,
+        TIMECHIMP_API_KEY: 'shared-api-key',
+        TIMECHIMP_BASE_URL: baseUrl,
+        TIMECHIMP_STATE_DIR: stateDir,
+        TIMECHIMP_AUDIT_FILE: path.join(stateDir, 'http-audit.jsonl'),
+        TIMECHIMP_UNDO_FILE: path.join(stateDir, 'http-journal.jsonl'),
+        TIMECHIMP_CACHE: 'false',
+        TIMECHIMP_MAX_RETRIES: '0',
+      },
+      stdio: ['ignore', 'ignore', 'pipe'],
+    });
+    await new Promise((resolve, reject) => {
+      let output = '';
+      const timeout = setTimeout(() => reject(new Error(`The HTTP server did not start:\n${output}`)), 10000);
+      server.stderr.on('data', (data) => {
+        output += data.toString();
+        if (output.includes('running on')) {
+          clearTimeout(timeout);
+          resolve();
+        }
+      });
+    });
+  });
+
+  after(async () => {
+    const exited = new Promise((resolve) => server.once('exit', resolve));
     server.kill();
-    
-    if (output.includes('get_projects') && output.includes('get_users') && output.includes('get_time_entries')) {
-      console.log('\n✅ Test passed! Server is working correctly.');
-      console.log('The server successfully registered all three tools:');
-      console.log('- get_projects');
-      console.log('- get_users'); 
-      console.log('- get_time_entries');
-    } else {
-      console.log('\n❌ Test failed! Server did not respond correctly.');
-    }
-    
-    process.exit(0);
-  }, 2000);
-}, 1000);
-
-server.on('error', (error) => {
-  console.error('❌ Failed to start server:', error.message);
-  process.exit(1);
+    await exited;
+  });
+
+  it('refuses event streams without a valid bearer token', async () => {
+    assert.equal(await new SseClient(url).connect(), 401);
+    assert.equal(await new SseClient(url, 'guessed-token').connect(), 401);
+    assert.deepEqual(sentRequests(), []);
+  });
+
+  it('sends each client\'s own API key to TimeChimp', async () => {
+    const alice = new SseClient(url, 'alice-token');
+    const bob = new SseClient(url, 'bob-token');
+    try {
+      assert.equal(await alice.connect(), 200);
+      assert.equal(await bob.connect(), 200);
+      await alice.initialize();
+      await bob.initialize();
+
+      const aliceResult = await alice.callTool('get_tags');
+      assert.equal(aliceResult.isError, undefined, text(aliceResult));
+      assert.equal(api.requests[0].headers['api-key'], api.apiKey);
+
+      const bobResult = await bob.callTool('get_tags');
+      assert.equal(bobResult.isError, true);
+      assert.match(text(bobResult), /401 Unauthorized/);
+      assert.equal(api.requests[1].headers['api-key'], 'bobs-api-key');
+      assert.ok(api.requests.every((sent) => sent.headers['api-key'] !== 'shared-api-key'));
+    } finally {
+      alice.close();
+      bob.close();
+    }
+  });
+
+  it('applies the client\'s mode', async () => {
+    const bob = new SseClient(url, 'bob-token');
+    try {
+      await bob.connect();
+      await bob.initialize();
+      const names = (await bob.request('tools/list')).result.tools.map((tool) => tool.name);
+      assert.ok(!names.includes('delete_customer'));
+      assert.equal((await bob.callTool('delete_customer', { id: 2 })).error.code, -32600);
+      assert.deepEqual(sentRequests(), []);
+    } finally {
+      bob.close();
+    }
+  });
+
+  it('only shows other clients\' audit entries with audit scope "all"', async () => {
+    const alice = new SseClient(url, 'alice-token');
+    const bob = new SseClient(url, 'bob-token');
+    const carol = new SseClient(url, 'carol-token');
+    try {
+      for (const client of [alice, bob, carol]) {
+        await client.connect();
+        await client.initialize();
+      }
+      await alice.callTool('update_customer', { id: 1, patch: true, hourlyRate: 50 });
+      const entries = async (client, args = {}) => json(await client.callTool('get_audit_log', args)).entries;
+
+      assert.deepEqual((await entries(alice)).map((entry) => entry.client), ['alice']);
+      assert.deepEqual(await entries(bob), []);
+      assert.deepEqual(await entries(bob, { client: 'alice' }), []);
+      assert.deepEqual((await entries(carol, { client: 'alice' })).map((entry) => entry.endpoint), ['/customers/1']);
+    } finally {
+      alice.close();
+      bob.close();
+      carol.close();
+    }
+  });
+
+  it('only restores a client\'s own changes', async () => {
+    const alice = new SseClient(url, 'alice-token');
+    const carol = new SseClient(url, 'carol-token');
+    try {
+      for (const client of [alice, carol]) {
+        await client.connect();
+        await client.initialize();
+      }
+      await alice.callTool('update_customer', { id: 1, patch: true, hourlyRate: 50 });
+
+      const refused = await carol.callTool('restore_entity', { entity: 'customers', id: 1 });
+      assert.equal(refused.isError, true);
+      assert.match(text(refused), /no stored version of customers 1/);
+      assert.equal(api.data.customers[0].hourlyRate, 50);
+
+      const restored = await alice.callTool('restore_entity', { entity: 'customers', id: 1 });
+      assert.equal(restored.isError, undefined, text(restored));
+      assert.equal(api.data.customers[0].hourlyRate, 95);
+    } finally {
+      alice.close();
+      carol.close();
+    }
+  });
+
+  it('only accepts messages with the token that opened the session', async () => {
+    const alice = new SseClient(url, 'alice-token');
+    try {
+      await alice.connect();
+      const message = { jsonrpc: '2.0', id: 1, method: 'tools/list', params: {} };
+      assert.equal(await alice.post(message, 'bob-token'), 401);
+      assert.equal(await alice.post(message, null), 401);
+      alice.endpoint = '/messages?sessionId=unknown';
+      assert.equal(await alice.post(message), 404);
+    } finally {
+      alice.close();
+    }
+  });
+});
+
+describe('profiles', () => {
+  const sister = new MockTimechimpApi({
+    apiKey: 'sister-api-key',
+    seed: () => ({ ...seedData(), customers: [{ id: 1, name: 'Sister Company', active: true, hourlyRate: 60 }] }),
+  });
+  let profilesFile;
+
+  before(async () => {
+    const sisterUrl = await sister.start();
+    profilesFile = path.join(stateDir, 'profiles.json');
+    await fs.writeFile(profilesFile, JSON.stringify({
+      default: 'agency',
+      profiles: {
+        agency: { apiKey: api.apiKey, baseUrl },
+        sister: { apiKey: sister.apiKey, baseUrl: sisterUrl },
+      },
+    }));
+  });
+
+  beforeEach(() => {
+    sister.reset();
+  });
+
+  after(async () => {
+    await sister.stop();
+  });
+
+  // Start the HTTP server with an auth file and return what it printed when it exited
+  async function startupError(clients, env = {}) {
+    const authFile = path.join(stateDir, 'profile-auth.json');
+    await fs.writeFile(authFile, JSON.stringify({ clients }));
+    const inherited = Object.fromEntries(Object.entries(process.env).filter(([key]) => !key.startsWith('TIMECHIMP_')));
+    const server = spawn('node', [serverPath], {
+      env: { ...inherited, TIMECHIMP_TRANSPORT: 'http', TIMECHIMP_HTTP_PORT: '0', TIMECHIMP_AUTH_FILE: authFile, TIMECHIMP_STATE_DIR: stateDir, ...env },
+      stdio: ['ignore', 'ignore', 'pipe'],
+    });
+    let output = '';
+    server.stderr.on('data', (data) => {
+      output += data.toString();
+    });
+    const code = await new Promise((resolve) => server.once('exit', resolve));
+    assert.equal(code, 1, output);
+    return output;
+  }
+
+  it('refuses clients whose API key map names unknown profiles', async () => {
+    const clients = [{ name: 'alice', token: 'alice-token', apiKey: { agency: api.apiKey, sistr: sister.apiKey } }];
+    assert.match(await startupError(clients), /maps its apiKey to profiles, but no profiles are configured/);
+    assert.match(await startupError(clients, { TIMECHIMP_PROFILES_FILE: profilesFile }), /The apiKey of client alice .* names unknown profiles: sistr/);
+  });
+
+  it('sends requests with the API key and base URL of the active profile', async () => {
+    const client = await startServer({ TIMECHIMP_PROFILES_FILE: profilesFile, TIMECHIMP_API_KEY: '' });
+    try {
+      assert.equal(json(await client.callTool('get_customer_by_id', { id: 1 })).name, 'Acme Corporation');
+      assert.equal(json(await client.callTool('get_customer_by_id', { id: 1, profile: 'sister' })).name, 'Sister Company');
+
+      await client.callTool('switch_profile', { name: 'sister' });
+      assert.equal(json(await client.callTool('get_customer_by_id', { id: 1 })).name, 'Sister Company');
+
+      assert.deepEqual(api.requests.map((sent) => sent.headers['api-key']), [api.apiKey]);
+      assert.deepEqual(sister.requests.map((sent) => sent.headers['api-key']), [sister.apiKey, sister.apiKey]);
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('keeps cached responses apart per profile', async () => {
+    const client = await startServer({ TIMECHIMP_PROFILES_FILE: profilesFile, TIMECHIMP_CACHE: 'true' });
+    try {
+      await client.callTool('get_customers');
+      await client.callTool('get_customers');
+      const cached = json(await client.callTool('get_customers', { profile: 'sister' }));
+      assert.deepEqual(cached.value.map((customer) => customer.name), ['Sister Company']);
+      assert.equal(api.requests.length, 1);
+      assert.equal(sister.requests.length, 1);
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('only undoes changes made in the active profile', async () => {
+    const client = await startServer({
+      TIMECHIMP_PROFILES_FILE: profilesFile,
+      TIMECHIMP_UNDO: 'true',
+      TIMECHIMP_UNDO_FILE: path.join(stateDir, 'profiles-journal.jsonl'),
+    });
+    try {
+      await client.callTool('update_customer', { id: 1, patch: true, hourlyRate: 50 });
+      await client.callTool('switch_profile', { name: 'sister' });
+
+      const nothing = await client.callTool('undo_last_change');
+      assert.equal(nothing.isError, true);
+      assert.equal(api.data.customers[0].hourlyRate, 50);
+      assert.deepEqual(sister.requests.filter((sent) => sent.method !== 'GET'), []);
+
+      await client.callTool('switch_profile', { name: 'agency' });
+      assert.equal(json(await client.callTool('undo_last_change')).restored.tool, 'update_customer');
+      assert.equal(api.data.customers[0].hourlyRate, 95);
+    } finally {
+      await client.close();
+    }
+  });
+});
+
+describe('safety', () => {
+  it('previews writes in dry-run mode', async () => {
+    const client = await startServer();
+    try {
+      const result = await client.callTool('update_expense_status', { expenses: [{ id: 2 }], status: 'Approved', dry_run: true });
+      assert.deepEqual(json(result), {
+        dryRun: true,
+        requests: [{ method: 'PUT', url: `${baseUrl}/expenses/status`, body: { expenses: [{ id: 2 }], status: 'Approved' } }],
+      });
+      assert.deepEqual(sentRequests(), []);
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('refuses a dry_run that is not a boolean or not supported by the tool', async () => {
+    const client = await startServer();
+    try {
+      const stringFlag = await client.callTool('update_customer', { id: 1, patch: true, hourlyRate: 1, dry_run: 'true' });
+      assert.equal(stringFlag.error.code, -32602);
+      assert.match(stringFlag.error.message, /dry_run: must be a boolean/);
+
+      const timer = await client.callTool('start_timer', { user: { id: 2 }, project: { id: 1 }, task: { id: 1 }, dry_run: true });
+      assert.equal(timer.error.code, -32602);
+      assert.match(timer.error.message, /dry_run: not supported by this tool/);
+      assert.equal(text(await client.callTool('current_timer')), 'No timer is running');
+
+      assert.deepEqual(sentRequests(), []);
+      assert.equal(api.data.customers[0].hourlyRate, 95);
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('only deletes with a confirmation token', async () => {
+    const client = await startServer({ TIMECHIMP_CONFIRM_DELETES: 'true' });
+    try {
+      const first = json(await client.callTool('delete_customer', { id: 2 }));
+      assert.equal(first.confirmationRequired, true);
+      assert.equal(first.record.name, 'Globex');
+      assert.deepEqual(sentRequests(), [request('GET', '/customers/2')]);
+
+      const wrong = await client.callTool('delete_customer', { id: 1, confirmation_token: first.confirmation_token });
+      assert.equal(wrong.isError, true);
+
+      const retry = json(await client.callTool('delete_customer', { id: 2 }));
+      const deleted = await client.callTool('delete_customer', { id: 2, confirmation_token: retry.confirmation_token });
+      assert.equal(text(deleted), 'Customer 2 deleted successfully');
+      assert.deepEqual(sentRequests().at(-1), request('DELETE', '/customers/2'));
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('hides and refuses mutating tools in readonly mode', async () => {
+    const client = await startServer({ TIMECHIMP_MODE: 'readonly' });
+    try {
+      const names = (await client.listTools()).map((tool) => tool.name);
+      assert.ok(names.includes('get_projects'));
+      assert.ok(!names.includes('create_project'));
+      assert.ok(!names.includes('delete_customer'));
+
+      const result = await client.callTool('delete_customer', { id: 2 });
+      assert.equal(result.error.code, -32600);
+      assert.deepEqual(sentRequests(), []);
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('skips audit log lines that cannot be read', async () => {
+    const auditFile = path.join(stateDir, 'corrupt-audit.jsonl');
+    const client = await startServer({ TIMECHIMP_AUDIT_FILE: auditFile });
+    try {
+      await client.callTool('update_customer', { id: 1, patch: true, hourlyRate: 50 });
+      await fs.appendFile(auditFile, '{"timestamp":"2026-');
+      const result = await client.callTool('get_audit_log');
+      assert.equal(result.isError, undefined, text(result));
+      assert.deepEqual(json(result).entries.map((entry) => entry.endpoint), ['/customers/1']);
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('undoes updates and deletes from the journal', async () => {
+    const client = await startServer({ TIMECHIMP_UNDO: 'true', TIMECHIMP_UNDO_FILE: path.join(stateDir, 'journal.jsonl') });
+    try {
+      await client.callTool('update_customer', { id: 1, patch: true, hourlyRate: 50 });
+      await client.callTool('delete_contact', { id: 2 });
+      assert.equal(api.data.customers[0].hourlyRate, 50);
+
+      const undoDelete = json(await client.callTool('undo_last_change'));
+      assert.equal(undoDelete.restored.tool, 'delete_contact');
+      assert.equal(api.data.contacts.find((contact) => contact.id === undoDelete.restored.recreatedId).name, 'Hank Scorpio');
+
+      await client.callTool('undo_last_change');
+      assert.equal(api.data.customers[0].hourlyRate, 95);
+
+      const nothingLeft = await client.callTool('undo_last_change');
+      assert.equal(nothingLeft.isError, true);
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('undoes bulk status changes and skips journal lines that cannot be read', async () => {
+    const journalFile = path.join(stateDir, 'status-journal.jsonl');
+    const client = await startServer({ TIMECHIMP_UNDO: 'true', TIMECHIMP_UNDO_FILE: journalFile });
+    try {
+      await client.callTool('update_time_entry_status', { times: [{ id: 4 }, { id: 6 }], status: 'Invoiced' });
+      await fs.appendFile(journalFile, '{"id":"cut-sho');
+      assert.deepEqual([4, 6].map((id) => api.data.times.find((entry) => entry.id === id).status), ['Invoiced', 'Invoiced']);
+
+      api.requests = [];
+      const undo = await client.callTool('undo_last_change');
+      assert.equal(undo.isError, undefined, text(undo));
+      assert.deepEqual(json(undo).restored.ids, [4, 6]);
+      assert.deepEqual([4, 6].map((id) => api.data.times.find((entry) => entry.id === id).status), ['PendingApproval', 'Open']);
+      assert.deepEqual(sentRequests().filter(({ method }) => method === 'PUT').map(({ body }) => [body.times, body.status]), [
+        [[{ id: 4 }], 'PendingApproval'],
+        [[{ id: 6 }], 'Open'],
+      ]);
+
+      const nothingLeft = await client.callTool('undo_last_change');
+      assert.equal(nothingLeft.isError, true);
+    } finally {
+      await client.close();
+    }
+  });
+});
+
+describe('pagination and caching', () => {
+  it('follows pages with all: true', async () => {
+    const client = await startServer();
+    try {
+      const result = json(await client.callTool('get_time_entries', { all: true, top: 4, count: true }));
+      assert.equal(result.value.length, 9);
+      assert.deepEqual(result.pagination, { pages: 3, records: 9, truncated: false });
+      assert.deepEqual(sentRequests().map((sent) => [sent.query.$top, sent.query.$skip]), [['4', '0'], ['4', '4'], ['4', '8']]);
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('only reports truncation when more records exist than max_records', async () => {
+    const client = await startServer();
+    try {
+      const exact = json(await client.callTool('get_time_entries', { all: true, max_records: 9 }));
+      assert.deepEqual(exact.pagination, { pages: 1, records: 9, truncated: false });
+      assert.equal(sentRequests()[0].query.$top, '10');
+
+      const capped = json(await client.callTool('get_time_entries', { all: true, max_records: 5, top: 4 }));
+      assert.deepEqual(capped.value.map((entry) => entry.id), [1, 2, 3, 4, 5]);
+      assert.deepEqual(capped.pagination, { pages: 2, records: 5, truncated: true });
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('caches reference data until a write or refresh', async () => {
+    const client = await startServer({ TIMECHIMP_CACHE: 'true' });
+    try {
+      await client.callTool('get_projects');
+      await client.callTool('get_projects');
+      assert.equal(api.requests.length, 1);
+
+      await client.callTool('get_projects', { refresh: true });
+      assert.equal(api.requests.length, 2);
+
+      await client.callTool('update_project', { id: 1, patch: true, notes: 'Phase 2' });
+      await client.callTool('get_projects');
+      assert.deepEqual(sentRequests().slice(2).map((sent) => `${sent.method} ${sent.path}`), ['GET /projects/1', 'PUT /projects/1', 'GET /projects']);
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('drops cached projects when time is written', async () => {
+    const client = await startServer({ TIMECHIMP_CACHE: 'true' });
+    try {
+      await client.callTool('get_project_by_id', { id: 1 });
+      await client.callTool('delete_time_entry', { id: 2 });
+      await client.callTool('get_project_by_id', { id: 1 });
+      assert.deepEqual(sentRequests().map((sent) => `${sent.method} ${sent.path}`), ['GET /projects/1', 'DELETE /times/2', 'GET /projects/1']);
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('keeps the cache file whole under concurrent reads', async () => {
+    const cacheFile = path.join(stateDir, 'cache.json');
+    const client = await startServer({ TIMECHIMP_CACHE: 'true', TIMECHIMP_CACHE_FILE: cacheFile });
+    try {
+      await Promise.all([
+        client.callTool('get_projects'),
+        client.callTool('get_customers'),
+        client.callTool('get_users'),
+        client.callTool('get_tasks'),
+        client.callTool('get_tags'),
+        client.callTool('get_mileage_vehicles'),
+      ]);
+      assert.equal(Object.keys(JSON.parse(await fs.readFile(cacheFile, 'utf8'))).length, 6);
+    } finally {
+      await client.close();
+    }
+  });
+});
+
+describe('fixtures', () => {
+  it('records responses without secrets or personal data and replays them offline', async () => {
+    const fixtureDir = path.join(stateDir, 'fixtures');
+    const recorder = await startServer({ TIMECHIMP_RECORD: fixtureDir });
+    let recorded;
+    try {
+      recorded = await Promise.all([
+        recorder.callTool('get_projects', { filter: "code ne 'INT'" }),
+        recorder.callTool('get_customer_by_id', { id: 99 }),
+      ]);
+      await recorder.callTool('update_task', { id: 4, name: 'Internal meeting' });
+      await recorder.callTool('get_customer_by_id', { id: 1 });
+    } finally {
+      await recorder.close();
+    }
+
+    const files = await fs.readdir(fixtureDir);
+    assert.equal(files.length, 5);
+    for (const file of files) {
+      const content = await fs.readFile(path.join(fixtureDir, file), 'utf8');
+      for (const secret of [api.apiKey, 'finance@acme.example', '+31 20 123 4567']) {
+        assert.ok(!content.includes(secret), `${file} contains ${secret}`);
+      }
+    }
+
+    api.reset();
+    const replayer = await startServer({
+      TIMECHIMP_REPLAY: fixtureDir,
+      TIMECHIMP_API_KEY: '',
+      TIMECHIMP_BASE_URL: 'http://127.0.0.1:9',
+    });
+    try {
+      assert.deepEqual(await replayer.callTool('get_projects', { filter: "code ne 'INT'" }), recorded[0]);
+      assert.deepEqual(await replayer.callTool('get_customer_by_id', { id: 99 }), recorded[1]);
+      assert.match(text(await replayer.callTool('update_task', { id: 4, name: 'Internal meeting' })), /"name": "Internal meeting"/);
+
+      const missing = await replayer.callTool('get_tags');
+      assert.equal(missing.isError, true);
+      assert.match(text(missing), /No recorded response for GET \/tags in /);
+      assert.equal(json(await replayer.callTool('get_customer_by_id', { id: 1 })).email, '[REDACTED]');
+      assert.deepEqual(json(await replayer.callTool('get_diagnostics')).fixtures, { mode: 'replay', dir: fixtureDir, replayed: 5, misses: 1 });
+      assert.deepEqual(sentRequests(), []);
+    } finally {
+      await replayer.close();
+    }
+  });
+
+  it('keeps the fixtures of profiles apart', async () => {
+    const fixtureDir = path.join(stateDir, 'fixtures-per-profile');
+    const profilesFile = path.join(stateDir, 'fixture-profiles.json');
+    await fs.writeFile(profilesFile, JSON.stringify({
+      profiles: { agency: { apiKey: api.apiKey, baseUrl }, sister: { apiKey: api.apiKey, baseUrl } },
+    }));
+    const recorder = await startServer({ TIMECHIMP_RECORD: fixtureDir, TIMECHIMP_PROFILES_FILE: profilesFile, TIMECHIMP_FIXTURE_REDACT: 'notes' });
+    try {
+      await recorder.callTool('get_customer_by_id', { id: 1 });
+    } finally {
+      await recorder.close();
+    }
+    const [file] = await fs.readdir(fixtureDir);
+    const { request, responses } = JSON.parse(await fs.readFile(path.join(fixtureDir, file), 'utf8'));
+    assert.deepEqual(request, { profile: 'agency', method: 'GET', path: '/customers/1', body: null });
+    assert.equal(responses[0].body.email, 'finance@acme.example');
+
+    const replayer = await startServer({ TIMECHIMP_REPLAY: fixtureDir, TIMECHIMP_PROFILES_FILE: profilesFile });
+    try {
+      assert.equal(json(await replayer.callTool('get_customer_by_id', { id: 1 })).name, 'Acme Corporation');
+      assert.match(text(await replayer.callTool('get_customer_by_id', { id: 1, profile: 'sister' })), /No recorded response for GET \/customers\/1 in /);
+    } finally {
+      await replayer.close();
+    }
+  });
 });
 
-server.on('close', (code) => {
-  if (code !== 0 && code !== null) {
-    console.error(`❌ Server exited with code ${code}`);
-    if (errorOutput) {
-      console.error('Error output:', errorOutput);
+describe('resources', () => {
+  let client;
+
+  before(async () => {
+    client = await startServer({ TIMECHIMP_USER_ID: '2' });
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  it('lists the resource templates', async () => {
+    const { resourceTemplates } = (await client.request('resources/templates/list')).result;
+    const uriTemplates = resourceTemplates.map((template) => template.uriTemplate);
+    assert.ok(uriTemplates.includes('timechimp://projects/{id}'));
+    assert.ok(uriTemplates.includes('timechimp://customers/{id}'));
+    assert.ok(uriTemplates.includes('timechimp://users/{id}/week/{week}'));
+  });
+
+  it('lists the current user and their timesheet for this week', async () => {
+    const { resources } = (await client.request('resources/list')).result;
+    assert.deepEqual(resources.map((resource) => resource.uri.replace(/\d{4}-W\d{2}$/, '<week>')), ['timechimp://users/me', 'timechimp://users/me/week/<week>']);
+  });
+
+  it('reads an entity by URI', async () => {
+    const { contents } = (await client.request('resources/read', { uri: 'timechimp://projects/1' })).result;
+    assert.equal(contents[0].uri, 'timechimp://projects/1');
+    assert.equal(contents[0].mimeType, 'application/json');
+    assert.equal(JSON.parse(contents[0].text).projectTasks.length, 2);
+    assert.deepEqual(sentRequests(), [request('GET', '/projects/1', { query: { $expand: 'projectTasks,projectUsers' } })]);
+  });
+
+  it('reads a weekly timesheet of the current user', async () => {
+    const { contents } = (await client.request('resources/read', { uri: 'timechimp://users/me/week/2026-W42' })).result;
+    const timesheet = JSON.parse(contents[0].text);
+    assert.equal(timesheet.from, '2026-10-12');
+    assert.equal(timesheet.to, '2026-10-18');
+    assert.equal(timesheet.totalHours, 18);
+    assert.equal(timesheet.hoursPerDay['2026-10-15'], 8);
+    assert.deepEqual(timesheet.timeEntries.map((entry) => entry.id), [1, 4, 6]);
+    assert.equal(sentRequests()[0].query.$filter, 'user/id eq 2 and date ge 2026-10-12 and date le 2026-10-18');
+  });
+
+  it('rejects unknown URIs and weeks', async () => {
+    assert.equal((await client.request('resources/read', { uri: 'timechimp://timesheets/1' })).error.code, -32602);
+    assert.match((await client.request('resources/read', { uri: 'timechimp://users/2/week/2026-W54' })).error.message, /2026-W54 is not an ISO week of 2026/);
+    assert.match((await client.request('resources/read', { uri: 'timechimp://customers/99' })).error.message, /Customer 99 was not found/);
+  });
+
+  it('needs the user ID to resolve "me"', async () => {
+    const anonymous = await startServer();
+    try {
+      assert.deepEqual((await anonymous.request('resources/list')).result.resources, []);
+      const { error } = await anonymous.request('resources/read', { uri: 'timechimp://users/me' });
+      assert.match(error.message, /Set TIMECHIMP_USER_ID/);
+    } finally {
+      await anonymous.close();
     }
+  });
+});
+
+describe('prompts', () => {
+  let client;
+
+  before(async () => {
+    client = await startServer({ TIMECHIMP_USER_ID: '2' });
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  async function getPrompt(name, args) {
+    const { result, error } = await client.request('prompts/get', { name, arguments: args });
+    assert.equal(error, undefined, JSON.stringify(error));
+    assert.equal(result.messages.length, 1);
+    return result.messages[0].content.text;
   }
-}); 
\ No newline at end of file
+
+  it('lists the prompts', async () => {
+    const { prompts } = (await client.request('prompts/list')).result;
+    assert.deepEqual(prompts.map((prompt) => prompt.name), ['weekly_timesheet_review', 'project_budget_health', 'month_end_invoicing_prep', 'expense_approval_triage']);
+    assert.deepEqual(prompts[1].arguments, [{ name: 'project_id', description: 'Project ID', required: true }]);
+  });
+
+  it('embeds the timesheet in the weekly review', async () => {
+    const prompt = await getPrompt('weekly_timesheet_review', { week: '2026-W42' });
+    assert.match(prompt, /^Review the timesheet of Alex Developer for 2026-W42 \(2026-10-12 to 2026-10-18\)/);
+    assert.match(prompt, /"totalHours": 18/);
+    assert.deepEqual(sentRequests().map((sent) => `${sent.method} ${sent.path}`), ['GET /users/2', 'GET /times']);
+  });
+
+  it('embeds the project and its insights in the budget health check', async () => {
+    const prompt = await getPrompt('project_budget_health', { project_id: '1' });
+    assert.match(prompt, /budget health of project Website Redesign/);
+    assert.match(prompt, /## Insights\n\n```json\n\{\n {2}"projectId": 1/);
+    assert.deepEqual(sentRequests().map((sent) => `${sent.method} ${sent.path}`), ['GET /projects/1', 'GET /projects/1/insights', 'GET /times']);
+  });
+
+  it('embeds a month of billable data in the invoicing prep', async () => {
+    const prompt = await getPrompt('month_end_invoicing_prep', { customer_id: '1', month: '2026-10' });
+    assert.match(prompt, /invoice of Acme Corporation for 2026-10 \(2026-10-01 to 2026-10-31\)/);
+    const requests = sentRequests();
+    assert.deepEqual(requests.map((sent) => `${sent.method} ${sent.path}`), ['GET /customers/1', 'GET /times', 'GET /expenses', 'GET /mileage', 'GET /invoices']);
+    assert.equal(requests[1].query.$filter, 'customer/id eq 1 and date ge 2026-10-01 and date le 2026-10-31');
+  });
+
+  it('embeds the pending expenses in the approval triage', async () => {
+    const prompt = await getPrompt('expense_approval_triage', { user_id: '2' });
+    assert.match(prompt, /^Triage the 1 expenses awaiting approval/);
+    assert.equal(sentRequests()[0].query.$filter, "user/id eq 2 and status eq 'PendingApproval'");
+  });
+
+  it('rejects unknown prompts and invalid arguments', async () => {
+    assert.match((await client.request('prompts/get', { name: 'weekly_report' })).error.message, /Unknown prompt: weekly_report/);
+    const { error } = await client.request('prompts/get', { name: 'month_end_invoicing_prep', arguments: { month: '2026-13' } });
+    assert.equal(error.code, -32602);
+    assert.match(error.message, /- month: must match the pattern/);
+    assert.match(error.message, /- customer_id: is required/);
+    assert.deepEqual(sentRequests(), []);
+  });
+});
@@ -11,2885 +11,6231 @@
  * Base URL: https://v2.api.timechimp.com
  */
 
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+import { promises as fs, readFileSync, realpathSync } from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
   CallToolRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 
+/**
+ * Client-side limiter shared by all TimeChimp API calls: a token bucket caps the
+ * request rate and a semaphore caps the number of requests in flight.
+ */
+class RateLimiter {
+  constructor({ requestsPerMinute, burst, maxConcurrency }) {
+    this.requestsPerMinute = requestsPerMinute;
+    this.burst = burst;
+    this.maxConcurrency = maxConcurrency;
+    this.tokens = burst;
+    this.lastRefill = Date.now();
+    this.tokenQueue = Promise.resolve();
+    this.waitingForToken = 0;
+    this.inFlight = 0;
+    this.waitingForSlot = [];
+    this.totalRequests = 0;
+    this.throttledRequests = 0;
+  }
+
+  /**
+   * Run a task once a concurrency slot and a rate limit token are available
+   */
+  async schedule(task) {
+    await this.acquireSlot();
+    try {
+      await this.takeToken();
+      this.totalRequests += 1;
+      return await task();
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  async acquireSlot() {
+    if (this.maxConcurrency <= 0 || this.inFlight < this.maxConcurrency) {
+      this.inFlight += 1;
+      return;
+    }
+    // The releasing task hands its slot over, so inFlight stays the same
+    await new Promise((resolve) => this.waitingForSlot.push(resolve));
+  }
+
+  releaseSlot() {
+    const next = this.waitingForSlot.shift();
+    if (next) {
+      next();
+    } else {
+      this.inFlight -= 1;
+    }
+  }
+
+  refill() {
+    const now = Date.now();
+    const refilled = ((now - this.lastRefill) * this.requestsPerMinute) / 60000;
+    this.tokens = Math.min(this.burst, this.tokens + refilled);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Take a token, waiting in line behind earlier callers when the bucket is empty
+   */
+  takeToken() {
+    if (this.requestsPerMinute <= 0) {
+      return Promise.resolve();
+    }
+
+    this.waitingForToken += 1;
+    const turn = this.tokenQueue.then(async () => {
+      this.refill();
+      if (this.tokens < 1) {
+        this.throttledRequests += 1;
+        await new Promise((resolve) => setTimeout(resolve, ((1 - this.tokens) * 60000) / this.requestsPerMinute));
+        this.refill();
+      }
+      this.tokens = Math.max(this.tokens - 1, 0);
+      this.waitingForToken -= 1;
+    });
+    this.tokenQueue = turn;
+    return turn;
+  }
+
+  status() {
+    if (this.requestsPerMinute > 0) {
+      this.refill();
+    }
+    return {
+      requestsPerMinute: this.requestsPerMinute,
+      burst: this.burst,
+      availableTokens: this.requestsPerMinute > 0 ? Math.floor(this.tokens * 100) / 100 : null,
+      maxConcurrency: this.maxConcurrency,
+      inFlight: this.inFlight,
+      queued: this.waitingForSlot.length + this.waitingForToken,
+      totalRequests: this.totalRequests,
+      throttledRequests: this.throttledRequests,
+    };
+  }
+}
+
+/**
+ * Read-through cache for GET responses of rarely changing reference data, keyed on
+ * endpoint plus query string. Entries expire after a TTL per entity type and can
+ * optionally be persisted to a JSON file.
+ */
+class ResponseCache {
+  constructor({ ttls, file = null }) {
+    this.ttls = ttls;
+    this.file = file;
+    this.entries = new Map();
+    this.loaded = !file;
+    this.writeQueue = Promise.resolve();
+    // Entity types whose cached responses derive from another type: projects report the hours,
+    // expenses and mileage booked on them
+    this.derived = {
+      times: ['projects'],
+      expenses: ['projects'],
+      mileage: ['projects'],
+    };
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Get the entity type of a cacheable endpoint (a collection or a single entity), or null
+   */
+  entityOf(endpoint) {
+    const segments = endpoint.split('?')[0].split('/').filter(Boolean);
+    const entity = segments[0];
+    return segments.length <= 2 && this.ttls[entity] > 0 ? entity : null;
+  }
+
+  async load() {
+    if (this.loaded) return;
+    this.loaded = true;
+    try {
+      const stored = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      for (const [key, entry] of Object.entries(stored)) {
+        if (entry.expires > Date.now()) {
+          this.entries.set(key, entry);
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Ignoring unreadable cache file ${this.file}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Write the entries to the cache file. Writes are queued so concurrent calls never interleave,
+   * and each goes to a temporary file first so a crash cannot leave a torn cache file.
+   */
+  async save() {
+    if (!this.file) return;
+    const write = this.writeQueue.then(async () => {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.writeFile(`${this.file}.tmp`, JSON.stringify(Object.fromEntries(this.entries)));
+      await fs.rename(`${this.file}.tmp`, this.file);
+    });
+    this.writeQueue = write.catch(() => {});
+    try {
+      await write;
+    } catch (error) {
+      console.error(`Failed to write cache file ${this.file}: ${error.message}`);
+    }
+  }
+
+  async get(key) {
+    await this.load();
+    const entry = this.entries.get(key);
+    if (entry && entry.expires > Date.now()) {
+      this.hits += 1;
+      return entry.data;
+    }
+    this.misses += 1;
+    return undefined;
+  }
+
+  async set(key, entity, data) {
+    await this.load();
+    this.entries.set(key, { entity, expires: Date.now() + this.ttls[entity] * 1000, data });
+    await this.save();
+  }
+
+  /**
+   * Drop every cached response of an entity type and of the types derived from it
+   */
+  async invalidate(entity) {
+    await this.load();
+    const stale = [entity, ...(this.derived[entity] || [])];
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (stale.includes(entry.entity)) {
+        this.entries.delete(key);
+        removed += 1;
+      }
+    }
+    if (removed > 0) {
+      await this.save();
+    }
+  }
+
+  status() {
+    return {
+      ttls: this.ttls,
+      file: this.file,
+      entries: this.entries.size,
+      hits: this.hits,
+      misses: this.misses,
+    };
+  }
+}
+
+/**
+ * Personal data fields redacted from fixtures unless TIMECHIMP_FIXTURE_REDACT says otherwise
+ */
+const DEFAULT_FIXTURE_REDACT = [
+  'email', 'phone', 'mobile', 'address', 'postalCode', 'city', 'iban', 'bic', 'citizenServiceNumber', 'dateOfBirth',
+];
+
+/**
+ * Record/replay layer for TimeChimp HTTP traffic, used in place of fetch. In record mode real
+ * responses are saved as JSON fixture files with secrets and personal data scrubbed; in replay mode
+ * they are served from those files without network access or an API key. Requests match on
+ * profile, method, path with query string and body, and repeated requests replay their responses
+ * in the order they were recorded.
+ */
+class HttpFixtures {
+  constructor({ mode, dir, redact = DEFAULT_FIXTURE_REDACT, upstream = fetch }) {
+    this.mode = mode;
+    this.dir = dir;
+    this.redact = new Set(redact.map((field) => field.toLowerCase()));
+    this.upstream = upstream;
+    this.recorded = new Map();
+    this.replayed = new Map();
+    this.writeQueue = Promise.resolve();
+    this.misses = 0;
+  }
+
+  /**
+   * Replace secrets and personal data with a placeholder: values of secret-looking properties and
+   * headers, of the personal data fields in this.redact, and the API key wherever it appears
+   */
+  scrub(value, apiKey) {
+    if (typeof value === 'string') {
+      return apiKey ? value.split(apiKey).join('[REDACTED]') : value;
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => this.scrub(item, apiKey));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        /^(api-?key|authorization|cookie|password|secret|(access|refresh)?-?token)$/i.test(key.replace(/_/g, '-'))
+          || (this.redact.has(key.toLowerCase()) && item !== null)
+          ? '[REDACTED]'
+          : this.scrub(item, apiKey),
+      ]));
+    }
+    return value;
+  }
+
+  parseBody(text) {
+    if (!text) return null;
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+
+  /**
+   * Describe a request the way fixtures store it, scrubbed, and the file its responses live in.
+   * The profile name is part of the request, so the fixtures of different profiles never replace
+   * or replay each other, while the API key and base URL are not: fixtures replay with any key.
+   * The file is named after the request before scrubbing, so requests that only differ in
+   * personal data get their own fixtures.
+   */
+  describe(url, options, profile = null) {
+    const headers = options.headers || {};
+    const apiKey = headers['api-key'];
+    const { pathname, search } = new URL(url);
+    const method = (options.method || 'GET').toUpperCase();
+    const body = this.parseBody(options.body);
+    const request = {
+      ...(profile && { profile }),
+      method,
+      path: this.scrub(`${pathname}${search}`, apiKey),
+      body: this.scrub(body, apiKey),
+    };
+    const hash = crypto.createHash('sha256')
+      .update(JSON.stringify({ ...request, path: `${pathname}${search}`, body }))
+      .digest('hex')
+      .slice(0, 12);
+    const name = `${method}${pathname.replace(/[^\w]+/g, '-')}`.slice(0, 80);
+    return { request, apiKey, key: hash, file: path.join(this.dir, `${name}-${hash}.json`) };
+  }
+
+  async fetch(url, options = {}, profile = null) {
+    return this.mode === 'replay' ? this.replay(url, options, profile) : this.record(url, options, profile);
+  }
+
+  /**
+   * Send the request and save its response. Fixtures written by an earlier run are replaced the
+   * first time this run sends the same request.
+   */
+  async record(url, options, profile) {
+    const response = await this.upstream(url, options);
+    const body = await response.text();
+    const { request, apiKey, key, file } = this.describe(url, options, profile);
+
+    const headers = {};
+    for (const name of ['content-type', 'retry-after', 'location']) {
+      if (response.headers.get(name) !== null) {
+        headers[name] = response.headers.get(name);
+      }
+    }
+    const responses = this.recorded.get(key) || [];
+    responses.push({
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+      body: this.scrub(this.parseBody(body), apiKey),
+    });
+    this.recorded.set(key, responses);
+
+    const write = this.writeQueue.then(async () => {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(file, `${JSON.stringify({ request, responses }, null, 2)}\n`);
+    });
+    this.writeQueue = write.catch(() => {});
+    try {
+      await write;
+    } catch (error) {
+      console.error(`Failed to write fixture ${file}: ${error.message}`);
+    }
+
+    return new Response(body || null, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+    });
+  }
+
+  /**
+   * Serve the next recorded response for the request; the last one repeats once all have been served
+   */
+  async replay(url, options, profile) {
+    const { request, key, file } = this.describe(url, options, profile);
+
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      this.misses += 1;
+      throw new Error(`No recorded response for ${request.method} ${request.path} in ${this.dir}${error.code === 'ENOENT' ? '' : ` (${error.message})`}`);
+    }
+
+    const served = this.replayed.get(key) || 0;
+    this.replayed.set(key, served + 1);
+    const { status, statusText, headers, body } = fixture.responses[Math.min(served, fixture.responses.length - 1)];
+    return new Response(body === null ? null : typeof body === 'string' ? body : JSON.stringify(body), {
+      status,
+      statusText,
+      headers,
+    });
+  }
+
+  status() {
+    const count = (map) => [...map.values()].reduce((total, value) => total + (Array.isArray(value) ? value.length : value), 0);
+    return {
+      mode: this.mode,
+      dir: this.dir,
+      ...(this.mode === 'record' ? { recorded: count(this.recorded) } : { replayed: count(this.replayed), misses: this.misses }),
+    };
+  }
+}
+
 class TimechimpMCPServer {
   constructor() {
-    this.server = new Server(
+    this.apiKey = process.env.TIMECHIMP_API_KEY;
+    this.userId = process.env.TIMECHIMP_USER_ID ? parseInt(process.env.TIMECHIMP_USER_ID, 10) : null;
+    this.baseUrl = (process.env.TIMECHIMP_BASE_URL || 'https://v2.api.timechimp.com').replace(/\/+$/, '');
+    this.stateDir = process.env.TIMECHIMP_STATE_DIR || path.join(os.homedir(), '.timechimp-mcp');
+    this.timeZone = this.parseTimeZone(process.env.TIMECHIMP_TIME_ZONE);
+    this.timerQueue = Promise.resolve();
+    this.maxRecords = parseInt(process.env.TIMECHIMP_MAX_RECORDS || '10000', 10);
+    this.maxRetries = parseInt(process.env.TIMECHIMP_MAX_RETRIES || '3', 10);
+    this.retryBaseDelay = parseInt(process.env.TIMECHIMP_RETRY_BASE_DELAY_MS || '500', 10);
+    this.retryMaxDelay = parseInt(process.env.TIMECHIMP_RETRY_MAX_DELAY_MS || '30000', 10);
+    this.requestTimeout = parseInt(process.env.TIMECHIMP_REQUEST_TIMEOUT_MS || '30000', 10);
+    this.rateLimiter = new RateLimiter({
+      requestsPerMinute: parseInt(process.env.TIMECHIMP_RATE_LIMIT_PER_MINUTE || '100', 10),
+      burst: parseInt(process.env.TIMECHIMP_RATE_LIMIT_BURST || '10', 10),
+      maxConcurrency: parseInt(process.env.TIMECHIMP_MAX_CONCURRENCY || '5', 10),
+    });
+    this.cache = process.env.TIMECHIMP_CACHE === 'false' ? null : new ResponseCache({
+      ttls: this.parseCacheTtls(process.env.TIMECHIMP_CACHE_TTL),
+      file: process.env.TIMECHIMP_CACHE_FILE || null,
+    });
+    this.fixtures = this.createFixtures(process.env.TIMECHIMP_RECORD, process.env.TIMECHIMP_REPLAY);
+    this.fetch = this.fixtures ? (url, options) => this.fixtures.fetch(url, options, this.currentAccount().profile) : fetch;
+
+    this.transport = process.argv.includes('--http') ? 'http' : (process.env.TIMECHIMP_TRANSPORT || 'stdio');
+    this.httpHost = process.env.TIMECHIMP_HTTP_HOST || '127.0.0.1';
+    this.httpPort = parseInt(process.env.TIMECHIMP_HTTP_PORT || '3000', 10);
+    this.authFile = process.env.TIMECHIMP_AUTH_FILE || null;
+    this.requestContext = new AsyncLocalStorage();
+    this.loadProfiles(process.env.TIMECHIMP_PROFILES_FILE);
+    this.mode = this.parseMode(process.env.TIMECHIMP_MODE || 'full', 'TIMECHIMP_MODE');
+    this.dryRun = process.env.TIMECHIMP_DRY_RUN === 'true';
+    this.confirmDeletes = process.env.TIMECHIMP_CONFIRM_DELETES !== 'false';
+    this.confirmationTtl = parseInt(process.env.TIMECHIMP_CONFIRMATION_TTL_SECONDS || '120', 10);
+    this.confirmations = new Map();
+    this.tools = new Map();
+    this.registerBuiltinTools();
+    this.prompts = new Map();
+    this.registerBuiltinPrompts();
+    this.auditFile = process.env.TIMECHIMP_AUDIT === 'false'
+      ? null
+      : process.env.TIMECHIMP_AUDIT_FILE || path.join(this.stateDir, 'audit.jsonl');
+    this.auditScope = this.parseAuditScope(process.env.TIMECHIMP_AUDIT_SCOPE || 'own', 'TIMECHIMP_AUDIT_SCOPE');
+    this.journalFile = process.env.TIMECHIMP_UNDO === 'false'
+      ? null
+      : process.env.TIMECHIMP_UNDO_FILE || path.join(this.stateDir, 'journal.jsonl');
+
+    this.server = this.createServer();
+  }
+
+  /**
+   * Create an MCP server with all tool, resource and prompt handlers. The HTTP transport creates one per client session,
+   * all sharing the rate limiter and cache of this instance. Tool calls run with the given
+   * client context, which can carry its own TimeChimp API key.
+   */
+  createServer(context = {}) {
+    const server = new Server(
       {
         name: 'timechimp-mcp-server',
-        version: '0.7.0',
+        version: '0.8.0',
       },
       {
         capabilities: {
           tools: {},
+          resources: {},
+          prompts: {},
         },
       }
     );
 
-    this.apiKey = process.env.TIMECHIMP_API_KEY;
-    this.baseUrl = 'https://v2.api.timechimp.com';
-
-    this.setupToolHandlers();
+    this.setupToolHandlers(server, context);
+    this.setupResourceHandlers(server, context);
+    this.setupPromptHandlers(server, context);
+    return server;
   }
 
   /**
-   * Make an authenticated request to the TimeChimp API
+   * The time zone that dates of time entries are taken in (default: the system time zone)
    */
-  async makeRequest(endpoint, options = {}) {
-    if (!this.apiKey) {
-      throw new McpError(
-        ErrorCode.InvalidRequest,
-        'TIMECHIMP_API_KEY environment variable is required'
-      );
+  parseTimeZone(timeZone) {
+    if (!timeZone) return Intl.DateTimeFormat().resolvedOptions().timeZone;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (error) {
+      throw new Error(`TIMECHIMP_TIME_ZONE must be an IANA time zone such as Europe/Amsterdam (got "${timeZone}")`);
     }
+    return timeZone;
+  }
 
-    const url = `${this.baseUrl}${endpoint}`;
-    const headers = {
-      'api-key': this.apiKey,
-      'Content-Type': 'application/json',
-      'Accept': 'application/json',
-      'api-version': '2.0',
-      ...options.headers,
+  /**
+   * The calendar date (YYYY-MM-DD) of a moment in TIMECHIMP_TIME_ZONE, so work done just after
+   * midnight is booked on the day it was done rather than the UTC day
+   */
+  localDate(moment = new Date()) {
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: this.timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    }).format(new Date(moment));
+  }
+
+  /**
+   * Parse cache TTLs in seconds from "projects=300,tags=3600" on top of the defaults
+   */
+  parseCacheTtls(value = '') {
+    const ttls = {
+      projects: 300,
+      customers: 900,
+      users: 900,
+      tasks: 900,
+      tags: 3600,
+      mileageVehicles: 3600,
     };
+    for (const pair of value.split(',').filter(Boolean)) {
+      const [entity, seconds] = pair.split('=').map((part) => part.trim());
+      ttls[entity] = parseInt(seconds, 10) || 0;
+    }
+    return ttls;
+  }
 
-    try {
-      const response = await fetch(url, {
-        ...options,
-        headers,
-      });
+  /**
+   * Load named TimeChimp account profiles from a JSON file of the form
+   * { "default": "agency", "profiles": { "agency": { "apiKey": "...", "baseUrl": "...", "defaults": { "<tool>": { ... } } } } }
+   */
+  loadProfiles(file) {
+    this.profiles = {};
+    this.defaultProfile = null;
+    if (!file) return;
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new McpError(
-          ErrorCode.InternalError,
-          `TimeChimp API error: ${response.status} ${response.statusText} - ${errorText}`
-        );
+    const config = JSON.parse(readFileSync(file, 'utf8'));
+    const names = Object.keys(config.profiles || {});
+    if (names.length === 0) {
+      throw new Error(`${file} must contain at least one profile in "profiles"`);
+    }
+    if (config.default && !names.includes(config.default)) {
+      throw new Error(`Default profile "${config.default}" is not defined in ${file}`);
+    }
+    for (const name of names) {
+      if (!/^[\w.-]+$/.test(name)) {
+        throw new Error(`Profile name "${name}" in ${file} may only contain letters, digits, ".", "_" and "-"`);
       }
+    }
 
-      const data = await response.json();
-      return data;
-    } catch (error) {
-      if (error instanceof McpError) {
-        throw error;
-      }
+    this.profiles = config.profiles;
+    this.defaultProfile = config.default || names[0];
+  }
+
+  /**
+   * Resolve the TimeChimp account for the current tool call: the profile given with the call,
+   * else the profile switched to in this session, else the default profile. Authenticated HTTP
+   * clients always use their own API key, optionally one per profile.
+   */
+  currentAccount() {
+    const { session = {}, profile: callProfile } = this.requestContext.getStore() || {};
+    const name = callProfile || session.profile || this.defaultProfile;
+    if (name && !this.profiles[name]) {
       throw new McpError(
-        ErrorCode.InternalError,
-        `Request failed: ${error.message}`
+        ErrorCode.InvalidParams,
+        `Unknown profile: ${name}. Available profiles: ${Object.keys(this.profiles).join(', ') || 'none'}`
       );
     }
+
+    const profile = name ? this.profiles[name] : {};
+    let apiKey = profile.apiKey || this.apiKey;
+    let userId = profile.userId || this.userId;
+    if (session.client) {
+      apiKey = typeof session.client.apiKey === 'string' ? session.client.apiKey : session.client.apiKey[name];
+      if (!apiKey) {
+        throw new McpError(
+          ErrorCode.InvalidRequest,
+          `Client ${session.client.name} has no API key for profile ${name}`
+        );
+      }
+      // A client is only ever its own user, never the one configured for the server or profile
+      userId = session.client.userId !== null && typeof session.client.userId === 'object'
+        ? session.client.userId[name]
+        : session.client.userId;
+    }
+
+    return {
+      profile: name,
+      client: session.client ? session.client.name : null,
+      apiKey,
+      baseUrl: profile.baseUrl || this.baseUrl,
+      defaults: profile.defaults || {},
+      userId: userId || null,
+    };
   }
 
-  setupToolHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+  /**
+   * Run a tool call with its session, per-call profile, dry-run state and the tool call itself
+   * (for the audit log) available to makeRequest.
+   * In dry-run mode the result is replaced by the write requests the tool would have sent.
+   */
+  async runToolCall(session, request, handler) {
+    const args = request.params.arguments || {};
+    const store = {
+      session,
+      tool: request.params.name,
+      args,
+      profile: args.profile,
+      dryRun: this.dryRun || args.dry_run === true,
+      dryRunRequests: [],
+    };
+
+    return await this.requestContext.run(store, async () => {
+      const result = await handler();
+      if (!store.dryRun || result.isError || store.dryRunRequests.length === 0) {
+        return result;
+      }
+
       return {
-        tools: [
-          // Projects
+        content: [
           {
-            name: 'get_projects',
-            description: 'Retrieve all projects from TimeChimp',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                top: {
-                  type: 'number',
-                  description: 'Maximum number of projects to return (1-10000, default: 100)',
-                  minimum: 1,
-                  maximum: 10000,
-                },
-                skip: {
-                  type: 'number',
-                  description: 'Number of projects to skip for pagination (default: 0)',
-                  minimum: 0,
-                },
-                count: {
-                  type: 'boolean',
-                  description: 'Whether to include the total count of results (default: true)',
-                },
-                expand: {
-                  type: 'string',
-                  description: 'Comma-delimited list of properties to expand (e.g., "customer,tasks")',
-                },
-                active_only: {
-                  type: 'boolean',
-                  description: 'Only return active projects (default: false)',
-                },
-                filter: {
-                  type: 'string',
-                  description: 'OData filter expression (e.g., "name eq \'Project Name\'" or "active eq true")',
-                },
-                orderby: {
-                  type: 'string',
-                  description: 'OData orderby expression (e.g., "name desc" or "createdAt desc")',
-                },
-              },
-              additionalProperties: false,
-            },
+            type: 'text',
+            text: JSON.stringify({ dryRun: true, requests: store.dryRunRequests }, null, 2),
           },
-          {
-            name: 'get_project_by_id',
-            description: 'Get a specific project by ID',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                id: {
-                  type: 'number',
-                  description: 'Project ID',
-                },
-                expand: {
-                  type: 'string',
-                  description: 'Comma-delimited list of properties to expand',
-                },
-              },
-              required: ['id'],
-              additionalProperties: false,
-            },
+        ],
+      };
+    });
+  }
+
+  isDryRun() {
+    return Boolean(this.requestContext.getStore()?.dryRun);
+  }
+
+  /**
+   * Fill in the active profile's defaults for the tool
+   */
+  applyProfileDefaults(name, args = {}) {
+    return {
+      ...(this.currentAccount().defaults[name] || {}),
+      ...args,
+    };
+  }
+
+  /**
+   * Advertise the optional profile argument on every tool when profiles are configured
+   */
+  addProfileArgument(tools) {
+    const names = Object.keys(this.profiles);
+    if (names.length === 0) return tools;
+
+    return tools.map((tool) => ['list_profiles', 'switch_profile'].includes(tool.name) ? tool : {
+      ...tool,
+      inputSchema: {
+        ...tool.inputSchema,
+        properties: {
+          ...tool.inputSchema.properties,
+          profile: {
+            type: 'string',
+            description: 'TimeChimp profile to use for this call (default: the active profile)',
+            enum: names,
           },
-          {
-            name: 'create_project',
-            description: 'Create a new project',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                name: {
-                  type: 'string',
-                  description: 'The project name',
-                },
-                active: {
-                  type: 'boolean',
-                  description: 'Whether the project can be used (default: true)',
-                },
-                code: {
-                  type: 'string',
-                  description: 'The project code',
-                },
-                notes: {
-                  type: 'string',
-                  description: 'The project description',
-                },
-                color: {
-                  type: 'string',
-                  description: 'The project color',
-                },
-                startDate: {
-                  type: 'string',
-                  description: 'The project start date (YYYY-MM-DD format)',
-                  pattern: '^\\d{4}-\\d{2}-\\d{2}$',
-                },
-                endDate: {
-                  type: 'string',
-                  description: 'The project end date (YYYY-MM-DD format)',
-                  pattern: '^\\d{4}-\\d{2}-\\d{2}$',
-                },
-                invoicing: {
-                  type: 'object',
-                  description: 'The project invoicing settings',
-                  properties: {
-                    method: {
-                      type: 'string',
-                      description: 'The project invoicing method used',
-                      enum: ['NoInvoicing', 'TaskHourlyRate', 'UserHourlyRate', 'ProjectHourlyRate', 'CustomerHourlyRate', 'ProjectRate', 'TaskRate'],
-                    },
-                    hourlyRate: {
-                      type: 'number',
-                      description: 'The hourly rate of the project (only used when invoicing method = ProjectHourlyRate)',
-                    },
-                    fixedRate: {
-                      type: 'number',
-                      description: 'The fixed rate/price of the project (only used when invoicing method = ProjectRate)',
-                    },
-                    reference: {
-                      type: 'string',
-                      description: 'The project invoicing reference',
+        },
+      },
+    });
+  }
+
+  /**
+   * Set up recording to or replaying from the fixture directory in TIMECHIMP_RECORD or TIMECHIMP_REPLAY.
+   * TIMECHIMP_FIXTURE_REDACT replaces the default list of personal data fields to redact.
+   */
+  createFixtures(recordDir, replayDir) {
+    if (recordDir && replayDir) {
+      throw new Error('TIMECHIMP_RECORD and TIMECHIMP_REPLAY cannot be used together');
+    }
+    if (!recordDir && !replayDir) return null;
+    const redact = process.env.TIMECHIMP_FIXTURE_REDACT;
+    return new HttpFixtures({
+      mode: recordDir ? 'record' : 'replay',
+      dir: path.resolve(recordDir || replayDir),
+      ...(redact !== undefined && { redact: redact.split(',').map((field) => field.trim()).filter(Boolean) }),
+    });
+  }
+
+  parseMode(mode, source) {
+    if (!['full', 'safe', 'readonly'].includes(mode)) {
+      throw new Error(`${source} must be one of full, safe or readonly (got "${mode}")`);
+    }
+    return mode;
+  }
+
+  /**
+   * Which audit log entries get_audit_log shows: the caller's own (same client and profile) or all
+   */
+  parseAuditScope(scope, source) {
+    if (!['own', 'all'].includes(scope)) {
+      throw new Error(`${source} must be own or all (got "${scope}")`);
+    }
+    return scope;
+  }
+
+  /**
+   * Parse JSON lines, skipping lines that do not parse (such as one cut short by a crash)
+   */
+  parseJsonLines(text) {
+    return text.split('\n').filter(Boolean).flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        return [];
+      }
+    });
+  }
+
+  /**
+   * Classify a tool as read (no changes in TimeChimp), destructive (deletes and user creation,
+   * which can add cost) or write (everything else), from its declared access or HTTP method
+   */
+  toolAccess(name) {
+    const tool = this.tools.get(name) || {};
+    if (tool.access) return tool.access;
+    if (tool.method === 'GET') return 'read';
+    if (tool.method === 'DELETE') return 'destructive';
+    return 'write';
+  }
+
+  /**
+   * The mode of a session: the stricter of TIMECHIMP_MODE and the authenticated client's mode
+   */
+  sessionMode(session = {}) {
+    const modes = ['full', 'safe', 'readonly'];
+    const clientMode = session.client && session.client.mode ? session.client.mode : 'full';
+    return modes[Math.max(modes.indexOf(this.mode), modes.indexOf(clientMode))];
+  }
+
+  isToolAllowed(name, session = {}) {
+    const mode = this.sessionMode(session);
+    const access = this.toolAccess(name);
+    if (mode === 'readonly') return access === 'read';
+    if (mode === 'safe') return access !== 'destructive';
+    return true;
+  }
+
+  assertToolAllowed(name, session = {}) {
+    if (this.isToolAllowed(name, session)) return;
+
+    const mode = this.sessionMode(session);
+    throw new McpError(
+      ErrorCode.InvalidRequest,
+      mode === 'readonly'
+        ? `Tool ${name} is not available: the server runs in readonly mode, which only allows tools that read data`
+        : `Tool ${name} is not available: the server runs in safe mode, which does not allow deletes or creating users`
+    );
+  }
+
+  /**
+   * Build the advertised tool list for a session: hide tools its mode does not allow and add the
+   * dry_run and profile arguments
+   */
+  prepareToolList(session = {}) {
+    const tools = [...this.tools.values()]
+      .filter((tool) => this.isToolAllowed(tool.name, session))
+      .map(({ name, description, inputSchema, dryRun }) => ({ name, description, inputSchema, dryRun }));
+
+    return this.addProfileArgument(this.addDryRunArgument(tools))
+      .map(({ dryRun, ...tool }) => tool);
+  }
+
+  /**
+   * The tool as prepareToolList advertises it, with the dry_run and profile arguments it accepts
+   */
+  advertisedTool(tool) {
+    return this.addProfileArgument(this.addDryRunArgument([tool]))[0];
+  }
+
+  /**
+   * Advertise the dry_run argument on every tool that sends changes to TimeChimp
+   */
+  addDryRunArgument(tools) {
+    return tools.map((tool) => this.toolAccess(tool.name) === 'read' || tool.dryRun === false ? tool : {
+      ...tool,
+      inputSchema: {
+        ...tool.inputSchema,
+        properties: {
+          ...tool.inputSchema.properties,
+          dry_run: {
+            type: 'boolean',
+            description: 'Return the HTTP method, URL and JSON body that would be sent instead of calling TimeChimp (default: false)',
+          },
+        },
+      },
+    });
+  }
+
+  /**
+   * Two-step confirmation for destructive tools. Without a token, fetch the target record and
+   * return it with a one-time token; with a valid token for the same tool, record and account,
+   * return null so the caller proceeds.
+   */
+  async requireConfirmation(tool, endpoint, id, token) {
+    if (!this.confirmDeletes || this.isDryRun()) {
+      return null;
+    }
+
+    const now = Date.now();
+    for (const [key, confirmation] of this.confirmations) {
+      if (confirmation.expires <= now) this.confirmations.delete(key);
+    }
+
+    const { client, profile } = this.currentAccount();
+    const target = `${tool}:${id}:${client || ''}:${profile || ''}`;
+
+    if (token) {
+      const confirmation = this.confirmations.get(token);
+      this.confirmations.delete(token);
+      if (confirmation && confirmation.target === target) {
+        return null;
+      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Invalid or expired confirmation token for ${tool} ${id}. Call ${tool} without confirmation_token to get a new one.`,
+          },
+        ],
+        isError: true,
+      };
+    }
+
+    try {
+      const record = await this.makeRequest(`${endpoint}/${id}`, { refresh: true });
+      const confirmationToken = crypto.randomBytes(8).toString('hex');
+      const expires = now + this.confirmationTtl * 1000;
+      this.confirmations.set(confirmationToken, { target, expires });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              confirmationRequired: true,
+              message: `Call ${tool} again with this confirmation_token within ${this.confirmationTtl} seconds to delete the record below.`,
+              confirmation_token: confirmationToken,
+              expiresAt: new Date(expires).toISOString(),
+              record,
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error retrieving ${endpoint}/${id} for confirmation: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  /**
+   * Make an authenticated request to the TimeChimp API.
+   * Failed requests are retried with exponential backoff when it is safe to do so.
+   */
+  async makeRequest(endpoint, options = {}) {
+    const { apiKey, baseUrl } = this.currentAccount();
+    // Replayed fixtures need no API key, so they can be shared without one
+    if (!apiKey && !(this.fixtures && this.fixtures.mode === 'replay')) {
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        'TIMECHIMP_API_KEY environment variable is required'
+      );
+    }
+
+    const { refresh, ...fetchOptions } = options;
+    const url = `${baseUrl}${endpoint}`;
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const headers = {
+      'api-key': apiKey,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      'api-version': '2.0',
+      ...fetchOptions.headers,
+    };
+
+    // Different accounts and API keys may see different data, so they get separate cache entries
+    const entity = this.cache && this.cache.entityOf(endpoint);
+    const cacheKey = `${crypto.createHash('sha256').update(`${baseUrl} ${apiKey}`).digest('hex').slice(0, 12)}:${endpoint}`;
+    if (entity && method === 'GET' && !refresh) {
+      const cached = await this.cache.get(cacheKey);
+      if (cached !== undefined) {
+        return cached;
+      }
+    }
+
+    // Reads still go out in dry-run mode, since updates may need the current entity to build their body
+    const store = this.requestContext.getStore();
+    if (store && store.dryRun && method !== 'GET') {
+      store.dryRunRequests.push({
+        method,
+        url,
+        body: fetchOptions.body ? JSON.parse(fetchOptions.body) : null,
+      });
+      return null;
+    }
+
+    // Keep the current version of an entity before it is changed, so the change can be undone
+    const previous = await this.snapshot(method, endpoint, fetchOptions.body);
+
+    for (let attempt = 0; ; attempt += 1) {
+      let response;
+      try {
+        response = await this.rateLimiter.schedule(() => this.fetchWithTimeout(url, {
+          ...fetchOptions,
+          headers,
+        }));
+      } catch (error) {
+        // A missing fixture will still be missing on the next attempt
+        const replaying = this.fixtures && this.fixtures.mode === 'replay';
+        if (attempt < this.maxRetries && this.isSafeToResend(method) && !replaying) {
+          await this.sleep(this.retryDelay(attempt));
+          continue;
+        }
+        await this.audit(method, endpoint, fetchOptions.body, null, null, error.message);
+        throw new McpError(
+          ErrorCode.InternalError,
+          `Request failed: ${error.message}`
+        );
+      }
+
+      if (!response.ok) {
+        const delay = this.retryDelay(attempt, response.headers.get('retry-after'));
+        if (attempt < this.maxRetries && this.isRetryable(method, response.status) && delay !== null) {
+          await this.sleep(delay);
+          continue;
+        }
+        await this.audit(method, endpoint, fetchOptions.body, response.status, null, response.body);
+        throw this.apiError(method, endpoint, response);
+      }
+
+      let data;
+      try {
+        data = response.body ? JSON.parse(response.body) : null;
+      } catch (error) {
+        throw new McpError(
+          ErrorCode.InternalError,
+          `Request failed: ${error.message}`
+        );
+      }
+
+      await this.audit(method, endpoint, fetchOptions.body, response.status, data);
+      if (previous !== undefined) {
+        await this.appendJournal(method, endpoint, previous);
+      }
+      if (entity && method === 'GET') {
+        await this.cache.set(cacheKey, entity, data);
+      } else if (this.cache && method !== 'GET') {
+        // Any write to an entity type makes its cached lists and entities stale
+        await this.cache.invalidate(endpoint.split('?')[0].split('/').filter(Boolean)[0]);
+      }
+      return data;
+    }
+  }
+
+  /**
+   * Append a write request to the audit log. Reads are not logged, and a failing audit log
+   * never fails the tool call.
+   */
+  async audit(method, endpoint, body, status, data, error) {
+    if (!this.auditFile || method === 'GET') return;
+
+    const store = this.requestContext.getStore() || {};
+    const { client, profile } = this.currentAccount();
+    const [entity] = endpoint.split('?')[0].split('/').filter(Boolean);
+    const entry = {
+      timestamp: new Date().toISOString(),
+      tool: store.tool || null,
+      client: client || null,
+      profile: profile || null,
+      arguments: store.args || null,
+      method,
+      endpoint,
+      entity,
+      ids: this.affectedIds(method, endpoint, body, data),
+      status,
+      ...(error !== undefined && { error }),
+    };
+
+    try {
+      await fs.mkdir(path.dirname(this.auditFile), { recursive: true });
+      await fs.appendFile(this.auditFile, `${JSON.stringify(entry)}\n`);
+    } catch (auditError) {
+      console.error(`Failed to write audit log ${this.auditFile}: ${auditError.message}`);
+    }
+  }
+
+  /**
+   * Collect the IDs a write touched: from the URL, from bulk status bodies and from the created entity
+   */
+  affectedIds(method, endpoint, body, data) {
+    const ids = new Set(endpoint.split('?')[0].split('/').filter((part) => /^\d+$/.test(part)).map(Number));
+    let parsed = null;
+    try {
+      parsed = body ? JSON.parse(body) : null;
+    } catch (error) {
+      // Non-JSON bodies carry no IDs
+    }
+    for (const value of Object.values(parsed || {})) {
+      if (Array.isArray(value)) {
+        value.filter((item) => item && item.id !== undefined).forEach((item) => ids.add(item.id));
+      }
+    }
+    if (method === 'POST' && data && data.id !== undefined) {
+      ids.add(data.id);
+    }
+    return [...ids];
+  }
+
+  /**
+   * Match a bulk status change (PUT /times/status, /expenses/clientStatus, ...), returning the
+   * entity type, the status field and the body property that lists the entries
+   */
+  matchStatusChange(endpoint) {
+    const match = endpoint.match(/^\/(times|expenses|mileage)\/(status|clientStatus)$/);
+    if (!match) return null;
+    const [, entity, field] = match;
+    return { entity, field, items: entity === 'mileage' ? 'mileages' : entity };
+  }
+
+  /**
+   * Fetch the current version of an entity about to be updated or deleted, or of each entry listed
+   * in a bulk status change. Returns undefined for other requests, or when an entity cannot be read,
+   * in which case the write itself will fail.
+   */
+  async snapshot(method, endpoint, body) {
+    if (!this.journalFile || !['PUT', 'DELETE'].includes(method)) return undefined;
+    const match = endpoint.match(/^\/(\w+)\/(\d+)$/);
+    const statusChange = method === 'PUT' && this.matchStatusChange(endpoint);
+
+    try {
+      if (statusChange) {
+        const items = (body && JSON.parse(body)[statusChange.items]) || [];
+        const previous = [];
+        for (const { id } of items) {
+          previous.push(await this.makeRequest(`/${statusChange.entity}/${id}`, { refresh: true }));
+        }
+        return previous;
+      }
+      if (!match) return undefined;
+
+      // Projects are restored with their tasks and users, as update_project sends them
+      const expand = match[1] === 'projects' ? '?$expand=projectTasks,projectUsers' : '';
+      return await this.makeRequest(`${endpoint}${expand}`, { refresh: true });
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Append a line to the undo journal; a failing journal never fails the tool call
+   */
+  async writeJournal(entry) {
+    try {
+      await fs.mkdir(path.dirname(this.journalFile), { recursive: true });
+      await fs.appendFile(this.journalFile, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      console.error(`Failed to write undo journal ${this.journalFile}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Journal a successful change. A bulk status change gets one entry per listed entity, tied
+   * together by a batch ID so undo_last_change can revert the whole change at once.
+   */
+  async appendJournal(method, endpoint, previous) {
+    const store = this.requestContext.getStore() || {};
+    const { client, profile } = this.currentAccount();
+    const statusChange = this.matchStatusChange(endpoint);
+    const change = {
+      timestamp: new Date().toISOString(),
+      tool: store.tool || null,
+      client: client || null,
+      profile: profile || null,
+      method,
+      ...(store.restores && { restores: store.restores }),
+    };
+
+    if (statusChange) {
+      const batch = crypto.randomBytes(6).toString('hex');
+      for (const entity of previous) {
+        await this.writeJournal({
+          id: crypto.randomBytes(6).toString('hex'),
+          ...change,
+          entity: statusChange.entity,
+          entityId: entity.id,
+          field: statusChange.field,
+          batch,
+          previous: entity,
+        });
+      }
+      return;
+    }
+
+    const [, entity, id] = endpoint.match(/^\/(\w+)\/(\d+)$/);
+    await this.writeJournal({
+      id: crypto.randomBytes(6).toString('hex'),
+      ...change,
+      entity,
+      entityId: Number(id),
+      previous,
+    });
+  }
+
+  /**
+   * Read the undo journal: the recorded changes, oldest first, and the IDs of changes already restored
+   */
+  async readJournal() {
+    if (!this.journalFile) {
+      throw new Error('the undo journal is disabled (TIMECHIMP_UNDO=false)');
+    }
+
+    let text = '';
+    try {
+      text = await fs.readFile(this.journalFile, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const entries = this.parseJsonLines(text);
+    return {
+      changes: entries.filter((entry) => entry.previous !== undefined),
+      restored: new Set(entries.filter((entry) => entry.restored).map((entry) => entry.restored)),
+    };
+  }
+
+  /**
+   * Fetch a URL and read the response body, aborting when TIMECHIMP_REQUEST_TIMEOUT_MS is exceeded.
+   * Requests go through this.fetch, which records or replays fixtures when configured.
+   */
+  async fetchWithTimeout(url, options = {}) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.requestTimeout);
+
+    try {
+      const response = await this.fetch(url, {
+        ...options,
+        signal: controller.signal,
+      });
+
+      return {
+        ok: response.ok,
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+        body: await response.text(),
+      };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Request timed out after ${this.requestTimeout}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  isIdempotent(method) {
+    return ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'].includes(method);
+  }
+
+  /**
+   * Whether a request may be sent again after a failure that leaves open whether TimeChimp
+   * processed it: a timeout, a network error or a 502/504 from a gateway. DELETE is idempotent,
+   * but if the first attempt went through, a retry fails with a misleading 404.
+   */
+  isSafeToResend(method) {
+    return this.isIdempotent(method) && method !== 'DELETE';
+  }
+
+  /**
+   * A 429 means the request was rejected before it was processed, so it is safe to retry for any method.
+   * A 503 is only retried for idempotent methods, and the ambiguous 502 and 504 as isSafeToResend allows.
+   */
+  isRetryable(method, status) {
+    if (status === 429) return true;
+    if (status === 503) return this.isIdempotent(method);
+    return [502, 504].includes(status) && this.isSafeToResend(method);
+  }
+
+  /**
+   * Delay before the next attempt: the Retry-After header when present, otherwise
+   * exponential backoff with full jitter. Returns null when Retry-After asks for a
+   * longer wait than TIMECHIMP_RETRY_MAX_DELAY_MS.
+   */
+  retryDelay(attempt, retryAfter = null) {
+    const delay = this.retryAfterDelay(retryAfter);
+    if (delay !== null) {
+      return delay > this.retryMaxDelay ? null : delay;
+    }
+
+    const ceiling = Math.min(this.retryMaxDelay, this.retryBaseDelay * 2 ** attempt);
+    return Math.floor(Math.random() * ceiling);
+  }
+
+  /**
+   * Milliseconds to wait according to a Retry-After header (seconds or an HTTP date), or null
+   */
+  retryAfterDelay(retryAfter) {
+    if (!retryAfter) return null;
+
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+    return Number.isNaN(delay) ? null : Math.max(delay, 0);
+  }
+
+  /**
+   * Turn a failed TimeChimp response into an error that says what went wrong and what to do:
+   * 401/403 point at the API key, 404 names the missing entity, 400/409/422 list TimeChimp's
+   * validation errors per field and 429 says how long to wait. The status and parsed details are
+   * kept in the error's data.
+   */
+  apiError(method, endpoint, response) {
+    const { status } = response;
+    const prefix = `TimeChimp API error: ${status} ${response.statusText || http.STATUS_CODES[status] || ''}`.trim();
+    const pathname = endpoint.split('?')[0];
+
+    switch (status) {
+      case 401:
+        return new McpError(
+          ErrorCode.InvalidRequest,
+          `${prefix} - the API key is invalid or expired. Check TIMECHIMP_API_KEY, or the apiKey of the profile or HTTP client in use`,
+          { status }
+        );
+      case 403:
+        return new McpError(
+          ErrorCode.InvalidRequest,
+          `${prefix} - the API key is not allowed to ${method} ${pathname}. Use the API key of a TimeChimp user with access to it`,
+          { status }
+        );
+      case 404: {
+        // Only a numeric segment is an entity ID; /times/status and the like name the path instead,
+        // with TimeChimp's explanation of what was missing when it gives one
+        const [entity, segment] = pathname.split('/').filter(Boolean);
+        const id = /^\d+$/.test(segment) ? segment : null;
+        const problem = !id && this.problemDetails(response.body);
+        const target = id ? `${this.entityLabel(entity)} ${id}` : pathname;
+        return new McpError(
+          ErrorCode.InvalidParams,
+          `${prefix} - ${target} was not found${problem && problem.detail ? ` (${problem.detail})` : ''}`,
+          { status, entity, id }
+        );
+      }
+      case 400:
+      case 409:
+      case 422: {
+        const problem = this.problemDetails(response.body);
+        if (!problem) break;
+
+        const summary = [problem.title, problem.detail].filter(Boolean).join(': ') || 'the request was rejected';
+        const fields = problem.errors.map(({ field, message }) => `\n- ${field ? `${field}: ` : ''}${message}`).join('');
+        return new McpError(
+          ErrorCode.InvalidParams,
+          `${prefix} - ${summary}${fields}`,
+          { status, ...problem }
+        );
+      }
+      case 429: {
+        const delay = this.retryAfterDelay(response.headers.get('retry-after'));
+        const retryAfter = delay === null ? null : Math.ceil(delay / 1000);
+        return new McpError(
+          ErrorCode.InternalError,
+          `${prefix} - the TimeChimp rate limit was exceeded. ${retryAfter === null ? 'Wait a minute' : `Wait ${retryAfter} seconds`} before trying again`,
+          { status, retryAfter }
+        );
+      }
+      default:
+        break;
+    }
+
+    return new McpError(
+      ErrorCode.InternalError,
+      `${prefix} - ${response.body}`,
+      { status }
+    );
+  }
+
+  /**
+   * Read TimeChimp's problem details, with validation errors either as { field: [messages] } or as
+   * [{ propertyName, errorMessage }], into { title, detail, errors: [{ field, message }] }
+   */
+  problemDetails(body) {
+    let problem;
+    try {
+      problem = JSON.parse(body);
+    } catch (error) {
+      return null;
+    }
+    if (!problem || typeof problem !== 'object' || Array.isArray(problem)) return null;
+
+    const errors = [];
+    if (Array.isArray(problem.errors)) {
+      for (const error of problem.errors) {
+        errors.push(typeof error === 'object' && error !== null
+          ? { field: error.propertyName || error.field || null, message: error.errorMessage || error.message }
+          : { field: null, message: String(error) });
+      }
+    } else if (problem.errors && typeof problem.errors === 'object') {
+      for (const [field, messages] of Object.entries(problem.errors)) {
+        [].concat(messages).forEach((message) => errors.push({ field: field || null, message }));
+      }
+    }
+
+    return {
+      title: problem.title || problem.message || null,
+      detail: problem.detail || null,
+      errors,
+    };
+  }
+
+  /**
+   * Human-readable name of an entity type from its API path segment, e.g. "times" -> "Time entry"
+   */
+  entityLabel(entity) {
+    const labels = {
+      projects: 'Project',
+      users: 'User',
+      times: 'Time entry',
+      contacts: 'Contact',
+      customers: 'Customer',
+      tasks: 'Task',
+      invoices: 'Invoice',
+      expenses: 'Expense',
+      mileage: 'Mileage entry',
+      mileageVehicles: 'Mileage vehicle',
+      tags: 'Tag',
+    };
+    return labels[entity] || entity;
+  }
+
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Register a tool. Each tool is declared once with its name, description, input schema and
+   * handler, and the TimeChimp endpoint and HTTP method it calls. The tool list, dispatch and the
+   * readonly and safe modes are all driven by the registry, so other modules can add tools with
+   * registerTool before the server starts (see TIMECHIMP_PLUGINS).
+   *
+   * The HTTP method decides the access class: GET tools read, DELETE tools are destructive and
+   * everything else writes. Tools that do not call TimeChimp, or call more than it seems, set
+   * `access` instead. A tool without a handler calls its endpoint with its arguments.
+   */
+  registerTool(tool) {
+    const { name, inputSchema, handler, endpoint } = tool;
+    if (!name || !inputSchema) {
+      throw new Error('A tool needs a name and an inputSchema');
+    }
+    if (this.tools.has(name)) {
+      throw new Error(`Tool ${name} is already registered`);
+    }
+    if (!handler && !endpoint) {
+      throw new Error(`Tool ${name} needs a handler or an endpoint`);
+    }
+
+    const method = tool.method ? tool.method.toUpperCase() : (endpoint ? 'GET' : null);
+    this.tools.set(name, {
+      ...tool,
+      method,
+      handler: handler || ((args) => this.callEndpoint({ ...tool, method }, args)),
+    });
+    return this;
+  }
+
+  /**
+   * Default handler for tools registered without one: `{placeholders}` in the endpoint are filled
+   * from the arguments, and the remaining arguments become the query string of a GET request or
+   * the JSON body of any other request
+   */
+  async callEndpoint(tool, args = {}) {
+    const params = { ...args };
+    const endpoint = tool.endpoint.replace(/\{(\w+)\}/g, (placeholder, key) => {
+      const value = params[key];
+      delete params[key];
+      return encodeURIComponent(value);
+    });
+
+    try {
+      let data;
+      if (tool.method === 'GET') {
+        const query = new URLSearchParams(params).toString();
+        data = await this.makeRequest(`${endpoint}${query ? `?${query}` : ''}`);
+      } else {
+        data = await this.makeRequest(endpoint, {
+          method: tool.method,
+          ...(tool.method !== 'DELETE' && { body: JSON.stringify(params) }),
+        });
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(data, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error calling ${tool.name}: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  /**
+   * Reject arguments that do not match the tool's input schema before anything is sent to TimeChimp
+   */
+  validateArguments(tool, args) {
+    const errors = this.schemaErrors(tool.inputSchema, args);
+    if (errors.length === 0) return;
+
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Invalid arguments for ${tool.name}:\n${errors.map((error) => `- ${error}`).join('\n')}`
+    );
+  }
+
+  /**
+   * Check a value against the JSON Schema keywords the tool schemas use (type, enum, const,
+   * pattern, minLength/maxLength, minimum/maximum, exclusiveMinimum/exclusiveMaximum,
+   * minItems/maxItems, items, properties, required and additionalProperties) and return an error
+   * per offending field, e.g. "times[0].id: must be a number". Other keywords are ignored.
+   */
+  schemaErrors(schema, value, field = '', errors = []) {
+    const label = field || 'arguments';
+    const child = (key) => (field ? `${field}.${key}` : key);
+
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some((type) => this.matchesType(type, value))) {
+      errors.push(`${label}: must be ${types.map((type) => `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`).join(' or ')}`);
+      return errors;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${label}: must be one of ${schema.enum.join(', ')}`);
+    }
+    if (schema.const !== undefined && schema.const !== value) {
+      errors.push(`${label}: must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'string') {
+      if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+        errors.push(`${label}: must match the pattern ${schema.pattern}`);
+      }
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${label}: must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${label}: must be at most ${schema.maxLength} characters`);
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${label}: must be at least ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${label}: must be at most ${schema.maximum}`);
+      }
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+        errors.push(`${label}: must be greater than ${schema.exclusiveMinimum}`);
+      }
+      if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+        errors.push(`${label}: must be less than ${schema.exclusiveMaximum}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${label}: must have at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${label}: must have at most ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => this.schemaErrors(schema.items, item, `${label}[${index}]`, errors));
+      }
+    }
+
+    if (this.matchesType('object', value)) {
+      const properties = schema.properties || {};
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+          errors.push(`${child(key)}: is required`);
+        }
+      }
+      for (const [key, propertyValue] of Object.entries(value)) {
+        if (properties[key]) {
+          this.schemaErrors(properties[key], propertyValue, child(key), errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${child(key)}: is not a known property`);
+        } else if (typeof schema.additionalProperties === 'object') {
+          this.schemaErrors(schema.additionalProperties, propertyValue, child(key), errors);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  matchesType(type, value) {
+    switch (type) {
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array':
+        return Array.isArray(value);
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      case 'integer':
+        return Number.isInteger(value);
+      case 'null':
+        return value === null;
+      default:
+        return typeof value === type;
+    }
+  }
+
+  /**
+   * Load the modules listed in TIMECHIMP_PLUGINS (comma-separated paths). Each module's default
+   * export is called with the server and can register extra tools.
+   */
+  async loadPlugins(value = '') {
+    for (const modulePath of value.split(',').map((part) => part.trim()).filter(Boolean)) {
+      const plugin = await import(pathToFileURL(path.resolve(modulePath)).href);
+      await plugin.default(this);
+    }
+  }
+
+  registerBuiltinTools() {
+    for (const tool of [
+      // Projects
+      {
+        name: 'get_projects',
+        description: 'Retrieve all projects from TimeChimp',
+        method: 'GET',
+        endpoint: '/projects',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            top: {
+              type: 'number',
+              description: 'Maximum number of projects to return (1-10000, default: 100)',
+              minimum: 1,
+              maximum: 10000,
+            },
+            skip: {
+              type: 'number',
+              description: 'Number of projects to skip for pagination (default: 0)',
+              minimum: 0,
+            },
+            all: {
+              type: 'boolean',
+              description: 'Follow pagination and return all projects instead of a single page (default: false)',
+            },
+            max_records: {
+              type: 'number',
+              description: 'Maximum number of projects to fetch when all is true (default and upper limit: TIMECHIMP_MAX_RECORDS, 10000)',
+              minimum: 1,
+            },
+            count: {
+              type: 'boolean',
+              description: 'Whether to include the total count of results (default: true)',
+            },
+            expand: {
+              type: 'string',
+              description: 'Comma-delimited list of properties to expand (e.g., "customer,tasks")',
+            },
+            active_only: {
+              type: 'boolean',
+              description: 'Only return active projects (default: false)',
+            },
+            filter: {
+              type: 'string',
+              description: 'OData filter expression (e.g., "name eq \'Project Name\'" or "active eq true")',
+            },
+            orderby: {
+              type: 'string',
+              description: 'OData orderby expression (e.g., "name desc" or "createdAt desc")',
+            },
+            refresh: {
+              type: 'boolean',
+              description: 'Bypass the response cache and fetch fresh data (default: false)',
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: (args) => this.getProjects(args),
+      },
+      {
+        name: 'get_project_by_id',
+        description: 'Get a specific project by ID',
+        method: 'GET',
+        endpoint: '/projects/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Project ID',
+            },
+            expand: {
+              type: 'string',
+              description: 'Comma-delimited list of properties to expand',
+            },
+            refresh: {
+              type: 'boolean',
+              description: 'Bypass the response cache and fetch fresh data (default: false)',
+            },
+          },
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.getProjectById(args),
+      },
+      {
+        name: 'create_project',
+        description: 'Create a new project',
+        method: 'POST',
+        endpoint: '/projects',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'The project name',
+            },
+            active: {
+              type: 'boolean',
+              description: 'Whether the project can be used (default: true)',
+            },
+            code: {
+              type: 'string',
+              description: 'The project code',
+            },
+            notes: {
+              type: 'string',
+              description: 'The project description',
+            },
+            color: {
+              type: 'string',
+              description: 'The project color',
+            },
+            startDate: {
+              type: 'string',
+              description: 'The project start date (YYYY-MM-DD format)',
+              pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            },
+            endDate: {
+              type: 'string',
+              description: 'The project end date (YYYY-MM-DD format)',
+              pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            },
+            invoicing: {
+              type: 'object',
+              description: 'The project invoicing settings',
+              properties: {
+                method: {
+                  type: 'string',
+                  description: 'The project invoicing method used',
+                  enum: ['NoInvoicing', 'TaskHourlyRate', 'UserHourlyRate', 'ProjectHourlyRate', 'CustomerHourlyRate', 'ProjectRate', 'TaskRate'],
+                },
+                hourlyRate: {
+                  type: 'number',
+                  description: 'The hourly rate of the project (only used when invoicing method = ProjectHourlyRate)',
+                },
+                fixedRate: {
+                  type: 'number',
+                  description: 'The fixed rate/price of the project (only used when invoicing method = ProjectRate)',
+                },
+                reference: {
+                  type: 'string',
+                  description: 'The project invoicing reference',
+                },
+                date: {
+                  type: 'string',
+                  description: 'The project invoicing date (YYYY-MM-DD format, only used when invoicing method = ProjectRate)',
+                  pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+                },
+              },
+              additionalProperties: false,
+            },
+            budget: {
+              type: 'object',
+              description: 'The project budget settings',
+              properties: {
+                method: {
+                  type: 'string',
+                  description: 'The project budget method used',
+                  enum: ['NoBudget', 'TotalHours', 'TaskHours', 'UserHours', 'TotalRate', 'TaskRate', 'TotalCost'],
+                },
+                hours: {
+                  type: 'number',
+                  description: 'The hourly budget of the project (only used when budget method = TotalHours)',
+                },
+                rate: {
+                  type: 'number',
+                  description: 'The budget rate of the project (only used when budget method = TotalRate or TotalCost)',
+                },
+                notificationPercentage: {
+                  type: 'number',
+                  description: 'The budget percentage threshold at which a notification is sent out',
+                },
+              },
+              additionalProperties: false,
+            },
+            customer: {
+              type: 'object',
+              description: 'Customer to be linked with the project',
+              properties: {
+                id: {
+                  type: 'number',
+                  description: 'Unique identifier for the customer',
+                },
+              },
+              required: ['id'],
+              additionalProperties: false,
+            },
+            mainProject: {
+              type: 'object',
+              description: 'Main project to be linked with the project (if it is a subproject)',
+              properties: {
+                id: {
+                  type: 'number',
+                  description: 'Unique identifier for the project',
+                },
+              },
+              required: ['id'],
+              additionalProperties: false,
+            },
+            subprojects: {
+              type: 'array',
+              description: 'List of subprojects to be linked to the project (if it is a main project)',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'number',
+                    description: 'Unique identifier for the project',
+                  },
+                },
+                required: ['id'],
+                additionalProperties: false,
+              },
+            },
+            managers: {
+              type: 'array',
+              description: 'List of managers to be linked to the project',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'number',
+                    description: 'Unique identifier for the user',
+                  },
+                },
+                required: ['id'],
+                additionalProperties: false,
+              },
+            },
+            tags: {
+              type: 'array',
+              description: 'List of tags to be linked to the project',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'number',
+                    description: 'Unique identifier for the tag',
+                  },
+                },
+                required: ['id'],
+                additionalProperties: false,
+              },
+            },
+            projectTasks: {
+              type: 'array',
+              description: 'List of project tasks to be linked to the project (if no tasks are specified, active common tasks will be prefilled)',
+              items: {
+                type: 'object',
+                properties: {
+                  active: {
+                    type: 'boolean',
+                    description: 'Whether the project task can be used for registration (default: true)',
+                  },
+                  billable: {
+                    type: 'boolean',
+                    description: 'Whether the project task can be invoiced (default: true)',
+                  },
+                  hourlyRate: {
+                    type: 'number',
+                    description: 'The project task hourly rate (used when project invoicing method = TaskHourlyRate)',
+                  },
+                  fixedRate: {
+                    type: 'number',
+                    description: 'The project task fixed rate (used when project invoicing method = TaskRate)',
+                  },
+                  budgetHours: {
+                    type: 'number',
+                    description: 'The project task budget hours (used when project budget method = TaskHours)',
+                  },
+                  budgetRate: {
+                    type: 'number',
+                    description: 'The project task budget rate (used when project budget method = TaskRate)',
+                  },
+                  task: {
+                    type: 'object',
+                    description: 'Task to be linked to the project task',
+                    properties: {
+                      id: {
+                        type: 'number',
+                        description: 'Unique identifier for the task',
+                      },
                     },
-                    date: {
-                      type: 'string',
-                      description: 'The project invoicing date (YYYY-MM-DD format, only used when invoicing method = ProjectRate)',
-                      pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+                    required: ['id'],
+                    additionalProperties: false,
+                  },
+                },
+                required: ['task'],
+                additionalProperties: false,
+              },
+            },
+            projectUsers: {
+              type: 'array',
+              description: 'List of project users to be linked to the project (if no users are specified, active users will be prefilled)',
+              items: {
+                type: 'object',
+                properties: {
+                  active: {
+                    type: 'boolean',
+                    description: 'Whether the project user can be used (default: true)',
+                  },
+                  hourlyRate: {
+                    type: 'number',
+                    description: 'The project user hourly rate (used when project invoicing method = UserHourlyRate)',
+                  },
+                  budgetHours: {
+                    type: 'number',
+                    description: 'The project user budget hours (used when project budget method = UserHours)',
+                  },
+                  costHourlyRate: {
+                    type: 'number',
+                    description: 'The project user purchase hourly rate',
+                  },
+                  user: {
+                    type: 'object',
+                    description: 'User to be linked to the project user',
+                    properties: {
+                      id: {
+                        type: 'number',
+                        description: 'Unique identifier for the user',
+                      },
                     },
+                    required: ['id'],
+                    additionalProperties: false,
+                  },
+                },
+                required: ['user'],
+                additionalProperties: false,
+              },
+            },
+          },
+          required: ['name', 'projectTasks', 'projectUsers'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.createProject(args),
+      },
+      {
+        name: 'update_project',
+        description: 'Update an existing project. Without patch, name, invoicing, budget, projectTasks and projectUsers are required and omitted fields are cleared',
+        method: 'PUT',
+        endpoint: '/projects/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Project ID',
+            },
+            patch: {
+              type: 'boolean',
+              description: 'Only change the supplied fields: the current project is fetched, merged with the supplied fields and saved (default: false)',
+            },
+            name: {
+              type: 'string',
+              description: 'The project name',
+            },
+            active: {
+              type: 'boolean',
+              description: 'Whether the project can be used',
+            },
+            code: {
+              type: 'string',
+              description: 'The project code',
+            },
+            notes: {
+              type: 'string',
+              description: 'The project description',
+            },
+            color: {
+              type: 'string',
+              description: 'The project color',
+            },
+            startDate: {
+              type: 'string',
+              description: 'The project start date (YYYY-MM-DD format)',
+              pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            },
+            endDate: {
+              type: 'string',
+              description: 'The project end date (YYYY-MM-DD format)',
+              pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            },
+            invoicing: {
+              type: 'object',
+              description: 'The project invoicing settings',
+              properties: {
+                method: {
+                  type: 'string',
+                  description: 'The project invoicing method used',
+                  enum: ['NoInvoicing', 'TaskHourlyRate', 'UserHourlyRate', 'ProjectHourlyRate', 'CustomerHourlyRate', 'ProjectRate', 'TaskRate', 'Subscription'],
+                },
+                hourlyRate: {
+                  type: 'number',
+                  description: 'The hourly rate of the project (only used when invoicing method = ProjectHourlyRate)',
+                },
+                fixedRate: {
+                  type: 'number',
+                  description: 'The fixed rate/price of the project (only used when invoicing method = ProjectRate)',
+                },
+                reference: {
+                  type: 'string',
+                  description: 'The project invoicing reference',
+                },
+                date: {
+                  type: 'string',
+                  description: 'The project invoicing date (YYYY-MM-DD format, only used when invoicing method = ProjectRate)',
+                  pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+                },
+              },
+              additionalProperties: false,
+            },
+            budget: {
+              type: 'object',
+              description: 'The project budget settings',
+              properties: {
+                method: {
+                  type: 'string',
+                  description: 'The project budget method used',
+                  enum: ['NoBudget', 'TotalHours', 'TaskHours', 'UserHours', 'TotalRate', 'TaskRate', 'Invoiced', 'TotalCost'],
+                },
+                hours: {
+                  type: 'number',
+                  description: 'The hourly budget of the project (only used when budget method = TotalHours)',
+                },
+                rate: {
+                  type: 'number',
+                  description: 'The budget rate of the project (only used when budget method = TotalRate or TotalCost)',
+                },
+                notificationPercentage: {
+                  type: 'number',
+                  description: 'The budget percentage threshold at which a notification is sent out',
+                },
+              },
+              additionalProperties: false,
+            },
+            customer: {
+              type: 'object',
+              description: 'Customer to be linked with the project',
+              properties: {
+                id: {
+                  type: 'number',
+                  description: 'Unique identifier for the customer',
+                },
+              },
+              required: ['id'],
+              additionalProperties: false,
+            },
+            mainProject: {
+              type: 'object',
+              description: 'Main project to be linked with the project (if it is a subproject)',
+              properties: {
+                id: {
+                  type: 'number',
+                  description: 'Unique identifier for the project',
+                },
+              },
+              required: ['id'],
+              additionalProperties: false,
+            },
+            subprojects: {
+              type: 'array',
+              description: 'List of subprojects to be linked to the project (if it is a main project)',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'number',
+                    description: 'Unique identifier for the project',
+                  },
+                },
+                required: ['id'],
+                additionalProperties: false,
+              },
+            },
+            managers: {
+              type: 'array',
+              description: 'List of managers to be linked to the project',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'number',
+                    description: 'Unique identifier for the user',
+                  },
+                },
+                required: ['id'],
+                additionalProperties: false,
+              },
+            },
+            tags: {
+              type: 'array',
+              description: 'List of tags to be linked to the project',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'number',
+                    description: 'Unique identifier for the tag',
+                  },
+                },
+                required: ['id'],
+                additionalProperties: false,
+              },
+            },
+            projectTasks: {
+              type: 'array',
+              description: 'List of project tasks to be linked to the project',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'number',
+                    description: 'Unique identifier for the project task (can be null if new project task needs to be added)',
                   },
-                  additionalProperties: false,
-                },
-                budget: {
-                  type: 'object',
-                  description: 'The project budget settings',
-                  properties: {
-                    method: {
-                      type: 'string',
-                      description: 'The project budget method used',
-                      enum: ['NoBudget', 'TotalHours', 'TaskHours', 'UserHours', 'TotalRate', 'TaskRate', 'TotalCost'],
-                    },
-                    hours: {
-                      type: 'number',
-                      description: 'The hourly budget of the project (only used when budget method = TotalHours)',
-                    },
-                    rate: {
-                      type: 'number',
-                      description: 'The budget rate of the project (only used when budget method = TotalRate or TotalCost)',
-                    },
-                    notificationPercentage: {
-                      type: 'number',
-                      description: 'The budget percentage threshold at which a notification is sent out',
-                    },
+                  active: {
+                    type: 'boolean',
+                    description: 'Whether the project task can be used for registration (default: true)',
                   },
-                  additionalProperties: false,
-                },
-                customer: {
-                  type: 'object',
-                  description: 'Customer to be linked with the project',
-                  properties: {
-                    id: {
-                      type: 'number',
-                      description: 'Unique identifier for the customer',
-                    },
+                  billable: {
+                    type: 'boolean',
+                    description: 'Whether the project task can be invoiced (default: true)',
                   },
-                  required: ['id'],
-                  additionalProperties: false,
-                },
-                mainProject: {
-                  type: 'object',
-                  description: 'Main project to be linked with the project (if it is a subproject)',
-                  properties: {
-                    id: {
-                      type: 'number',
-                      description: 'Unique identifier for the project',
-                    },
+                  hourlyRate: {
+                    type: 'number',
+                    description: 'The project task hourly rate (used when project invoicing method = TaskHourlyRate)',
                   },
-                  required: ['id'],
-                  additionalProperties: false,
-                },
-                subprojects: {
-                  type: 'array',
-                  description: 'List of subprojects to be linked to the project (if it is a main project)',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      id: {
-                        type: 'number',
-                        description: 'Unique identifier for the project',
-                      },
-                    },
-                    required: ['id'],
-                    additionalProperties: false,
+                  fixedRate: {
+                    type: 'number',
+                    description: 'The project task fixed rate (used when project invoicing method = TaskRate)',
                   },
-                },
-                managers: {
-                  type: 'array',
-                  description: 'List of managers to be linked to the project',
-                  items: {
+                  budgetHours: {
+                    type: 'number',
+                    description: 'The project task budget hours (used when project budget method = TaskHours)',
+                  },
+                  budgetRate: {
+                    type: 'number',
+                    description: 'The project task budget rate (used when project budget method = TaskRate)',
+                  },
+                  task: {
                     type: 'object',
+                    description: 'Task to be linked to the project task',
                     properties: {
                       id: {
                         type: 'number',
-                        description: 'Unique identifier for the user',
+                        description: 'Unique identifier for the task',
                       },
                     },
                     required: ['id'],
                     additionalProperties: false,
                   },
                 },
-                tags: {
-                  type: 'array',
-                  description: 'List of tags to be linked to the project',
-                  items: {
+                required: ['task'],
+                additionalProperties: false,
+              },
+            },
+            projectUsers: {
+              type: 'array',
+              description: 'List of project users to be linked to the project',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'number',
+                    description: 'Unique identifier for the project user (can be null if new project user needs to be added)',
+                  },
+                  active: {
+                    type: 'boolean',
+                    description: 'Whether the project user can be used (default: true)',
+                  },
+                  hourlyRate: {
+                    type: 'number',
+                    description: 'The project user hourly rate (used when project invoicing method = UserHourlyRate)',
+                  },
+                  budgetHours: {
+                    type: 'number',
+                    description: 'The project user budget hours (used when project budget method = UserHours)',
+                  },
+                  costHourlyRate: {
+                    type: 'number',
+                    description: 'The project user purchase hourly rate',
+                  },
+                  user: {
                     type: 'object',
+                    description: 'User to be linked to the project user',
                     properties: {
                       id: {
                         type: 'number',
-                        description: 'Unique identifier for the tag',
+                        description: 'Unique identifier for the user',
                       },
                     },
                     required: ['id'],
                     additionalProperties: false,
                   },
                 },
-                projectTasks: {
-                  type: 'array',
-                  description: 'List of project tasks to be linked to the project (if no tasks are specified, active common tasks will be prefilled)',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      active: {
-                        type: 'boolean',
-                        description: 'Whether the project task can be used for registration (default: true)',
-                      },
-                      billable: {
-                        type: 'boolean',
-                        description: 'Whether the project task can be invoiced (default: true)',
-                      },
-                      hourlyRate: {
-                        type: 'number',
-                        description: 'The project task hourly rate (used when project invoicing method = TaskHourlyRate)',
-                      },
-                      fixedRate: {
-                        type: 'number',
-                        description: 'The project task fixed rate (used when project invoicing method = TaskRate)',
-                      },
-                      budgetHours: {
-                        type: 'number',
-                        description: 'The project task budget hours (used when project budget method = TaskHours)',
-                      },
-                      budgetRate: {
-                        type: 'number',
-                        description: 'The project task budget rate (used when project budget method = TaskRate)',
-                      },
-                      task: {
-                        type: 'object',
-                        description: 'Task to be linked to the project task',
-                        properties: {
-                          id: {
-                            type: 'number',
-                            description: 'Unique identifier for the task',
-                          },
-                        },
-                        required: ['id'],
-                        additionalProperties: false,
-                      },
-                    },
-                    required: ['task'],
-                    additionalProperties: false,
-                  },
-                },
-                projectUsers: {
-                  type: 'array',
-                  description: 'List of project users to be linked to the project (if no users are specified, active users will be prefilled)',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      active: {
-                        type: 'boolean',
-                        description: 'Whether the project user can be used (default: true)',
-                      },
-                      hourlyRate: {
-                        type: 'number',
-                        description: 'The project user hourly rate (used when project invoicing method = UserHourlyRate)',
-                      },
-                      budgetHours: {
-                        type: 'number',
-                        description: 'The project user budget hours (used when project budget method = UserHours)',
-                      },
-                      costHourlyRate: {
-                        type: 'number',
-                        description: 'The project user purchase hourly rate',
-                      },
-                      user: {
-                        type: 'object',
-                        description: 'User to be linked to the project user',
-                        properties: {
-                          id: {
-                            type: 'number',
-                            description: 'Unique identifier for the user',
-                          },
-                        },
-                        required: ['id'],
-                        additionalProperties: false,
-                      },
-                    },
-                    required: ['user'],
-                    additionalProperties: false,
-                  },
+                required: ['user'],
+                additionalProperties: false,
+              },
+            },
+          },
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.updateProject(args),
+      },
+      {
+        name: 'delete_project',
+        description: 'Delete a project (two-step: the first call returns a confirmation token)',
+        method: 'DELETE',
+        endpoint: '/projects/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Project ID',
+            },
+            confirmation_token: {
+              type: 'string',
+              description: 'One-time token returned by the first call. Without it, the tool only returns the record and a token to confirm the deletion',
+            },
+          },
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.deleteProject(args),
+      },
+      {
+        name: 'get_project_insights',
+        description: 'Get project insights including hours, budget, costs, and revenue data',
+        method: 'GET',
+        endpoint: '/projects/{id}/insights',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Project ID',
+            },
+          },
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.getProjectInsights(args),
+      },
+      {
+        name: 'add_project_task',
+        description: 'Add a single task to an existing project, keeping its other project tasks',
+        method: 'PUT',
+        endpoint: '/projects/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Project ID',
+            },
+            task: {
+              type: 'object',
+              description: 'Task to be linked to the project',
+              properties: {
+                id: {
+                  type: 'number',
+                  description: 'Unique identifier for the task',
                 },
               },
-              required: ['name', 'projectTasks', 'projectUsers'],
+              required: ['id'],
               additionalProperties: false,
             },
+            active: {
+              type: 'boolean',
+              description: 'Whether the project task can be used for registration (default: true)',
+            },
+            billable: {
+              type: 'boolean',
+              description: 'Whether the project task can be invoiced (default: true)',
+            },
+            hourlyRate: {
+              type: 'number',
+              description: 'The project task hourly rate (used when project invoicing method = TaskHourlyRate)',
+            },
+            fixedRate: {
+              type: 'number',
+              description: 'The project task fixed rate (used when project invoicing method = TaskRate)',
+            },
+            budgetHours: {
+              type: 'number',
+              description: 'The project task budget hours (used when project budget method = TaskHours)',
+            },
+            budgetRate: {
+              type: 'number',
+              description: 'The project task budget rate (used when project budget method = TaskRate)',
+            },
           },
-          {
-            name: 'update_project',
-            description: 'Update an existing project',
-            inputSchema: {
+          required: ['id', 'task'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.addProjectTask(args),
+      },
+      {
+        name: 'remove_project_task',
+        description: 'Remove a single task from an existing project, keeping its other project tasks',
+        method: 'PUT',
+        endpoint: '/projects/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Project ID',
+            },
+            task: {
               type: 'object',
+              description: 'Task to be unlinked from the project',
               properties: {
                 id: {
                   type: 'number',
-                  description: 'Project ID',
+                  description: 'Unique identifier for the task',
                 },
-                name: {
-                  type: 'string',
-                  description: 'The project name',
-                },
-                active: {
-                  type: 'boolean',
-                  description: 'Whether the project can be used',
-                },
-                code: {
-                  type: 'string',
-                  description: 'The project code',
-                },
-                notes: {
-                  type: 'string',
-                  description: 'The project description',
-                },
-                color: {
-                  type: 'string',
-                  description: 'The project color',
-                },
-                startDate: {
-                  type: 'string',
-                  description: 'The project start date (YYYY-MM-DD format)',
-                  pattern: '^\\d{4}-\\d{2}-\\d{2}$',
-                },
-                endDate: {
-                  type: 'string',
-                  description: 'The project end date (YYYY-MM-DD format)',
-                  pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+              },
+              required: ['id'],
+              additionalProperties: false,
+            },
+          },
+          required: ['id', 'task'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.removeProjectTask(args),
+      },
+      // Users
+      {
+        name: 'get_users',
+        description: 'Retrieve all users from TimeChimp',
+        method: 'GET',
+        endpoint: '/users',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            top: {
+              type: 'number',
+              description: 'Maximum number of users to return (1-10000, default: 100)',
+              minimum: 1,
+              maximum: 10000,
+            },
+            skip: {
+              type: 'number',
+              description: 'Number of users to skip for pagination (default: 0)',
+              minimum: 0,
+            },
+            all: {
+              type: 'boolean',
+              description: 'Follow pagination and return all users instead of a single page (default: false)',
+            },
+            max_records: {
+              type: 'number',
+              description: 'Maximum number of users to fetch when all is true (default and upper limit: TIMECHIMP_MAX_RECORDS, 10000)',
+              minimum: 1,
+            },
+            count: {
+              type: 'boolean',
+              description: 'Whether to include the total count of results (default: true)',
+            },
+            expand: {
+              type: 'string',
+              description: 'Comma-delimited list of properties to expand',
+            },
+            active_only: {
+              type: 'boolean',
+              description: 'Only return active users (default: false)',
+            },
+            filter: {
+              type: 'string',
+              description: 'OData filter expression (e.g., "firstName eq \'John\'" or "active eq true")',
+            },
+            orderby: {
+              type: 'string',
+              description: 'OData orderby expression (e.g., "firstName asc" or "lastName desc")',
+            },
+            refresh: {
+              type: 'boolean',
+              description: 'Bypass the response cache and fetch fresh data (default: false)',
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: (args) => this.getUsers(args),
+      },
+      {
+        name: 'get_user_by_id',
+        description: 'Get a specific user by ID',
+        method: 'GET',
+        endpoint: '/users/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'User ID',
+            },
+            expand: {
+              type: 'string',
+              description: 'Comma-delimited list of properties to expand',
+            },
+            refresh: {
+              type: 'boolean',
+              description: 'Bypass the response cache and fetch fresh data (default: false)',
+            },
+          },
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.getUserById(args),
+      },
+      {
+        name: 'create_user',
+        description: 'Create a new user (note: adding users can result in additional invoice and extra cost)',
+        method: 'POST',
+        endpoint: '/users',
+        // Adding a user can add cost to the TimeChimp invoice
+        access: 'destructive',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            userName: {
+              type: 'string',
+              description: 'The user email address',
+            },
+            displayName: {
+              type: 'string',
+              description: 'The user name',
+            },
+            language: {
+              type: 'string',
+              description: 'The user language (default: en)',
+              enum: ['en', 'nl', 'de', 'pl', 'fr', 'es'],
+            },
+            role: {
+              type: 'object',
+              description: 'Role to be assigned to the user (default: User)',
+              properties: {
+                id: {
+                  type: 'number',
+                  description: 'Unique identifier for the role',
                 },
-                invoicing: {
-                  type: 'object',
-                  description: 'The project invoicing settings',
-                  properties: {
-                    method: {
-                      type: 'string',
-                      description: 'The project invoicing method used',
-                      enum: ['NoInvoicing', 'TaskHourlyRate', 'UserHourlyRate', 'ProjectHourlyRate', 'CustomerHourlyRate', 'ProjectRate', 'TaskRate', 'Subscription'],
-                    },
-                    hourlyRate: {
-                      type: 'number',
-                      description: 'The hourly rate of the project (only used when invoicing method = ProjectHourlyRate)',
-                    },
-                    fixedRate: {
-                      type: 'number',
-                      description: 'The fixed rate/price of the project (only used when invoicing method = ProjectRate)',
-                    },
-                    reference: {
-                      type: 'string',
-                      description: 'The project invoicing reference',
-                    },
-                    date: {
-                      type: 'string',
-                      description: 'The project invoicing date (YYYY-MM-DD format, only used when invoicing method = ProjectRate)',
-                      pattern: '^\\d{4}-\\d{2}-\\d{2}$',
-                    },
+              },
+              required: ['id'],
+              additionalProperties: false,
+            },
+            sendInvitation: {
+              type: 'boolean',
+              description: 'Whether an invitation should be sent to the user (default: false)',
+            },
+            contracts: {
+              type: 'array',
+              description: 'List of user contracts to be linked',
+              items: {
+                type: 'object',
+                properties: {
+                  startDate: {
+                    type: 'string',
+                    description: 'The contract start date (YYYY-MM-DD format, default: UTC today)',
+                    pattern: '^\\d{4}-\\d{2}-\\d{2}$',
                   },
-                  additionalProperties: false,
-                },
-                budget: {
-                  type: 'object',
-                  description: 'The project budget settings',
-                  properties: {
-                    method: {
-                      type: 'string',
-                      description: 'The project budget method used',
-                      enum: ['NoBudget', 'TotalHours', 'TaskHours', 'UserHours', 'TotalRate', 'TaskRate', 'Invoiced', 'TotalCost'],
-                    },
-                    hours: {
-                      type: 'number',
-                      description: 'The hourly budget of the project (only used when budget method = TotalHours)',
-                    },
-                    rate: {
-                      type: 'number',
-                      description: 'The budget rate of the project (only used when budget method = TotalRate or TotalCost)',
-                    },
-                    notificationPercentage: {
-                      type: 'number',
-                      description: 'The budget percentage threshold at which a notification is sent out',
-                    },
+                  endDate: {
+                    type: 'string',
+                    description: 'The contract end date (YYYY-MM-DD format)',
+                    pattern: '^\\d{4}-\\d{2}-\\d{2}$',
                   },
-                  additionalProperties: false,
-                },
-                customer: {
-                  type: 'object',
-                  description: 'Customer to be linked with the project',
-                  properties: {
-                    id: {
-                      type: 'number',
-                      description: 'Unique identifier for the customer',
-                    },
+                  weekHours: {
+                    type: 'number',
+                    description: 'The contract hours per week',
                   },
-                  required: ['id'],
-                  additionalProperties: false,
-                },
-                mainProject: {
-                  type: 'object',
-                  description: 'Main project to be linked with the project (if it is a subproject)',
-                  properties: {
-                    id: {
-                      type: 'number',
-                      description: 'Unique identifier for the project',
-                    },
+                  hourlyRate: {
+                    type: 'number',
+                    description: 'The contract sales hourly rate',
                   },
-                  required: ['id'],
-                  additionalProperties: false,
-                },
-                subprojects: {
-                  type: 'array',
-                  description: 'List of subprojects to be linked to the project (if it is a main project)',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      id: {
-                        type: 'number',
-                        description: 'Unique identifier for the project',
-                      },
-                    },
-                    required: ['id'],
-                    additionalProperties: false,
+                  costHourlyRate: {
+                    type: 'number',
+                    description: 'The contract purchase hourly rate',
                   },
-                },
-                managers: {
-                  type: 'array',
-                  description: 'List of managers to be linked to the project',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      id: {
-                        type: 'number',
-                        description: 'Unique identifier for the user',
-                      },
-                    },
-                    required: ['id'],
-                    additionalProperties: false,
+                  contractNumber: {
+                    type: 'string',
+                    description: 'The contract number',
                   },
-                },
-                tags: {
-                  type: 'array',
-                  description: 'List of tags to be linked to the project',
-                  items: {
+                  contractType: {
                     type: 'object',
+                    description: 'Contract type to be linked to the contract',
                     properties: {
                       id: {
                         type: 'number',
-                        description: 'Unique identifier for the tag',
+                        description: 'Unique identifier for the contract type',
                       },
                     },
                     required: ['id'],
                     additionalProperties: false,
                   },
                 },
-                projectTasks: {
-                  type: 'array',
-                  description: 'List of project tasks to be linked to the project',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      id: {
-                        type: 'number',
-                        description: 'Unique identifier for the project task (can be null if new project task needs to be added)',
-                      },
-                      active: {
-                        type: 'boolean',
-                        description: 'Whether the project task can be used for registration (default: true)',
-                      },
-                      billable: {
-                        type: 'boolean',
-                        description: 'Whether the project task can be invoiced (default: true)',
-                      },
-                      hourlyRate: {
-                        type: 'number',
-                        description: 'The project task hourly rate (used when project invoicing method = TaskHourlyRate)',
-                      },
-                      fixedRate: {
-                        type: 'number',
-                        description: 'The project task fixed rate (used when project invoicing method = TaskRate)',
-                      },
-                      budgetHours: {
-                        type: 'number',
-                        description: 'The project task budget hours (used when project budget method = TaskHours)',
-                      },
-                      budgetRate: {
-                        type: 'number',
-                        description: 'The project task budget rate (used when project budget method = TaskRate)',
-                      },
-                      task: {
-                        type: 'object',
-                        description: 'Task to be linked to the project task',
-                        properties: {
-                          id: {
-                            type: 'number',
-                            description: 'Unique identifier for the task',
-                          },
-                        },
-                        required: ['id'],
-                        additionalProperties: false,
-                      },
-                    },
-                    required: ['task'],
-                    additionalProperties: false,
+                required: ['contractType'],
+                additionalProperties: false,
+              },
+            },
+          },
+          required: ['userName', 'displayName'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.createUser(args),
+      },
+      {
+        name: 'update_user',
+        description: 'Update an existing user. Without patch, displayName is required and omitted fields are cleared',
+        method: 'PUT',
+        endpoint: '/users/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'User ID',
+            },
+            patch: {
+              type: 'boolean',
+              description: 'Only change the supplied fields: the current user is fetched, merged with the supplied fields and saved (default: false)',
+            },
+            displayName: {
+              type: 'string',
+              description: 'The user name',
+            },
+            language: {
+              type: 'string',
+              description: 'The user language (default: en)',
+              enum: ['en', 'nl', 'de', 'pl', 'fr', 'es'],
+            },
+            employeeNumber: {
+              type: 'string',
+              description: 'The user employee number',
+            },
+            badgeNumber: {
+              type: 'string',
+              description: 'The user badge number',
+            },
+            citizenServiceNumber: {
+              type: 'string',
+              description: 'The user citizen service number',
+            },
+            role: {
+              type: 'object',
+              description: 'Role to be assigned to the user (default: User)',
+              properties: {
+                id: {
+                  type: 'number',
+                  description: 'Unique identifier for the role',
+                },
+              },
+              required: ['id'],
+              additionalProperties: false,
+            },
+            tags: {
+              type: 'array',
+              description: 'List of tags to be linked with the user',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'number',
+                    description: 'Unique identifier for the tag',
                   },
                 },
-                projectUsers: {
-                  type: 'array',
-                  description: 'List of project users to be linked to the project',
-                  items: {
+                required: ['id'],
+                additionalProperties: false,
+              },
+            },
+            contracts: {
+              type: 'array',
+              description: 'List of user contracts to be linked',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'number',
+                    description: 'Unique identifier for the user contract (can be null if new user contract needs to be added)',
+                  },
+                  startDate: {
+                    type: 'string',
+                    description: 'The contract start date (YYYY-MM-DD format, default: UTC today)',
+                    pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+                  },
+                  endDate: {
+                    type: 'string',
+                    description: 'The contract end date (YYYY-MM-DD format)',
+                    pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+                  },
+                  weekHours: {
+                    type: 'number',
+                    description: 'The contract hours per week',
+                  },
+                  hourlyRate: {
+                    type: 'number',
+                    description: 'The contract sales hourly rate',
+                  },
+                  costHourlyRate: {
+                    type: 'number',
+                    description: 'The contract purchase/cost hourly rate',
+                  },
+                  contractNumber: {
+                    type: 'string',
+                    description: 'The contract number',
+                  },
+                  contractType: {
                     type: 'object',
+                    description: 'Contract type to be linked with the contract',
                     properties: {
                       id: {
                         type: 'number',
-                        description: 'Unique identifier for the project user (can be null if new project user needs to be added)',
-                      },
-                      active: {
-                        type: 'boolean',
-                        description: 'Whether the project user can be used (default: true)',
-                      },
-                      hourlyRate: {
-                        type: 'number',
-                        description: 'The project user hourly rate (used when project invoicing method = UserHourlyRate)',
-                      },
-                      budgetHours: {
-                        type: 'number',
-                        description: 'The project user budget hours (used when project budget method = UserHours)',
-                      },
-                      costHourlyRate: {
-                        type: 'number',
-                        description: 'The project user purchase hourly rate',
-                      },
-                      user: {
-                        type: 'object',
-                        description: 'User to be linked to the project user',
-                        properties: {
-                          id: {
-                            type: 'number',
-                            description: 'Unique identifier for the user',
-                          },
-                        },
-                        required: ['id'],
-                        additionalProperties: false,
+                        description: 'Unique identifier for the contract type',
                       },
                     },
-                    required: ['user'],
+                    required: ['id'],
                     additionalProperties: false,
                   },
                 },
+                required: ['contractType'],
+                additionalProperties: false,
+              },
+            },
+          },
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.updateUser(args),
+      },
+      // Time Entries
+      {
+        name: 'get_time_entries',
+        description: 'Retrieve time entries from TimeChimp',
+        method: 'GET',
+        endpoint: '/times',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            top: {
+              type: 'number',
+              description: 'Maximum number of time entries to return (1-10000, default: 100)',
+              minimum: 1,
+              maximum: 10000,
+            },
+            skip: {
+              type: 'number',
+              description: 'Number of time entries to skip for pagination (default: 0)',
+              minimum: 0,
+            },
+            all: {
+              type: 'boolean',
+              description: 'Follow pagination and return all time entries instead of a single page (default: false)',
+            },
+            max_records: {
+              type: 'number',
+              description: 'Maximum number of time entries to fetch when all is true (default and upper limit: TIMECHIMP_MAX_RECORDS, 10000)',
+              minimum: 1,
+            },
+            count: {
+              type: 'boolean',
+              description: 'Whether to include the total count of results (default: true)',
+            },
+            expand: {
+              type: 'string',
+              description: 'Comma-delimited list of properties to expand (e.g., "user,project,task")',
+            },
+            user_id: {
+              type: 'string',
+              description: 'Filter by specific user ID',
+            },
+            project_id: {
+              type: 'string',
+              description: 'Filter by specific project ID',
+            },
+            from_date: {
+              type: 'string',
+              description: 'Start date for filtering (YYYY-MM-DD format)',
+              pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            },
+            to_date: {
+              type: 'string',
+              description: 'End date for filtering (YYYY-MM-DD format)',
+              pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            },
+            filter: {
+              type: 'string',
+              description: 'OData filter expression (e.g., "date eq 2023-12-31" or "start gt 2023-12-31T23:59:59Z")',
+            },
+            orderby: {
+              type: 'string',
+              description: 'OData orderby expression (e.g., "date desc" or "start desc")',
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: (args) => this.getTimeEntries(args),
+      },
+      {
+        name: 'get_time_entry_by_id',
+        description: 'Get a specific time entry by ID',
+        method: 'GET',
+        endpoint: '/times/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Time entry ID',
+            },
+            expand: {
+              type: 'string',
+              description: 'Comma-delimited list of properties to expand',
+            },
+          },
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.getTimeEntryById(args),
+      },
+      {
+        name: 'create_time_entry',
+        description: 'Create a new time entry',
+        method: 'POST',
+        endpoint: '/times',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            date: {
+              type: 'string',
+              description: 'The time entry date (YYYY-MM-DD format, default: the date of start, or today, in TIMECHIMP_TIME_ZONE)',
+              pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            },
+            start: {
+              type: 'string',
+              description: 'The time entry start time (ISO 8601 date-time, e.g., "2024-01-15T09:00:00Z")',
+            },
+            end: {
+              type: 'string',
+              description: 'The time entry end time (ISO 8601 date-time, e.g., "2024-01-15T11:30:00Z")',
+            },
+            hours: {
+              type: 'number',
+              description: 'The number of hours (used when no start/end time is provided)',
+              minimum: 0,
+            },
+            notes: {
+              type: 'string',
+              description: 'The time entry notes',
+            },
+            billable: {
+              type: 'boolean',
+              description: 'Whether the time entry can be invoiced (default: true)',
+            },
+            user: {
+              type: 'object',
+              description: 'User to be linked with the time entry',
+              properties: {
+                id: {
+                  type: 'number',
+                  description: 'Unique identifier for the user',
+                },
               },
-              required: ['id', 'name', 'invoicing', 'budget', 'projectTasks', 'projectUsers'],
+              required: ['id'],
               additionalProperties: false,
             },
-          },
-          {
-            name: 'delete_project',
-            description: 'Delete a project',
-            inputSchema: {
+            project: {
               type: 'object',
+              description: 'Project to be linked with the time entry',
               properties: {
                 id: {
                   type: 'number',
-                  description: 'Project ID',
+                  description: 'Unique identifier for the project',
                 },
               },
               required: ['id'],
               additionalProperties: false,
             },
-          },
-          {
-            name: 'get_project_insights',
-            description: 'Get project insights including hours, budget, costs, and revenue data',
-            inputSchema: {
+            task: {
               type: 'object',
+              description: 'Task to be linked with the time entry',
               properties: {
                 id: {
                   type: 'number',
-                  description: 'Project ID',
+                  description: 'Unique identifier for the task',
                 },
               },
               required: ['id'],
               additionalProperties: false,
             },
+            tags: {
+              type: 'array',
+              description: 'List of tags to be linked to the time entry',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'number',
+                    description: 'Unique identifier for the tag',
+                  },
+                },
+                required: ['id'],
+                additionalProperties: false,
+              },
+            },
           },
-          // Users
-          {
-            name: 'get_users',
-            description: 'Retrieve all users from TimeChimp',
-            inputSchema: {
+          required: ['user', 'project', 'task'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.createTimeEntry(args),
+      },
+      {
+        name: 'update_time_entry',
+        description: 'Update an existing time entry. Only the supplied fields change: the current entry is fetched, merged with them and saved',
+        method: 'PUT',
+        endpoint: '/times/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Time entry ID',
+            },
+            date: {
+              type: 'string',
+              description: 'The time entry date (YYYY-MM-DD format)',
+              pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            },
+            start: {
+              type: 'string',
+              description: 'The time entry start time (ISO 8601 date-time, e.g., "2024-01-15T09:00:00Z")',
+            },
+            end: {
+              type: 'string',
+              description: 'The time entry end time (ISO 8601 date-time, e.g., "2024-01-15T11:30:00Z")',
+            },
+            hours: {
+              type: 'number',
+              description: 'The number of hours (used when no start/end time is provided)',
+              minimum: 0,
+            },
+            notes: {
+              type: 'string',
+              description: 'The time entry notes',
+            },
+            billable: {
+              type: 'boolean',
+              description: 'Whether the time entry can be invoiced',
+            },
+            user: {
               type: 'object',
+              description: 'User to be linked with the time entry',
               properties: {
-                top: {
+                id: {
                   type: 'number',
-                  description: 'Maximum number of users to return (1-10000, default: 100)',
-                  minimum: 1,
-                  maximum: 10000,
+                  description: 'Unique identifier for the user',
                 },
-                skip: {
+              },
+              required: ['id'],
+              additionalProperties: false,
+            },
+            project: {
+              type: 'object',
+              description: 'Project to be linked with the time entry',
+              properties: {
+                id: {
                   type: 'number',
-                  description: 'Number of users to skip for pagination (default: 0)',
-                  minimum: 0,
+                  description: 'Unique identifier for the project',
                 },
-                count: {
-                  type: 'boolean',
-                  description: 'Whether to include the total count of results (default: true)',
+              },
+              required: ['id'],
+              additionalProperties: false,
+            },
+            task: {
+              type: 'object',
+              description: 'Task to be linked with the time entry',
+              properties: {
+                id: {
+                  type: 'number',
+                  description: 'Unique identifier for the task',
                 },
-                expand: {
-                  type: 'string',
-                  description: 'Comma-delimited list of properties to expand',
+              },
+              required: ['id'],
+              additionalProperties: false,
+            },
+            tags: {
+              type: 'array',
+              description: 'List of tags to be linked to the time entry',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'number',
+                    description: 'Unique identifier for the tag',
+                  },
                 },
-                active_only: {
-                  type: 'boolean',
-                  description: 'Only return active users (default: false)',
+                required: ['id'],
+                additionalProperties: false,
+              },
+            },
+          },
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.updateTimeEntry(args),
+      },
+      {
+        name: 'delete_time_entry',
+        description: 'Delete a time entry (two-step: the first call returns a confirmation token)',
+        method: 'DELETE',
+        endpoint: '/times/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Time entry ID',
+            },
+            confirmation_token: {
+              type: 'string',
+              description: 'One-time token returned by the first call. Without it, the tool only returns the record and a token to confirm the deletion',
+            },
+          },
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.deleteTimeEntry(args),
+      },
+      {
+        name: 'update_time_entry_status',
+        description: 'Update the status of time entries (internal approval/invoicing status)',
+        method: 'PUT',
+        endpoint: '/times/status',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            message: {
+              type: 'string',
+              description: 'Status history message',
+            },
+            times: {
+              type: 'array',
+              description: 'List of time entries to be updated (maximum of 100 entries)',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'number',
+                    description: 'Unique identifier for the time entry',
+                  },
                 },
-                filter: {
-                  type: 'string',
-                  description: 'OData filter expression (e.g., "firstName eq \'John\'" or "active eq true")',
+                required: ['id'],
+                additionalProperties: false,
+              },
+              maxItems: 100,
+            },
+            status: {
+              type: 'string',
+              description: 'The internal approval/invoicing status of the time entry',
+              enum: ['Open', 'PendingApproval', 'Approved', 'Invoiced', 'WrittenOff', 'Rejected'],
+            },
+          },
+          required: ['times', 'status'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.updateTimeEntryStatus(args),
+      },
+      {
+        name: 'update_time_entry_client_status',
+        description: 'Update the client status of time entries (external approval/invoicing status)',
+        method: 'PUT',
+        endpoint: '/times/clientStatus',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            clientStatus: {
+              type: 'string',
+              description: 'The external approval/invoicing status of the time entry (used only when client portal is enabled)',
+              enum: ['Open', 'PendingApproval', 'Approved', 'Invoiced', 'WrittenOff', 'Rejected'],
+            },
+            message: {
+              type: 'string',
+              description: 'Status history message',
+            },
+            times: {
+              type: 'array',
+              description: 'List of time entries to be updated (maximum of 100 entries)',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'number',
+                    description: 'Unique identifier for the time entry',
+                  },
                 },
-                orderby: {
-                  type: 'string',
-                  description: 'OData orderby expression (e.g., "firstName asc" or "lastName desc")',
+                required: ['id'],
+                additionalProperties: false,
+              },
+              maxItems: 100,
+            },
+          },
+          required: ['clientStatus', 'times'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.updateTimeEntryClientStatus(args),
+      },
+      {
+        name: 'get_time_entry_status_history',
+        description: 'Query status history modification records of a time entry',
+        method: 'GET',
+        endpoint: '/times/{id}/statusHistory',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Time entry ID',
+            },
+            top: {
+              type: 'number',
+              description: 'Maximum number of status history records to return (1-10000, default: 100)',
+              minimum: 1,
+              maximum: 10000,
+            },
+            skip: {
+              type: 'number',
+              description: 'Number of status history records to skip for pagination (default: 0)',
+              minimum: 0,
+            },
+            all: {
+              type: 'boolean',
+              description: 'Follow pagination and return all status history records instead of a single page (default: false)',
+            },
+            max_records: {
+              type: 'number',
+              description: 'Maximum number of status history records to fetch when all is true (default and upper limit: TIMECHIMP_MAX_RECORDS, 10000)',
+              minimum: 1,
+            },
+            count: {
+              type: 'boolean',
+              description: 'Whether to include the total count of results (default: true)',
+            },
+            expand: {
+              type: 'string',
+              description: 'Comma-delimited list of properties to expand',
+            },
+            filter: {
+              type: 'string',
+              description: 'OData filter expression',
+            },
+            orderby: {
+              type: 'string',
+              description: 'OData orderby expression (e.g., "modifiedOn desc")',
+            },
+          },
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.getTimeEntryStatusHistory(args),
+      },
+      // Timer
+      {
+        name: 'start_timer',
+        description: 'Start a local timer for a project task. The timer is kept in a local state file and survives server restarts',
+        dryRun: false,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            notes: {
+              type: 'string',
+              description: 'The notes for the resulting time entry',
+            },
+            billable: {
+              type: 'boolean',
+              description: 'Whether the resulting time entry can be invoiced (default: true)',
+            },
+            user: {
+              type: 'object',
+              description: 'User to be linked with the time entry',
+              properties: {
+                id: {
+                  type: 'number',
+                  description: 'Unique identifier for the user',
                 },
               },
+              required: ['id'],
               additionalProperties: false,
             },
-          },
-          {
-            name: 'get_user_by_id',
-            description: 'Get a specific user by ID',
-            inputSchema: {
+            project: {
               type: 'object',
+              description: 'Project to be linked with the time entry',
               properties: {
                 id: {
                   type: 'number',
-                  description: 'User ID',
+                  description: 'Unique identifier for the project',
                 },
-                expand: {
-                  type: 'string',
-                  description: 'Comma-delimited list of properties to expand',
+              },
+              required: ['id'],
+              additionalProperties: false,
+            },
+            task: {
+              type: 'object',
+              description: 'Task to be linked with the time entry',
+              properties: {
+                id: {
+                  type: 'number',
+                  description: 'Unique identifier for the task',
                 },
               },
               required: ['id'],
               additionalProperties: false,
             },
+            tags: {
+              type: 'array',
+              description: 'List of tags to be linked to the time entry',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'number',
+                    description: 'Unique identifier for the tag',
+                  },
+                },
+                required: ['id'],
+                additionalProperties: false,
+              },
+            },
           },
-          {
-            name: 'create_user',
-            description: 'Create a new user (note: adding users can result in additional invoice and extra cost)',
-            inputSchema: {
+          required: ['user', 'project', 'task'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.withTimerLock(() => this.startTimer(args)),
+      },
+      {
+        name: 'stop_timer',
+        description: 'Stop the running timer and create a time entry for the elapsed time',
+        method: 'POST',
+        endpoint: '/times',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            notes: {
+              type: 'string',
+              description: 'Replace the notes given when the timer was started',
+            },
+            discard: {
+              type: 'boolean',
+              description: 'Discard the timer without creating a time entry (default: false)',
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: (args) => this.withTimerLock(() => this.stopTimer(args)),
+      },
+      {
+        name: 'current_timer',
+        description: 'Get the running timer and its elapsed time',
+        access: 'read',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+          additionalProperties: false,
+        },
+        handler: (args) => this.withTimerLock(() => this.currentTimer(args)),
+      },
+      // Contacts
+      {
+        name: 'get_contacts',
+        description: 'Retrieve all contacts from TimeChimp',
+        method: 'GET',
+        endpoint: '/contacts',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            top: {
+              type: 'number',
+              description: 'Maximum number of contacts to return (1-10000, default: 100)',
+              minimum: 1,
+              maximum: 10000,
+            },
+            skip: {
+              type: 'number',
+              description: 'Number of contacts to skip for pagination (default: 0)',
+              minimum: 0,
+            },
+            all: {
+              type: 'boolean',
+              description: 'Follow pagination and return all contacts instead of a single page (default: false)',
+            },
+            max_records: {
+              type: 'number',
+              description: 'Maximum number of contacts to fetch when all is true (default and upper limit: TIMECHIMP_MAX_RECORDS, 10000)',
+              minimum: 1,
+            },
+            count: {
+              type: 'boolean',
+              description: 'Whether to include the total count of results (default: true)',
+            },
+            expand: {
+              type: 'string',
+              description: 'Comma-delimited list of properties to expand (e.g., "customers")',
+            },
+            active_only: {
+              type: 'boolean',
+              description: 'Only return active contacts (default: false)',
+            },
+            filter: {
+              type: 'string',
+              description: 'OData filter expression (e.g., "name eq \'John Doe\'" or "active eq true")',
+            },
+            orderby: {
+              type: 'string',
+              description: 'OData orderby expression (e.g., "name asc" or "created desc")',
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: (args) => this.getContacts(args),
+      },
+      {
+        name: 'get_contact_by_id',
+        description: 'Get a specific contact by ID',
+        method: 'GET',
+        endpoint: '/contacts/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Contact ID',
+            },
+            expand: {
+              type: 'string',
+              description: 'Comma-delimited list of properties to expand',
+            },
+          },
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.getContactById(args),
+      },
+      {
+        name: 'create_contact',
+        description: 'Create a new contact',
+        method: 'POST',
+        endpoint: '/contacts',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'The contact name',
+            },
+            jobTitle: {
+              type: 'string',
+              description: 'The contact job title',
+            },
+            email: {
+              type: 'string',
+              description: 'The contact email address',
+            },
+            phone: {
+              type: 'string',
+              description: 'The contact phone number',
+            },
+            useForInvoicing: {
+              type: 'boolean',
+              description: 'Whether the contact info will be used for invoicing (default: false)',
+            },
+            active: {
+              type: 'boolean',
+              description: 'Whether the contact can be used (default: true)',
+            },
+            customers: {
+              type: 'array',
+              description: 'List of customer IDs to link to this contact',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'number',
+                    description: 'Customer ID',
+                  },
+                },
+                required: ['id'],
+              },
+            },
+          },
+          required: ['name'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.createContact(args),
+      },
+      {
+        name: 'update_contact',
+        description: 'Update an existing contact',
+        method: 'PUT',
+        endpoint: '/contacts/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Contact ID',
+            },
+            name: {
+              type: 'string',
+              description: 'The contact name',
+            },
+            jobTitle: {
+              type: 'string',
+              description: 'The contact job title',
+            },
+            email: {
+              type: 'string',
+              description: 'The contact email address',
+            },
+            phone: {
+              type: 'string',
+              description: 'The contact phone number',
+            },
+            useForInvoicing: {
+              type: 'boolean',
+              description: 'Whether the contact info will be used for invoicing',
+            },
+            active: {
+              type: 'boolean',
+              description: 'Whether the contact can be used',
+            },
+            customers: {
+              type: 'array',
+              description: 'List of customer IDs to link to this contact',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'number',
+                    description: 'Customer ID',
+                  },
+                },
+                required: ['id'],
+              },
+            },
+          },
+          required: ['id', 'name'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.updateContact(args),
+      },
+      {
+        name: 'delete_contact',
+        description: 'Delete a contact (two-step: the first call returns a confirmation token)',
+        method: 'DELETE',
+        endpoint: '/contacts/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Contact ID',
+            },
+            confirmation_token: {
+              type: 'string',
+              description: 'One-time token returned by the first call. Without it, the tool only returns the record and a token to confirm the deletion',
+            },
+          },
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.deleteContact(args),
+      },
+      // Customers
+      {
+        name: 'get_customers',
+        description: 'Retrieve all customers from TimeChimp',
+        method: 'GET',
+        endpoint: '/customers',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            top: {
+              type: 'number',
+              description: 'Maximum number of customers to return (1-10000, default: 100)',
+              minimum: 1,
+              maximum: 10000,
+            },
+            skip: {
+              type: 'number',
+              description: 'Number of customers to skip for pagination (default: 0)',
+              minimum: 0,
+            },
+            all: {
+              type: 'boolean',
+              description: 'Follow pagination and return all customers instead of a single page (default: false)',
+            },
+            max_records: {
+              type: 'number',
+              description: 'Maximum number of customers to fetch when all is true (default and upper limit: TIMECHIMP_MAX_RECORDS, 10000)',
+              minimum: 1,
+            },
+            count: {
+              type: 'boolean',
+              description: 'Whether to include the total count of results (default: true)',
+            },
+            expand: {
+              type: 'string',
+              description: 'Comma-delimited list of properties to expand (e.g., "contacts,projects")',
+            },
+            active_only: {
+              type: 'boolean',
+              description: 'Only return active customers (default: false)',
+            },
+            filter: {
+              type: 'string',
+              description: 'OData filter expression (e.g., "name eq \'Company Name\'" or "active eq true")',
+            },
+            orderby: {
+              type: 'string',
+              description: 'OData orderby expression (e.g., "name asc" or "created desc")',
+            },
+            refresh: {
+              type: 'boolean',
+              description: 'Bypass the response cache and fetch fresh data (default: false)',
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: (args) => this.getCustomers(args),
+      },
+      {
+        name: 'get_customer_by_id',
+        description: 'Get a specific customer by ID',
+        method: 'GET',
+        endpoint: '/customers/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Customer ID',
+            },
+            expand: {
+              type: 'string',
+              description: 'Comma-delimited list of properties to expand',
+            },
+            refresh: {
+              type: 'boolean',
+              description: 'Bypass the response cache and fetch fresh data (default: false)',
+            },
+          },
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.getCustomerById(args),
+      },
+      {
+        name: 'create_customer',
+        description: 'Create a new customer',
+        method: 'POST',
+        endpoint: '/customers',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'The customer name',
+            },
+            active: {
+              type: 'boolean',
+              description: 'Whether the customer can be used (default: true)',
+            },
+            relationId: {
+              type: 'string',
+              description: 'The customer number',
+            },
+            address: {
               type: 'object',
+              description: 'The customer address info',
               properties: {
-                userName: {
-                  type: 'string',
-                  description: 'The user email address',
-                },
-                displayName: {
+                address: {
                   type: 'string',
-                  description: 'The user name',
+                  description: 'The address line',
                 },
-                language: {
+                postalCode: {
                   type: 'string',
-                  description: 'The user language (default: en)',
-                  enum: ['en', 'nl', 'de', 'pl', 'fr', 'es'],
-                },
-                role: {
-                  type: 'object',
-                  description: 'Role to be assigned to the user (default: User)',
-                  properties: {
-                    id: {
-                      type: 'number',
-                      description: 'Unique identifier for the role',
-                    },
-                  },
-                  required: ['id'],
-                  additionalProperties: false,
+                  description: 'The postal code',
                 },
-                sendInvitation: {
-                  type: 'boolean',
-                  description: 'Whether an invitation should be sent to the user (default: false)',
-                },
-                contracts: {
-                  type: 'array',
-                  description: 'List of user contracts to be linked',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      startDate: {
-                        type: 'string',
-                        description: 'The contract start date (YYYY-MM-DD format, default: UTC today)',
-                        pattern: '^\\d{4}-\\d{2}-\\d{2}$',
-                      },
-                      endDate: {
-                        type: 'string',
-                        description: 'The contract end date (YYYY-MM-DD format)',
-                        pattern: '^\\d{4}-\\d{2}-\\d{2}$',
-                      },
-                      weekHours: {
-                        type: 'number',
-                        description: 'The contract hours per week',
-                      },
-                      hourlyRate: {
-                        type: 'number',
-                        description: 'The contract sales hourly rate',
-                      },
-                      costHourlyRate: {
-                        type: 'number',
-                        description: 'The contract purchase hourly rate',
-                      },
-                      contractNumber: {
-                        type: 'string',
-                        description: 'The contract number',
-                      },
-                      contractType: {
-                        type: 'object',
-                        description: 'Contract type to be linked to the contract',
-                        properties: {
-                          id: {
-                            type: 'number',
-                            description: 'Unique identifier for the contract type',
-                          },
-                        },
-                        required: ['id'],
-                        additionalProperties: false,
-                      },
-                    },
-                    required: ['contractType'],
-                    additionalProperties: false,
-                  },
+                city: {
+                  type: 'string',
+                  description: 'The city',
+                },
+                country: {
+                  type: 'string',
+                  description: 'The country',
                 },
               },
-              required: ['userName', 'displayName'],
               additionalProperties: false,
             },
-          },
-          {
-            name: 'update_user',
-            description: 'Update an existing user',
-            inputSchema: {
+            phone: {
+              type: 'string',
+              description: 'The customer phone number',
+            },
+            email: {
+              type: 'string',
+              description: 'The customer email address',
+            },
+            website: {
+              type: 'string',
+              description: 'The customer website URL',
+            },
+            paymentPeriod: {
+              type: 'number',
+              description: 'The customer payment term in days',
+            },
+            hourlyRate: {
+              type: 'number',
+              description: 'The customer default hourly price',
+            },
+            mileageRate: {
+              type: 'number',
+              description: 'The customer default mileage price, per KM',
+            },
+            iban: {
+              type: 'string',
+              description: 'The customer IBAN',
+            },
+            bic: {
+              type: 'string',
+              description: 'The customer BIC',
+            },
+            vatNumber: {
+              type: 'string',
+              description: 'The customer VAT number',
+            },
+            kvkNumber: {
+              type: 'string',
+              description: 'The customer business ID',
+            },
+            invoiceAddress: {
               type: 'object',
+              description: 'The customer invoice address info, override of the customer address info',
               properties: {
-                id: {
-                  type: 'number',
-                  description: 'User ID',
-                },
-                displayName: {
+                address: {
                   type: 'string',
-                  description: 'The user name',
+                  description: 'The address line',
                 },
-                language: {
+                postalCode: {
                   type: 'string',
-                  description: 'The user language (default: en)',
-                  enum: ['en', 'nl', 'de', 'pl', 'fr', 'es'],
+                  description: 'The postal code',
                 },
-                employeeNumber: {
+                city: {
                   type: 'string',
-                  description: 'The user employee number',
+                  description: 'The city',
                 },
-                badgeNumber: {
+                country: {
                   type: 'string',
-                  description: 'The user badge number',
+                  description: 'The country',
                 },
-                citizenServiceNumber: {
-                  type: 'string',
-                  description: 'The user citizen service number',
-                },
-                role: {
-                  type: 'object',
-                  description: 'Role to be assigned to the user (default: User)',
-                  properties: {
-                    id: {
-                      type: 'number',
-                      description: 'Unique identifier for the role',
-                    },
-                  },
-                  required: ['id'],
-                  additionalProperties: false,
+              },
+              additionalProperties: false,
+            },
+            notes: {
+              type: 'string',
+              description: 'The customer notes',
+            },
+            prospect: {
+              type: 'boolean',
+              description: 'The customer is a prospect',
+            },
+            vatRate: {
+              type: 'object',
+              description: 'Vat rate to be used for this customer',
+              properties: {
+                id: {
+                  type: 'number',
+                  description: 'Unique identifier for the vat rate',
                 },
-                tags: {
-                  type: 'array',
-                  description: 'List of tags to be linked with the user',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      id: {
-                        type: 'number',
-                        description: 'Unique identifier for the tag',
-                      },
-                    },
-                    required: ['id'],
-                    additionalProperties: false,
+              },
+              required: ['id'],
+              additionalProperties: false,
+            },
+            tags: {
+              type: 'array',
+              description: 'List of tag IDs to link to this customer',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'number',
+                    description: 'Tag ID',
                   },
                 },
-                contracts: {
-                  type: 'array',
-                  description: 'List of user contracts to be linked',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      id: {
-                        type: 'number',
-                        description: 'Unique identifier for the user contract (can be null if new user contract needs to be added)',
-                      },
-                      startDate: {
-                        type: 'string',
-                        description: 'The contract start date (YYYY-MM-DD format, default: UTC today)',
-                        pattern: '^\\d{4}-\\d{2}-\\d{2}$',
-                      },
-                      endDate: {
-                        type: 'string',
-                        description: 'The contract end date (YYYY-MM-DD format)',
-                        pattern: '^\\d{4}-\\d{2}-\\d{2}$',
-                      },
-                      weekHours: {
-                        type: 'number',
-                        description: 'The contract hours per week',
-                      },
-                      hourlyRate: {
-                        type: 'number',
-                        description: 'The contract sales hourly rate',
-                      },
-                      costHourlyRate: {
-                        type: 'number',
-                        description: 'The contract purchase/cost hourly rate',
-                      },
-                      contractNumber: {
-                        type: 'string',
-                        description: 'The contract number',
-                      },
-                      contractType: {
-                        type: 'object',
-                        description: 'Contract type to be linked with the contract',
-                        properties: {
-                          id: {
-                            type: 'number',
-                            description: 'Unique identifier for the contract type',
-                          },
-                        },
-                        required: ['id'],
-                        additionalProperties: false,
-                      },
-                    },
-                    required: ['contractType'],
-                    additionalProperties: false,
+                required: ['id'],
+                additionalProperties: false,
+              },
+            },
+            contacts: {
+              type: 'array',
+              description: 'List of contact IDs to link to this customer',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'number',
+                    description: 'Contact ID',
                   },
                 },
+                required: ['id'],
+                additionalProperties: false,
               },
-              required: ['id', 'displayName'],
-              additionalProperties: false,
             },
           },
-          // Time Entries
-          {
-            name: 'get_time_entries',
-            description: 'Retrieve time entries from TimeChimp',
-            inputSchema: {
+          required: ['name'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.createCustomer(args),
+      },
+      {
+        name: 'update_customer',
+        description: 'Update an existing customer. Without patch, name is required and omitted fields are cleared',
+        method: 'PUT',
+        endpoint: '/customers/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Customer ID',
+            },
+            patch: {
+              type: 'boolean',
+              description: 'Only change the supplied fields: the current customer is fetched, merged with the supplied fields and saved (default: false)',
+            },
+            name: {
+              type: 'string',
+              description: 'The customer name',
+            },
+            active: {
+              type: 'boolean',
+              description: 'Whether the customer can be used',
+            },
+            relationId: {
+              type: 'string',
+              description: 'The customer number',
+            },
+            address: {
               type: 'object',
+              description: 'The customer address info',
               properties: {
-                top: {
-                  type: 'number',
-                  description: 'Maximum number of time entries to return (1-10000, default: 100)',
-                  minimum: 1,
-                  maximum: 10000,
-                },
-                skip: {
-                  type: 'number',
-                  description: 'Number of time entries to skip for pagination (default: 0)',
-                  minimum: 0,
-                },
-                count: {
-                  type: 'boolean',
-                  description: 'Whether to include the total count of results (default: true)',
+                address: {
+                  type: 'string',
+                  description: 'The address line',
                 },
-                expand: {
+                postalCode: {
                   type: 'string',
-                  description: 'Comma-delimited list of properties to expand (e.g., "user,project,task")',
+                  description: 'The postal code',
                 },
-                user_id: {
+                city: {
                   type: 'string',
-                  description: 'Filter by specific user ID',
+                  description: 'The city',
                 },
-                project_id: {
+                country: {
                   type: 'string',
-                  description: 'Filter by specific project ID',
+                  description: 'The country',
                 },
-                from_date: {
+              },
+              additionalProperties: false,
+            },
+            phone: {
+              type: 'string',
+              description: 'The customer phone number',
+            },
+            email: {
+              type: 'string',
+              description: 'The customer email address',
+            },
+            website: {
+              type: 'string',
+              description: 'The customer website URL',
+            },
+            paymentPeriod: {
+              type: 'number',
+              description: 'The customer payment term in days',
+            },
+            hourlyRate: {
+              type: 'number',
+              description: 'The customer default hourly price',
+            },
+            mileageRate: {
+              type: 'number',
+              description: 'The customer default mileage price, per KM',
+            },
+            iban: {
+              type: 'string',
+              description: 'The customer IBAN',
+            },
+            bic: {
+              type: 'string',
+              description: 'The customer BIC',
+            },
+            vatNumber: {
+              type: 'string',
+              description: 'The customer VAT number',
+            },
+            kvkNumber: {
+              type: 'string',
+              description: 'The customer business ID',
+            },
+            invoiceAddress: {
+              type: 'object',
+              description: 'The customer invoice address info, if differs from the customer address info',
+              properties: {
+                address: {
                   type: 'string',
-                  description: 'Start date for filtering (YYYY-MM-DD format)',
-                  pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+                  description: 'The address line',
                 },
-                to_date: {
+                postalCode: {
                   type: 'string',
-                  description: 'End date for filtering (YYYY-MM-DD format)',
-                  pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+                  description: 'The postal code',
                 },
-                filter: {
+                city: {
                   type: 'string',
-                  description: 'OData filter expression (e.g., "date eq 2023-12-31" or "start gt 2023-12-31T23:59:59Z")',
+                  description: 'The city',
                 },
-                orderby: {
+                country: {
                   type: 'string',
-                  description: 'OData orderby expression (e.g., "date desc" or "start desc")',
+                  description: 'The country',
                 },
               },
               additionalProperties: false,
             },
-          },
-          {
-            name: 'get_time_entry_by_id',
-            description: 'Get a specific time entry by ID',
-            inputSchema: {
+            notes: {
+              type: 'string',
+              description: 'The customer notes',
+            },
+            prospect: {
+              type: 'boolean',
+              description: 'The customer is a prospect',
+            },
+            vatRate: {
               type: 'object',
+              description: 'Vat rate to be linked with the customer',
               properties: {
                 id: {
                   type: 'number',
-                  description: 'Time entry ID',
-                },
-                expand: {
-                  type: 'string',
-                  description: 'Comma-delimited list of properties to expand',
+                  description: 'Unique identifier for the vat rate',
                 },
               },
               required: ['id'],
               additionalProperties: false,
             },
-          },
-          // Contacts
-          {
-            name: 'get_contacts',
-            description: 'Retrieve all contacts from TimeChimp',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                top: {
-                  type: 'number',
-                  description: 'Maximum number of contacts to return (1-10000, default: 100)',
-                  minimum: 1,
-                  maximum: 10000,
-                },
-                skip: {
-                  type: 'number',
-                  description: 'Number of contacts to skip for pagination (default: 0)',
-                  minimum: 0,
-                },
-                count: {
-                  type: 'boolean',
-                  description: 'Whether to include the total count of results (default: true)',
-                },
-                expand: {
-                  type: 'string',
-                  description: 'Comma-delimited list of properties to expand (e.g., "customers")',
-                },
-                active_only: {
-                  type: 'boolean',
-                  description: 'Only return active contacts (default: false)',
-                },
-                filter: {
-                  type: 'string',
-                  description: 'OData filter expression (e.g., "name eq \'John Doe\'" or "active eq true")',
+            tags: {
+              type: 'array',
+              description: 'List of tag IDs to link to this customer',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'number',
+                    description: 'Tag ID',
+                  },
                 },
-                orderby: {
-                  type: 'string',
-                  description: 'OData orderby expression (e.g., "name asc" or "created desc")',
+                required: ['id'],
+                additionalProperties: false,
+              },
+            },
+            contacts: {
+              type: 'array',
+              description: 'List of contact IDs to link to this customer',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'number',
+                    description: 'Contact ID',
+                  },
                 },
+                required: ['id'],
+                additionalProperties: false,
               },
-              additionalProperties: false,
             },
           },
-          {
-            name: 'get_contact_by_id',
-            description: 'Get a specific contact by ID',
-            inputSchema: {
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.updateCustomer(args),
+      },
+      {
+        name: 'delete_customer',
+        description: 'Delete a customer (two-step: the first call returns a confirmation token)',
+        method: 'DELETE',
+        endpoint: '/customers/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Customer ID',
+            },
+            confirmation_token: {
+              type: 'string',
+              description: 'One-time token returned by the first call. Without it, the tool only returns the record and a token to confirm the deletion',
+            },
+          },
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.deleteCustomer(args),
+      },
+      // Tasks
+      {
+        name: 'get_tasks',
+        description: 'Retrieve all tasks from TimeChimp',
+        method: 'GET',
+        endpoint: '/tasks',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            top: {
+              type: 'number',
+              description: 'Maximum number of tasks to return (1-10000, default: 100)',
+              minimum: 1,
+              maximum: 10000,
+            },
+            skip: {
+              type: 'number',
+              description: 'Number of tasks to skip for pagination (default: 0)',
+              minimum: 0,
+            },
+            all: {
+              type: 'boolean',
+              description: 'Follow pagination and return all tasks instead of a single page (default: false)',
+            },
+            max_records: {
+              type: 'number',
+              description: 'Maximum number of tasks to fetch when all is true (default and upper limit: TIMECHIMP_MAX_RECORDS, 10000)',
+              minimum: 1,
+            },
+            count: {
+              type: 'boolean',
+              description: 'Whether to include the total count of results (default: true)',
+            },
+            expand: {
+              type: 'string',
+              description: 'Comma-delimited list of properties to expand (e.g., "project")',
+            },
+            active_only: {
+              type: 'boolean',
+              description: 'Only return active tasks (default: false)',
+            },
+            project_id: {
+              type: 'string',
+              description: 'Filter by specific project ID',
+            },
+            filter: {
+              type: 'string',
+              description: 'OData filter expression (e.g., "name eq \'Task Name\'" or "active eq true")',
+            },
+            orderby: {
+              type: 'string',
+              description: 'OData orderby expression (e.g., "name asc" or "created desc")',
+            },
+            refresh: {
+              type: 'boolean',
+              description: 'Bypass the response cache and fetch fresh data (default: false)',
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: (args) => this.getTasks(args),
+      },
+      {
+        name: 'get_task_by_id',
+        description: 'Get a specific task by ID',
+        method: 'GET',
+        endpoint: '/tasks/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Task ID',
+            },
+            expand: {
+              type: 'string',
+              description: 'Comma-delimited list of properties to expand',
+            },
+            refresh: {
+              type: 'boolean',
+              description: 'Bypass the response cache and fetch fresh data (default: false)',
+            },
+          },
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.getTaskById(args),
+      },
+      {
+        name: 'create_task',
+        description: 'Create a new task',
+        method: 'POST',
+        endpoint: '/tasks',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'The task name',
+            },
+            code: {
+              type: 'string',
+              description: 'The task code',
+            },
+            active: {
+              type: 'boolean',
+              description: 'Whether the task can be used (default: true)',
+            },
+            billable: {
+              type: 'boolean',
+              description: 'Whether the task is billable by default when added to a project (default: true)',
+            },
+            hourlyRate: {
+              type: 'number',
+              description: 'The default hourly rate of the task (used when project invoicing method = TaskHourlyRate)',
+            },
+          },
+          required: ['name'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.createTask(args),
+      },
+      {
+        name: 'update_task',
+        description: 'Update an existing task. Only the supplied fields change: the current task is fetched, merged with them and saved',
+        method: 'PUT',
+        endpoint: '/tasks/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Task ID',
+            },
+            name: {
+              type: 'string',
+              description: 'The task name',
+            },
+            code: {
+              type: 'string',
+              description: 'The task code',
+            },
+            active: {
+              type: 'boolean',
+              description: 'Whether the task can be used',
+            },
+            billable: {
+              type: 'boolean',
+              description: 'Whether the task is billable by default when added to a project',
+            },
+            hourlyRate: {
+              type: 'number',
+              description: 'The default hourly rate of the task (used when project invoicing method = TaskHourlyRate)',
+            },
+          },
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.updateTask(args),
+      },
+      {
+        name: 'delete_task',
+        description: 'Delete a task (two-step: the first call returns a confirmation token)',
+        method: 'DELETE',
+        endpoint: '/tasks/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Task ID',
+            },
+            confirmation_token: {
+              type: 'string',
+              description: 'One-time token returned by the first call. Without it, the tool only returns the record and a token to confirm the deletion',
+            },
+          },
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.deleteTask(args),
+      },
+      // Invoices
+      {
+        name: 'get_invoices',
+        description: 'Retrieve all invoices from TimeChimp',
+        method: 'GET',
+        endpoint: '/invoices',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            top: {
+              type: 'number',
+              description: 'Maximum number of invoices to return (1-10000, default: 100)',
+              minimum: 1,
+              maximum: 10000,
+            },
+            skip: {
+              type: 'number',
+              description: 'Number of invoices to skip for pagination (default: 0)',
+              minimum: 0,
+            },
+            all: {
+              type: 'boolean',
+              description: 'Follow pagination and return all invoices instead of a single page (default: false)',
+            },
+            max_records: {
+              type: 'number',
+              description: 'Maximum number of invoices to fetch when all is true (default and upper limit: TIMECHIMP_MAX_RECORDS, 10000)',
+              minimum: 1,
+            },
+            count: {
+              type: 'boolean',
+              description: 'Whether to include the total count of results (default: true)',
+            },
+            expand: {
+              type: 'string',
+              description: 'Comma-delimited list of properties to expand (e.g., "customer,projects")',
+            },
+            customer_id: {
+              type: 'string',
+              description: 'Filter by specific customer ID',
+            },
+            from_date: {
+              type: 'string',
+              description: 'Start date for filtering (YYYY-MM-DD format)',
+              pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            },
+            to_date: {
+              type: 'string',
+              description: 'End date for filtering (YYYY-MM-DD format)',
+              pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            },
+            filter: {
+              type: 'string',
+              description: 'OData filter expression (e.g., "status eq \'sent\'" or "total gt 1000")',
+            },
+            orderby: {
+              type: 'string',
+              description: 'OData orderby expression (e.g., "invoiceDate desc" or "total desc")',
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: (args) => this.getInvoices(args),
+      },
+      {
+        name: 'get_invoice_by_id',
+        description: 'Get a specific invoice by ID',
+        method: 'GET',
+        endpoint: '/invoices/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Invoice ID',
+            },
+            expand: {
+              type: 'string',
+              description: 'Comma-delimited list of properties to expand',
+            },
+          },
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.getInvoiceById(args),
+      },
+      // Expenses
+      {
+        name: 'get_expenses',
+        description: 'Retrieve all expenses from TimeChimp',
+        method: 'GET',
+        endpoint: '/expenses',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            top: {
+              type: 'number',
+              description: 'Maximum number of expenses to return (1-10000, default: 100)',
+              minimum: 1,
+              maximum: 10000,
+            },
+            skip: {
+              type: 'number',
+              description: 'Number of expenses to skip for pagination (default: 0)',
+              minimum: 0,
+            },
+            all: {
+              type: 'boolean',
+              description: 'Follow pagination and return all expenses instead of a single page (default: false)',
+            },
+            max_records: {
+              type: 'number',
+              description: 'Maximum number of expenses to fetch when all is true (default and upper limit: TIMECHIMP_MAX_RECORDS, 10000)',
+              minimum: 1,
+            },
+            count: {
+              type: 'boolean',
+              description: 'Whether to include the total count of results (default: true)',
+            },
+            expand: {
+              type: 'string',
+              description: 'Comma-delimited list of properties to expand (e.g., "user,project,customer")',
+            },
+            user_id: {
+              type: 'string',
+              description: 'Filter by specific user ID',
+            },
+            project_id: {
+              type: 'string',
+              description: 'Filter by specific project ID',
+            },
+            customer_id: {
+              type: 'string',
+              description: 'Filter by specific customer ID',
+            },
+            from_date: {
+              type: 'string',
+              description: 'Start date for filtering (YYYY-MM-DD format)',
+              pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            },
+            to_date: {
+              type: 'string',
+              description: 'End date for filtering (YYYY-MM-DD format)',
+              pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            },
+            filter: {
+              type: 'string',
+              description: 'OData filter expression (e.g., "amount gt 100" or "approved eq true")',
+            },
+            orderby: {
+              type: 'string',
+              description: 'OData orderby expression (e.g., "date desc" or "amount desc")',
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: (args) => this.getExpenses(args),
+      },
+      {
+        name: 'get_expense_by_id',
+        description: 'Get a specific expense by ID',
+        method: 'GET',
+        endpoint: '/expenses/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Expense ID',
+            },
+            expand: {
+              type: 'string',
+              description: 'Comma-delimited list of properties to expand',
+            },
+          },
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.getExpenseById(args),
+      },
+      {
+        name: 'create_expense',
+        description: 'Create a new expense',
+        method: 'POST',
+        endpoint: '/expenses',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            date: {
+              type: 'string',
+              description: 'The expense date (YYYY-MM-DD format, default: UTC today)',
+              pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            },
+            notes: {
+              type: 'string',
+              description: 'The expense notes',
+            },
+            quantity: {
+              type: 'number',
+              description: 'The expense quantity (default: 1)',
+              minimum: 0,
+            },
+            rate: {
+              type: 'number',
+              description: 'The expense rate/price',
+              minimum: 0,
+            },
+            billable: {
+              type: 'boolean',
+              description: 'Whether the expense can be invoiced (default: true)',
+            },
+            customer: {
               type: 'object',
+              description: 'Customer to be linked with the expense',
               properties: {
                 id: {
                   type: 'number',
-                  description: 'Contact ID',
-                },
-                expand: {
-                  type: 'string',
-                  description: 'Comma-delimited list of properties to expand',
+                  description: 'Unique identifier for the customer',
                 },
               },
               required: ['id'],
               additionalProperties: false,
             },
-          },
-          {
-            name: 'create_contact',
-            description: 'Create a new contact',
-            inputSchema: {
+            project: {
               type: 'object',
-              properties: {
-                name: {
-                  type: 'string',
-                  description: 'The contact name',
-                },
-                jobTitle: {
-                  type: 'string',
-                  description: 'The contact job title',
-                },
-                email: {
-                  type: 'string',
-                  description: 'The contact email address',
-                },
-                phone: {
-                  type: 'string',
-                  description: 'The contact phone number',
-                },
-                useForInvoicing: {
-                  type: 'boolean',
-                  description: 'Whether the contact info will be used for invoicing (default: false)',
-                },
-                active: {
-                  type: 'boolean',
-                  description: 'Whether the contact can be used (default: true)',
-                },
-                customers: {
-                  type: 'array',
-                  description: 'List of customer IDs to link to this contact',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      id: {
-                        type: 'number',
-                        description: 'Customer ID',
-                      },
-                    },
-                    required: ['id'],
-                  },
+              description: 'Project to be linked with the expense',
+              properties: {
+                id: {
+                  type: 'number',
+                  description: 'Unique identifier for the project',
                 },
               },
-              required: ['name'],
+              required: ['id'],
               additionalProperties: false,
             },
-          },
-          {
-            name: 'update_contact',
-            description: 'Update an existing contact',
-            inputSchema: {
+            product: {
               type: 'object',
+              description: 'Product to be linked with the expense',
               properties: {
                 id: {
                   type: 'number',
-                  description: 'Contact ID',
-                },
-                name: {
-                  type: 'string',
-                  description: 'The contact name',
-                },
-                jobTitle: {
-                  type: 'string',
-                  description: 'The contact job title',
-                },
-                email: {
-                  type: 'string',
-                  description: 'The contact email address',
-                },
-                phone: {
-                  type: 'string',
-                  description: 'The contact phone number',
-                },
-                useForInvoicing: {
-                  type: 'boolean',
-                  description: 'Whether the contact info will be used for invoicing',
-                },
-                active: {
-                  type: 'boolean',
-                  description: 'Whether the contact can be used',
-                },
-                customers: {
-                  type: 'array',
-                  description: 'List of customer IDs to link to this contact',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      id: {
-                        type: 'number',
-                        description: 'Customer ID',
-                      },
-                    },
-                    required: ['id'],
-                  },
+                  description: 'Unique identifier for the product',
                 },
               },
-              required: ['id', 'name'],
+              required: ['id'],
               additionalProperties: false,
             },
-          },
-          {
-            name: 'delete_contact',
-            description: 'Delete a contact',
-            inputSchema: {
+            user: {
               type: 'object',
+              description: 'User to be linked with the expense',
               properties: {
                 id: {
                   type: 'number',
-                  description: 'Contact ID',
+                  description: 'Unique identifier for the user',
                 },
               },
               required: ['id'],
               additionalProperties: false,
             },
-          },
-          // Customers
-          {
-            name: 'get_customers',
-            description: 'Retrieve all customers from TimeChimp',
-            inputSchema: {
+            vatRate: {
               type: 'object',
+              description: 'VAT rate to be linked with the expense (default: highest percentage)',
               properties: {
-                top: {
-                  type: 'number',
-                  description: 'Maximum number of customers to return (1-10000, default: 100)',
-                  minimum: 1,
-                  maximum: 10000,
-                },
-                skip: {
+                id: {
                   type: 'number',
-                  description: 'Number of customers to skip for pagination (default: 0)',
-                  minimum: 0,
-                },
-                count: {
-                  type: 'boolean',
-                  description: 'Whether to include the total count of results (default: true)',
-                },
-                expand: {
-                  type: 'string',
-                  description: 'Comma-delimited list of properties to expand (e.g., "contacts,projects")',
-                },
-                active_only: {
-                  type: 'boolean',
-                  description: 'Only return active customers (default: false)',
-                },
-                filter: {
-                  type: 'string',
-                  description: 'OData filter expression (e.g., "name eq \'Company Name\'" or "active eq true")',
-                },
-                orderby: {
-                  type: 'string',
-                  description: 'OData orderby expression (e.g., "name asc" or "created desc")',
+                  description: 'Unique identifier for the VAT rate',
                 },
               },
+              required: ['id'],
               additionalProperties: false,
             },
           },
-          {
-            name: 'get_customer_by_id',
-            description: 'Get a specific customer by ID',
-            inputSchema: {
+          required: ['rate', 'user'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.createExpense(args),
+      },
+      {
+        name: 'update_expense',
+        description: 'Update an existing expense',
+        method: 'PUT',
+        endpoint: '/expenses/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Expense ID',
+            },
+            date: {
+              type: 'string',
+              description: 'The expense date (YYYY-MM-DD format)',
+              pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            },
+            notes: {
+              type: 'string',
+              description: 'The expense notes',
+            },
+            quantity: {
+              type: 'number',
+              description: 'The expense quantity',
+              minimum: 0,
+            },
+            rate: {
+              type: 'number',
+              description: 'The expense rate/price',
+              minimum: 0,
+            },
+            billable: {
+              type: 'boolean',
+              description: 'Whether the expense can be invoiced',
+            },
+            customer: {
               type: 'object',
+              description: 'Customer to be linked with the expense',
               properties: {
                 id: {
                   type: 'number',
-                  description: 'Customer ID',
-                },
-                expand: {
-                  type: 'string',
-                  description: 'Comma-delimited list of properties to expand',
+                  description: 'Unique identifier for the customer',
                 },
               },
               required: ['id'],
               additionalProperties: false,
             },
-          },
-          {
-            name: 'create_customer',
-            description: 'Create a new customer',
-            inputSchema: {
+            project: {
               type: 'object',
+              description: 'Project to be linked with the expense',
               properties: {
-                name: {
-                  type: 'string',
-                  description: 'The customer name',
-                },
-                active: {
-                  type: 'boolean',
-                  description: 'Whether the customer can be used (default: true)',
-                },
-                relationId: {
-                  type: 'string',
-                  description: 'The customer number',
-                },
-                address: {
-                  type: 'object',
-                  description: 'The customer address info',
-                  properties: {
-                    address: {
-                      type: 'string',
-                      description: 'The address line',
-                    },
-                    postalCode: {
-                      type: 'string',
-                      description: 'The postal code',
-                    },
-                    city: {
-                      type: 'string',
-                      description: 'The city',
-                    },
-                    country: {
-                      type: 'string',
-                      description: 'The country',
-                    },
-                  },
-                  additionalProperties: false,
-                },
-                phone: {
-                  type: 'string',
-                  description: 'The customer phone number',
-                },
-                email: {
-                  type: 'string',
-                  description: 'The customer email address',
-                },
-                website: {
-                  type: 'string',
-                  description: 'The customer website URL',
-                },
-                paymentPeriod: {
-                  type: 'number',
-                  description: 'The customer payment term in days',
-                },
-                hourlyRate: {
-                  type: 'number',
-                  description: 'The customer default hourly price',
-                },
-                mileageRate: {
+                id: {
                   type: 'number',
-                  description: 'The customer default mileage price, per KM',
-                },
-                iban: {
-                  type: 'string',
-                  description: 'The customer IBAN',
-                },
-                bic: {
-                  type: 'string',
-                  description: 'The customer BIC',
-                },
-                vatNumber: {
-                  type: 'string',
-                  description: 'The customer VAT number',
-                },
-                kvkNumber: {
-                  type: 'string',
-                  description: 'The customer business ID',
-                },
-                invoiceAddress: {
-                  type: 'object',
-                  description: 'The customer invoice address info, override of the customer address info',
-                  properties: {
-                    address: {
-                      type: 'string',
-                      description: 'The address line',
-                    },
-                    postalCode: {
-                      type: 'string',
-                      description: 'The postal code',
-                    },
-                    city: {
-                      type: 'string',
-                      description: 'The city',
-                    },
-                    country: {
-                      type: 'string',
-                      description: 'The country',
-                    },
-                  },
-                  additionalProperties: false,
-                },
-                notes: {
-                  type: 'string',
-                  description: 'The customer notes',
-                },
-                prospect: {
-                  type: 'boolean',
-                  description: 'The customer is a prospect',
-                },
-                vatRate: {
-                  type: 'object',
-                  description: 'Vat rate to be used for this customer',
-                  properties: {
-                    id: {
-                      type: 'number',
-                      description: 'Unique identifier for the vat rate',
-                    },
-                  },
-                  required: ['id'],
-                  additionalProperties: false,
-                },
-                tags: {
-                  type: 'array',
-                  description: 'List of tag IDs to link to this customer',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      id: {
-                        type: 'number',
-                        description: 'Tag ID',
-                      },
-                    },
-                    required: ['id'],
-                    additionalProperties: false,
-                  },
-                },
-                contacts: {
-                  type: 'array',
-                  description: 'List of contact IDs to link to this customer',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      id: {
-                        type: 'number',
-                        description: 'Contact ID',
-                      },
-                    },
-                    required: ['id'],
-                    additionalProperties: false,
-                  },
+                  description: 'Unique identifier for the project',
                 },
               },
-              required: ['name'],
+              required: ['id'],
               additionalProperties: false,
             },
-          },
-          {
-            name: 'update_customer',
-            description: 'Update an existing customer',
-            inputSchema: {
+            product: {
               type: 'object',
+              description: 'Product to be linked with the expense',
               properties: {
                 id: {
                   type: 'number',
-                  description: 'Customer ID',
-                },
-                name: {
-                  type: 'string',
-                  description: 'The customer name',
-                },
-                active: {
-                  type: 'boolean',
-                  description: 'Whether the customer can be used',
-                },
-                relationId: {
-                  type: 'string',
-                  description: 'The customer number',
-                },
-                address: {
-                  type: 'object',
-                  description: 'The customer address info',
-                  properties: {
-                    address: {
-                      type: 'string',
-                      description: 'The address line',
-                    },
-                    postalCode: {
-                      type: 'string',
-                      description: 'The postal code',
-                    },
-                    city: {
-                      type: 'string',
-                      description: 'The city',
-                    },
-                    country: {
-                      type: 'string',
-                      description: 'The country',
-                    },
-                  },
-                  additionalProperties: false,
-                },
-                phone: {
-                  type: 'string',
-                  description: 'The customer phone number',
-                },
-                email: {
-                  type: 'string',
-                  description: 'The customer email address',
-                },
-                website: {
-                  type: 'string',
-                  description: 'The customer website URL',
-                },
-                paymentPeriod: {
-                  type: 'number',
-                  description: 'The customer payment term in days',
-                },
-                hourlyRate: {
-                  type: 'number',
-                  description: 'The customer default hourly price',
-                },
-                mileageRate: {
-                  type: 'number',
-                  description: 'The customer default mileage price, per KM',
-                },
-                iban: {
-                  type: 'string',
-                  description: 'The customer IBAN',
-                },
-                bic: {
-                  type: 'string',
-                  description: 'The customer BIC',
-                },
-                vatNumber: {
-                  type: 'string',
-                  description: 'The customer VAT number',
-                },
-                kvkNumber: {
-                  type: 'string',
-                  description: 'The customer business ID',
-                },
-                invoiceAddress: {
-                  type: 'object',
-                  description: 'The customer invoice address info, if differs from the customer address info',
-                  properties: {
-                    address: {
-                      type: 'string',
-                      description: 'The address line',
-                    },
-                    postalCode: {
-                      type: 'string',
-                      description: 'The postal code',
-                    },
-                    city: {
-                      type: 'string',
-                      description: 'The city',
-                    },
-                    country: {
-                      type: 'string',
-                      description: 'The country',
-                    },
-                  },
-                  additionalProperties: false,
-                },
-                notes: {
-                  type: 'string',
-                  description: 'The customer notes',
-                },
-                prospect: {
-                  type: 'boolean',
-                  description: 'The customer is a prospect',
-                },
-                vatRate: {
-                  type: 'object',
-                  description: 'Vat rate to be linked with the customer',
-                  properties: {
-                    id: {
-                      type: 'number',
-                      description: 'Unique identifier for the vat rate',
-                    },
-                  },
-                  required: ['id'],
-                  additionalProperties: false,
-                },
-                tags: {
-                  type: 'array',
-                  description: 'List of tag IDs to link to this customer',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      id: {
-                        type: 'number',
-                        description: 'Tag ID',
-                      },
-                    },
-                    required: ['id'],
-                    additionalProperties: false,
-                  },
-                },
-                contacts: {
-                  type: 'array',
-                  description: 'List of contact IDs to link to this customer',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      id: {
-                        type: 'number',
-                        description: 'Contact ID',
-                      },
-                    },
-                    required: ['id'],
-                    additionalProperties: false,
-                  },
+                  description: 'Unique identifier for the product',
                 },
               },
-              required: ['id', 'name'],
+              required: ['id'],
               additionalProperties: false,
             },
-          },
-          {
-            name: 'delete_customer',
-            description: 'Delete a customer',
-            inputSchema: {
+            user: {
               type: 'object',
+              description: 'User to be linked with the expense',
               properties: {
                 id: {
                   type: 'number',
-                  description: 'Customer ID',
+                  description: 'Unique identifier for the user',
                 },
               },
               required: ['id'],
               additionalProperties: false,
             },
-          },
-          // Tasks
-          {
-            name: 'get_tasks',
-            description: 'Retrieve all tasks from TimeChimp',
-            inputSchema: {
+            vatRate: {
               type: 'object',
+              description: 'VAT rate to be linked with the expense',
               properties: {
-                top: {
-                  type: 'number',
-                  description: 'Maximum number of tasks to return (1-10000, default: 100)',
-                  minimum: 1,
-                  maximum: 10000,
-                },
-                skip: {
+                id: {
                   type: 'number',
-                  description: 'Number of tasks to skip for pagination (default: 0)',
-                  minimum: 0,
-                },
-                count: {
-                  type: 'boolean',
-                  description: 'Whether to include the total count of results (default: true)',
+                  description: 'Unique identifier for the VAT rate',
                 },
-                expand: {
-                  type: 'string',
-                  description: 'Comma-delimited list of properties to expand (e.g., "project")',
-                },
-                active_only: {
-                  type: 'boolean',
-                  description: 'Only return active tasks (default: false)',
-                },
-                project_id: {
-                  type: 'string',
-                  description: 'Filter by specific project ID',
-                },
-                filter: {
-                  type: 'string',
-                  description: 'OData filter expression (e.g., "name eq \'Task Name\'" or "active eq true")',
+              },
+              required: ['id'],
+              additionalProperties: false,
+            },
+          },
+          required: ['id', 'rate', 'user'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.updateExpense(args),
+      },
+      {
+        name: 'delete_expense',
+        description: 'Delete an expense (two-step: the first call returns a confirmation token)',
+        method: 'DELETE',
+        endpoint: '/expenses/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Expense ID',
+            },
+            confirmation_token: {
+              type: 'string',
+              description: 'One-time token returned by the first call. Without it, the tool only returns the record and a token to confirm the deletion',
+            },
+          },
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.deleteExpense(args),
+      },
+      {
+        name: 'update_expense_status',
+        description: 'Update the status of expenses (internal approval/invoicing status)',
+        method: 'PUT',
+        endpoint: '/expenses/status',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            message: {
+              type: 'string',
+              description: 'Status history message',
+            },
+            expenses: {
+              type: 'array',
+              description: 'List of expenses to be updated (maximum of 100 entries)',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'number',
+                    description: 'Unique identifier for the expense',
+                  },
                 },
-                orderby: {
-                  type: 'string',
-                  description: 'OData orderby expression (e.g., "name asc" or "created desc")',
+                required: ['id'],
+                additionalProperties: false,
+              },
+              maxItems: 100,
+            },
+            status: {
+              type: 'string',
+              description: 'The internal approval/invoicing status of the expense',
+              enum: ['Open', 'PendingApproval', 'Approved', 'Invoiced', 'WrittenOff', 'Rejected'],
+            },
+          },
+          required: ['expenses', 'status'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.updateExpenseStatus(args),
+      },
+      {
+        name: 'update_expense_client_status',
+        description: 'Update the client status of expenses (external approval/invoicing status)',
+        method: 'PUT',
+        endpoint: '/expenses/clientStatus',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            clientStatus: {
+              type: 'string',
+              description: 'The external approval/invoicing status of the expense (used only when client portal is enabled)',
+              enum: ['Open', 'PendingApproval', 'Approved', 'Invoiced', 'WrittenOff', 'Rejected'],
+            },
+            message: {
+              type: 'string',
+              description: 'Status history message',
+            },
+            expenses: {
+              type: 'array',
+              description: 'List of expenses to be updated (maximum of 100 entries)',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'number',
+                    description: 'Unique identifier for the expense',
+                  },
                 },
+                required: ['id'],
+                additionalProperties: false,
               },
-              additionalProperties: false,
+              maxItems: 100,
+            },
+          },
+          required: ['clientStatus', 'expenses'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.updateExpenseClientStatus(args),
+      },
+      {
+        name: 'get_expense_status_history',
+        description: 'Query status history modification records of an expense',
+        method: 'GET',
+        endpoint: '/expenses/{id}/statusHistory',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Expense ID',
+            },
+            top: {
+              type: 'number',
+              description: 'Maximum number of status history records to return (1-10000, default: 100)',
+              minimum: 1,
+              maximum: 10000,
+            },
+            skip: {
+              type: 'number',
+              description: 'Number of status history records to skip for pagination (default: 0)',
+              minimum: 0,
+            },
+            all: {
+              type: 'boolean',
+              description: 'Follow pagination and return all status history records instead of a single page (default: false)',
+            },
+            max_records: {
+              type: 'number',
+              description: 'Maximum number of status history records to fetch when all is true (default and upper limit: TIMECHIMP_MAX_RECORDS, 10000)',
+              minimum: 1,
+            },
+            count: {
+              type: 'boolean',
+              description: 'Whether to include the total count of results (default: true)',
+            },
+            expand: {
+              type: 'string',
+              description: 'Comma-delimited list of properties to expand',
+            },
+            filter: {
+              type: 'string',
+              description: 'OData filter expression',
+            },
+            orderby: {
+              type: 'string',
+              description: 'OData orderby expression (e.g., "modifiedOn desc")',
+            },
+          },
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.getExpenseStatusHistory(args),
+      },
+      // Mileage
+      {
+        name: 'get_mileage',
+        description: 'Retrieve all mileage entries from TimeChimp',
+        method: 'GET',
+        endpoint: '/mileage',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            top: {
+              type: 'number',
+              description: 'Maximum number of mileage entries to return (1-10000, default: 100)',
+              minimum: 1,
+              maximum: 10000,
+            },
+            skip: {
+              type: 'number',
+              description: 'Number of mileage entries to skip for pagination (default: 0)',
+              minimum: 0,
+            },
+            all: {
+              type: 'boolean',
+              description: 'Follow pagination and return all mileage entries instead of a single page (default: false)',
+            },
+            max_records: {
+              type: 'number',
+              description: 'Maximum number of mileage entries to fetch when all is true (default and upper limit: TIMECHIMP_MAX_RECORDS, 10000)',
+              minimum: 1,
+            },
+            count: {
+              type: 'boolean',
+              description: 'Whether to include the total count of results (default: true)',
+            },
+            expand: {
+              type: 'string',
+              description: 'Comma-delimited list of properties to expand (e.g., "user,project,customer")',
+            },
+            user_id: {
+              type: 'string',
+              description: 'Filter by specific user ID',
+            },
+            project_id: {
+              type: 'string',
+              description: 'Filter by specific project ID',
+            },
+            customer_id: {
+              type: 'string',
+              description: 'Filter by specific customer ID',
+            },
+            from_date: {
+              type: 'string',
+              description: 'Start date for filtering (YYYY-MM-DD format)',
+              pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            },
+            to_date: {
+              type: 'string',
+              description: 'End date for filtering (YYYY-MM-DD format)',
+              pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            },
+            filter: {
+              type: 'string',
+              description: 'OData filter expression (e.g., "distance gt 50" or "approved eq true")',
+            },
+            orderby: {
+              type: 'string',
+              description: 'OData orderby expression (e.g., "date desc" or "distance desc")',
             },
           },
-          {
-            name: 'get_task_by_id',
-            description: 'Get a specific task by ID',
-            inputSchema: {
+          additionalProperties: false,
+        },
+        handler: (args) => this.getMileage(args),
+      },
+      {
+        name: 'get_mileage_by_id',
+        description: 'Get a specific mileage entry by ID',
+        method: 'GET',
+        endpoint: '/mileage/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Mileage entry ID',
+            },
+            expand: {
+              type: 'string',
+              description: 'Comma-delimited list of properties to expand',
+            },
+          },
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.getMileageById(args),
+      },
+      {
+        name: 'create_mileage',
+        description: 'Create a new mileage entry',
+        method: 'POST',
+        endpoint: '/mileage',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            date: {
+              type: 'string',
+              description: 'The mileage date (YYYY-MM-DD format, default: UTC today)',
+              pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            },
+            fromAddress: {
+              type: 'string',
+              description: 'The mileage from address',
+            },
+            toAddress: {
+              type: 'string',
+              description: 'The mileage to address',
+            },
+            notes: {
+              type: 'string',
+              description: 'The mileage notes',
+            },
+            distance: {
+              type: 'number',
+              description: 'The mileage distance in KM',
+              minimum: 0,
+            },
+            billable: {
+              type: 'boolean',
+              description: 'Whether the mileage can be invoiced (default: true)',
+            },
+            type: {
+              type: 'string',
+              description: 'The mileage type',
+              enum: ['Private', 'Business', 'HomeWork'],
+            },
+            customer: {
               type: 'object',
+              description: 'Customer to be linked with the mileage',
               properties: {
                 id: {
                   type: 'number',
-                  description: 'Task ID',
-                },
-                expand: {
-                  type: 'string',
-                  description: 'Comma-delimited list of properties to expand',
+                  description: 'Unique identifier for the customer',
                 },
               },
               required: ['id'],
               additionalProperties: false,
             },
-          },
-          // Invoices
-          {
-            name: 'get_invoices',
-            description: 'Retrieve all invoices from TimeChimp',
-            inputSchema: {
+            project: {
               type: 'object',
+              description: 'Project to be linked with the mileage',
               properties: {
-                top: {
-                  type: 'number',
-                  description: 'Maximum number of invoices to return (1-10000, default: 100)',
-                  minimum: 1,
-                  maximum: 10000,
-                },
-                skip: {
+                id: {
                   type: 'number',
-                  description: 'Number of invoices to skip for pagination (default: 0)',
-                  minimum: 0,
-                },
-                count: {
-                  type: 'boolean',
-                  description: 'Whether to include the total count of results (default: true)',
-                },
-                expand: {
-                  type: 'string',
-                  description: 'Comma-delimited list of properties to expand (e.g., "customer,projects")',
-                },
-                customer_id: {
-                  type: 'string',
-                  description: 'Filter by specific customer ID',
-                },
-                from_date: {
-                  type: 'string',
-                  description: 'Start date for filtering (YYYY-MM-DD format)',
-                  pattern: '^\\d{4}-\\d{2}-\\d{2}$',
-                },
-                to_date: {
-                  type: 'string',
-                  description: 'End date for filtering (YYYY-MM-DD format)',
-                  pattern: '^\\d{4}-\\d{2}-\\d{2}$',
-                },
-                filter: {
-                  type: 'string',
-                  description: 'OData filter expression (e.g., "status eq \'sent\'" or "total gt 1000")',
-                },
-                orderby: {
-                  type: 'string',
-                  description: 'OData orderby expression (e.g., "invoiceDate desc" or "total desc")',
+                  description: 'Unique identifier for the project',
                 },
               },
+              required: ['id'],
               additionalProperties: false,
             },
-          },
-          {
-            name: 'get_invoice_by_id',
-            description: 'Get a specific invoice by ID',
-            inputSchema: {
+            vehicle: {
               type: 'object',
+              description: 'Vehicle to be linked with the mileage',
               properties: {
                 id: {
                   type: 'number',
-                  description: 'Invoice ID',
-                },
-                expand: {
-                  type: 'string',
-                  description: 'Comma-delimited list of properties to expand',
+                  description: 'Unique identifier for the mileage vehicle',
                 },
               },
               required: ['id'],
               additionalProperties: false,
             },
-          },
-          // Expenses
-          {
-            name: 'get_expenses',
-            description: 'Retrieve all expenses from TimeChimp',
-            inputSchema: {
+            user: {
               type: 'object',
+              description: 'User to be linked with the mileage',
               properties: {
-                top: {
-                  type: 'number',
-                  description: 'Maximum number of expenses to return (1-10000, default: 100)',
-                  minimum: 1,
-                  maximum: 10000,
-                },
-                skip: {
+                id: {
                   type: 'number',
-                  description: 'Number of expenses to skip for pagination (default: 0)',
-                  minimum: 0,
-                },
-                count: {
-                  type: 'boolean',
-                  description: 'Whether to include the total count of results (default: true)',
-                },
-                expand: {
-                  type: 'string',
-                  description: 'Comma-delimited list of properties to expand (e.g., "user,project,customer")',
-                },
-                user_id: {
-                  type: 'string',
-                  description: 'Filter by specific user ID',
-                },
-                project_id: {
-                  type: 'string',
-                  description: 'Filter by specific project ID',
-                },
-                customer_id: {
-                  type: 'string',
-                  description: 'Filter by specific customer ID',
-                },
-                from_date: {
-                  type: 'string',
-                  description: 'Start date for filtering (YYYY-MM-DD format)',
-                  pattern: '^\\d{4}-\\d{2}-\\d{2}$',
-                },
-                to_date: {
-                  type: 'string',
-                  description: 'End date for filtering (YYYY-MM-DD format)',
-                  pattern: '^\\d{4}-\\d{2}-\\d{2}$',
-                },
-                filter: {
-                  type: 'string',
-                  description: 'OData filter expression (e.g., "amount gt 100" or "approved eq true")',
-                },
-                orderby: {
-                  type: 'string',
-                  description: 'OData orderby expression (e.g., "date desc" or "amount desc")',
+                  description: 'Unique identifier for the user',
                 },
               },
+              required: ['id'],
               additionalProperties: false,
             },
           },
-          {
-            name: 'get_expense_by_id',
-            description: 'Get a specific expense by ID',
-            inputSchema: {
+          required: ['distance', 'type', 'user'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.createMileage(args),
+      },
+      {
+        name: 'update_mileage',
+        description: 'Update an existing mileage entry',
+        method: 'PUT',
+        endpoint: '/mileage/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Mileage entry ID',
+            },
+            date: {
+              type: 'string',
+              description: 'The mileage date (YYYY-MM-DD format)',
+              pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            },
+            fromAddress: {
+              type: 'string',
+              description: 'The mileage from address',
+            },
+            toAddress: {
+              type: 'string',
+              description: 'The mileage to address',
+            },
+            notes: {
+              type: 'string',
+              description: 'The mileage notes',
+            },
+            distance: {
+              type: 'number',
+              description: 'The mileage distance in KM',
+              minimum: 0,
+            },
+            billable: {
+              type: 'boolean',
+              description: 'Whether the mileage can be invoiced',
+            },
+            type: {
+              type: 'string',
+              description: 'The mileage type',
+              enum: ['Private', 'Business', 'HomeWork'],
+            },
+            customer: {
               type: 'object',
+              description: 'Customer to be linked with the mileage',
               properties: {
                 id: {
                   type: 'number',
-                  description: 'Expense ID',
-                },
-                expand: {
-                  type: 'string',
-                  description: 'Comma-delimited list of properties to expand',
+                  description: 'Unique identifier for the customer',
                 },
               },
               required: ['id'],
               additionalProperties: false,
             },
-          },
-          {
-            name: 'create_expense',
-            description: 'Create a new expense',
-            inputSchema: {
+            project: {
               type: 'object',
+              description: 'Project to be linked with the mileage',
               properties: {
-                date: {
-                  type: 'string',
-                  description: 'The expense date (YYYY-MM-DD format, default: UTC today)',
-                  pattern: '^\\d{4}-\\d{2}-\\d{2}$',
-                },
-                notes: {
-                  type: 'string',
-                  description: 'The expense notes',
-                },
-                quantity: {
-                  type: 'number',
-                  description: 'The expense quantity (default: 1)',
-                  minimum: 0,
-                },
-                rate: {
+                id: {
                   type: 'number',
-                  description: 'The expense rate/price',
-                  minimum: 0,
-                },
-                billable: {
-                  type: 'boolean',
-                  description: 'Whether the expense can be invoiced (default: true)',
-                },
-                customer: {
-                  type: 'object',
-                  description: 'Customer to be linked with the expense',
-                  properties: {
-                    id: {
-                      type: 'number',
-                      description: 'Unique identifier for the customer',
-                    },
-                  },
-                  required: ['id'],
-                  additionalProperties: false,
-                },
-                project: {
-                  type: 'object',
-                  description: 'Project to be linked with the expense',
-                  properties: {
-                    id: {
-                      type: 'number',
-                      description: 'Unique identifier for the project',
-                    },
-                  },
-                  required: ['id'],
-                  additionalProperties: false,
-                },
-                product: {
-                  type: 'object',
-                  description: 'Product to be linked with the expense',
-                  properties: {
-                    id: {
-                      type: 'number',
-                      description: 'Unique identifier for the product',
-                    },
-                  },
-                  required: ['id'],
-                  additionalProperties: false,
-                },
-                user: {
-                  type: 'object',
-                  description: 'User to be linked with the expense',
-                  properties: {
-                    id: {
-                      type: 'number',
-                      description: 'Unique identifier for the user',
-                    },
-                  },
-                  required: ['id'],
-                  additionalProperties: false,
-                },
-                vatRate: {
-                  type: 'object',
-                  description: 'VAT rate to be linked with the expense (default: highest percentage)',
-                  properties: {
-                    id: {
-                      type: 'number',
-                      description: 'Unique identifier for the VAT rate',
-                    },
-                  },
-                  required: ['id'],
-                  additionalProperties: false,
+                  description: 'Unique identifier for the project',
                 },
               },
-              required: ['rate', 'user'],
+              required: ['id'],
               additionalProperties: false,
             },
-          },
-          {
-            name: 'update_expense',
-            description: 'Update an existing expense',
-            inputSchema: {
+            vehicle: {
               type: 'object',
+              description: 'Vehicle to be linked with the mileage',
               properties: {
                 id: {
                   type: 'number',
-                  description: 'Expense ID',
-                },
-                date: {
-                  type: 'string',
-                  description: 'The expense date (YYYY-MM-DD format)',
-                  pattern: '^\\d{4}-\\d{2}-\\d{2}$',
-                },
-                notes: {
-                  type: 'string',
-                  description: 'The expense notes',
-                },
-                quantity: {
-                  type: 'number',
-                  description: 'The expense quantity',
-                  minimum: 0,
-                },
-                rate: {
-                  type: 'number',
-                  description: 'The expense rate/price',
-                  minimum: 0,
-                },
-                billable: {
-                  type: 'boolean',
-                  description: 'Whether the expense can be invoiced',
-                },
-                customer: {
-                  type: 'object',
-                  description: 'Customer to be linked with the expense',
-                  properties: {
-                    id: {
-                      type: 'number',
-                      description: 'Unique identifier for the customer',
-                    },
-                  },
-                  required: ['id'],
-                  additionalProperties: false,
-                },
-                project: {
-                  type: 'object',
-                  description: 'Project to be linked with the expense',
-                  properties: {
-                    id: {
-                      type: 'number',
-                      description: 'Unique identifier for the project',
-                    },
-                  },
-                  required: ['id'],
-                  additionalProperties: false,
-                },
-                product: {
-                  type: 'object',
-                  description: 'Product to be linked with the expense',
-                  properties: {
-                    id: {
-                      type: 'number',
-                      description: 'Unique identifier for the product',
-                    },
-                  },
-                  required: ['id'],
-                  additionalProperties: false,
-                },
-                user: {
-                  type: 'object',
-                  description: 'User to be linked with the expense',
-                  properties: {
-                    id: {
-                      type: 'number',
-                      description: 'Unique identifier for the user',
-                    },
-                  },
-                  required: ['id'],
-                  additionalProperties: false,
-                },
-                vatRate: {
-                  type: 'object',
-                  description: 'VAT rate to be linked with the expense',
-                  properties: {
-                    id: {
-                      type: 'number',
-                      description: 'Unique identifier for the VAT rate',
-                    },
-                  },
-                  required: ['id'],
-                  additionalProperties: false,
+                  description: 'Unique identifier for the mileage vehicle',
                 },
               },
-              required: ['id', 'rate', 'user'],
+              required: ['id'],
               additionalProperties: false,
             },
-          },
-          {
-            name: 'delete_expense',
-            description: 'Delete an expense',
-            inputSchema: {
+            user: {
               type: 'object',
+              description: 'User to be linked with the mileage',
               properties: {
                 id: {
                   type: 'number',
-                  description: 'Expense ID',
+                  description: 'Unique identifier for the user',
                 },
               },
               required: ['id'],
               additionalProperties: false,
             },
           },
-          {
-            name: 'update_expense_status',
-            description: 'Update the status of expenses (internal approval/invoicing status)',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                message: {
-                  type: 'string',
-                  description: 'Status history message',
-                },
-                expenses: {
-                  type: 'array',
-                  description: 'List of expenses to be updated (maximum of 100 entries)',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      id: {
-                        type: 'number',
-                        description: 'Unique identifier for the expense',
-                      },
-                    },
-                    required: ['id'],
-                    additionalProperties: false,
+          required: ['id', 'distance', 'type', 'user'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.updateMileage(args),
+      },
+      {
+        name: 'delete_mileage',
+        description: 'Delete a mileage entry (two-step: the first call returns a confirmation token)',
+        method: 'DELETE',
+        endpoint: '/mileage/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Mileage entry ID',
+            },
+            confirmation_token: {
+              type: 'string',
+              description: 'One-time token returned by the first call. Without it, the tool only returns the record and a token to confirm the deletion',
+            },
+          },
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.deleteMileage(args),
+      },
+      {
+        name: 'update_mileage_status',
+        description: 'Update the status of mileage entries (internal approval/invoicing status)',
+        method: 'PUT',
+        endpoint: '/mileage/status',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            message: {
+              type: 'string',
+              description: 'Status history message',
+            },
+            mileages: {
+              type: 'array',
+              description: 'List of mileage entries to be updated (maximum of 100 entries)',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'number',
+                    description: 'Unique identifier for the mileage',
                   },
-                  maxItems: 100,
                 },
-                status: {
-                  type: 'string',
-                  description: 'The internal approval/invoicing status of the expense',
-                  enum: ['Open', 'PendingApproval', 'Approved', 'Invoiced', 'WrittenOff', 'Rejected'],
+                required: ['id'],
+                additionalProperties: false,
+              },
+              maxItems: 100,
+            },
+            status: {
+              type: 'string',
+              description: 'The internal approval/invoicing status of the mileage',
+              enum: ['Open', 'PendingApproval', 'Approved', 'Invoiced', 'WrittenOff', 'Rejected'],
+            },
+          },
+          required: ['mileages', 'status'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.updateMileageStatus(args),
+      },
+      {
+        name: 'update_mileage_client_status',
+        description: 'Update the client status of mileage entries (external approval/invoicing status)',
+        method: 'PUT',
+        endpoint: '/mileage/clientStatus',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            clientStatus: {
+              type: 'string',
+              description: 'The external approval/invoicing status of the mileage (used only when client portal is enabled)',
+              enum: ['Open', 'PendingApproval', 'Approved', 'Invoiced', 'WrittenOff', 'Rejected'],
+            },
+            message: {
+              type: 'string',
+              description: 'Status history message',
+            },
+            mileages: {
+              type: 'array',
+              description: 'List of mileage entries to be updated (maximum of 100 entries)',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'number',
+                    description: 'Unique identifier for the mileage',
+                  },
                 },
+                required: ['id'],
+                additionalProperties: false,
               },
-              required: ['expenses', 'status'],
-              additionalProperties: false,
+              maxItems: 100,
+            },
+          },
+          required: ['clientStatus', 'mileages'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.updateMileageClientStatus(args),
+      },
+      {
+        name: 'get_mileage_status_history',
+        description: 'Query status history modification records of a mileage entry',
+        method: 'GET',
+        endpoint: '/mileage/{id}/statusHistory',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Mileage entry ID',
+            },
+            top: {
+              type: 'number',
+              description: 'Maximum number of status history records to return (1-10000, default: 100)',
+              minimum: 1,
+              maximum: 10000,
+            },
+            skip: {
+              type: 'number',
+              description: 'Number of status history records to skip for pagination (default: 0)',
+              minimum: 0,
+            },
+            all: {
+              type: 'boolean',
+              description: 'Follow pagination and return all status history records instead of a single page (default: false)',
+            },
+            max_records: {
+              type: 'number',
+              description: 'Maximum number of status history records to fetch when all is true (default and upper limit: TIMECHIMP_MAX_RECORDS, 10000)',
+              minimum: 1,
+            },
+            count: {
+              type: 'boolean',
+              description: 'Whether to include the total count of results (default: true)',
+            },
+            expand: {
+              type: 'string',
+              description: 'Comma-delimited list of properties to expand',
+            },
+            filter: {
+              type: 'string',
+              description: 'OData filter expression',
+            },
+            orderby: {
+              type: 'string',
+              description: 'OData orderby expression (e.g., "modifiedOn desc")',
+            },
+          },
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.getMileageStatusHistory(args),
+      },
+      {
+        name: 'get_mileage_vehicles',
+        description: 'Retrieve all mileage vehicles from TimeChimp',
+        method: 'GET',
+        endpoint: '/mileageVehicles',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            top: {
+              type: 'number',
+              description: 'Maximum number of mileage vehicles to return (1-10000, default: 100)',
+              minimum: 1,
+              maximum: 10000,
+            },
+            skip: {
+              type: 'number',
+              description: 'Number of mileage vehicles to skip for pagination (default: 0)',
+              minimum: 0,
+            },
+            all: {
+              type: 'boolean',
+              description: 'Follow pagination and return all mileage vehicles instead of a single page (default: false)',
+            },
+            max_records: {
+              type: 'number',
+              description: 'Maximum number of mileage vehicles to fetch when all is true (default and upper limit: TIMECHIMP_MAX_RECORDS, 10000)',
+              minimum: 1,
+            },
+            count: {
+              type: 'boolean',
+              description: 'Whether to include the total count of results (default: true)',
+            },
+            expand: {
+              type: 'string',
+              description: 'Comma-delimited list of properties to expand (e.g., "users")',
+            },
+            active_only: {
+              type: 'boolean',
+              description: 'Only return active mileage vehicles (default: false)',
+            },
+            filter: {
+              type: 'string',
+              description: 'OData filter expression (e.g., "brand eq \'Toyota\'" or "active eq true")',
+            },
+            orderby: {
+              type: 'string',
+              description: 'OData orderby expression (e.g., "brand asc" or "created desc")',
+            },
+            refresh: {
+              type: 'boolean',
+              description: 'Bypass the response cache and fetch fresh data (default: false)',
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: (args) => this.getMileageVehicles(args),
+      },
+      {
+        name: 'get_mileage_vehicle_by_id',
+        description: 'Get a specific mileage vehicle by ID',
+        method: 'GET',
+        endpoint: '/mileageVehicles/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Mileage vehicle ID',
+            },
+            expand: {
+              type: 'string',
+              description: 'Comma-delimited list of properties to expand',
+            },
+            refresh: {
+              type: 'boolean',
+              description: 'Bypass the response cache and fetch fresh data (default: false)',
+            },
+          },
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.getMileageVehicleById(args),
+      },
+      // Tags
+      {
+        name: 'get_tags',
+        description: 'Retrieve all tags from TimeChimp',
+        method: 'GET',
+        endpoint: '/tags',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            top: {
+              type: 'number',
+              description: 'Maximum number of tags to return (1-10000, default: 100)',
+              minimum: 1,
+              maximum: 10000,
+            },
+            skip: {
+              type: 'number',
+              description: 'Number of tags to skip for pagination (default: 0)',
+              minimum: 0,
+            },
+            all: {
+              type: 'boolean',
+              description: 'Follow pagination and return all tags instead of a single page (default: false)',
+            },
+            max_records: {
+              type: 'number',
+              description: 'Maximum number of tags to fetch when all is true (default and upper limit: TIMECHIMP_MAX_RECORDS, 10000)',
+              minimum: 1,
+            },
+            count: {
+              type: 'boolean',
+              description: 'Whether to include the total count of results (default: true)',
+            },
+            expand: {
+              type: 'string',
+              description: 'Comma-delimited list of properties to expand',
+            },
+            active_only: {
+              type: 'boolean',
+              description: 'Only return active tags (default: false)',
+            },
+            filter: {
+              type: 'string',
+              description: 'OData filter expression (e.g., "name eq \'Important\'" or "active eq true")',
+            },
+            orderby: {
+              type: 'string',
+              description: 'OData orderby expression (e.g., "name asc" or "created desc")',
+            },
+            refresh: {
+              type: 'boolean',
+              description: 'Bypass the response cache and fetch fresh data (default: false)',
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: (args) => this.getTags(args),
+      },
+      {
+        name: 'get_tag_by_id',
+        description: 'Get a specific tag by ID',
+        method: 'GET',
+        endpoint: '/tags/{id}',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Tag ID',
+            },
+            expand: {
+              type: 'string',
+              description: 'Comma-delimited list of properties to expand',
+            },
+            refresh: {
+              type: 'boolean',
+              description: 'Bypass the response cache and fetch fresh data (default: false)',
+            },
+          },
+          required: ['id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.getTagById(args),
+      },
+      // Profiles
+      {
+        name: 'list_profiles',
+        description: 'List the configured TimeChimp account profiles and the active one',
+        access: 'read',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+          additionalProperties: false,
+        },
+        handler: (args) => this.listProfiles(args),
+      },
+      {
+        name: 'switch_profile',
+        description: 'Switch the active TimeChimp account profile for this session',
+        access: 'read',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Profile name',
+            },
+          },
+          required: ['name'],
+          additionalProperties: false,
+        },
+        handler: (args, context) => this.switchProfile(args, context),
+      },
+      // Diagnostics
+      {
+        name: 'get_diagnostics',
+        description: 'Get the state of the client-side rate limiter, concurrency limiter, response cache and HTTP fixture recording or replay',
+        access: 'read',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+          additionalProperties: false,
+        },
+        handler: (args) => this.getDiagnostics(args),
+      },
+      // Audit
+      {
+        name: 'get_audit_log',
+        description: 'Search the local audit log of write requests (create, update, delete and status changes) sent to TimeChimp, newest first. Shows the entries of the current client and profile unless the audit scope is "all"',
+        access: 'read',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            from_date: {
+              type: 'string',
+              description: 'Only entries on or after this date (YYYY-MM-DD format)',
+              pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            },
+            to_date: {
+              type: 'string',
+              description: 'Only entries on or before this date (YYYY-MM-DD format)',
+              pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            },
+            tool: {
+              type: 'string',
+              description: 'Only entries made by this tool (e.g., "update_project")',
+            },
+            entity: {
+              type: 'string',
+              description: 'Only entries for this entity type, as in the API path (e.g., "projects", "times", "customers")',
+            },
+            id: {
+              type: 'number',
+              description: 'Only entries that affected this entity ID',
+            },
+            client: {
+              type: 'string',
+              description: 'Only entries made by this HTTP client (other clients\' entries are only visible with audit scope "all")',
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum number of entries to return (default: 100)',
+              minimum: 1,
+              maximum: 10000,
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: (args) => this.getAuditLog(args),
+      },
+      // Undo
+      {
+        name: 'undo_last_change',
+        description: 'Undo the most recent update, delete or bulk status change made through this server by restoring the previous version of the entity (a deleted entity is re-created with a new ID; the entries of a status change get their previous status back)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            entity: {
+              type: 'string',
+              description: 'Only undo the last change to this entity type, as in the API path (e.g., "projects", "contacts")',
+            },
+            id: {
+              type: 'number',
+              description: 'Only undo the last change to the entity with this ID',
             },
           },
-          {
-            name: 'update_expense_client_status',
-            description: 'Update the client status of expenses (external approval/invoicing status)',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                clientStatus: {
-                  type: 'string',
-                  description: 'The external approval/invoicing status of the expense (used only when client portal is enabled)',
-                  enum: ['Open', 'PendingApproval', 'Approved', 'Invoiced', 'WrittenOff', 'Rejected'],
-                },
-                message: {
-                  type: 'string',
-                  description: 'Status history message',
-                },
-                expenses: {
-                  type: 'array',
-                  description: 'List of expenses to be updated (maximum of 100 entries)',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      id: {
-                        type: 'number',
-                        description: 'Unique identifier for the expense',
-                      },
-                    },
-                    required: ['id'],
-                    additionalProperties: false,
-                  },
-                  maxItems: 100,
-                },
-              },
-              required: ['clientStatus', 'expenses'],
-              additionalProperties: false,
+          additionalProperties: false,
+        },
+        handler: (args) => this.undoLastChange(args),
+      },
+      {
+        name: 'restore_entity',
+        description: 'Restore an entity to the version stored in the undo journal before it was updated or deleted (a deleted entity is re-created with a new ID)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            entity: {
+              type: 'string',
+              description: 'Entity type, as in the API path (e.g., "projects", "customers", "times")',
             },
+            id: {
+              type: 'number',
+              description: 'Entity ID',
+            },
+            change_id: {
+              type: 'string',
+              description: 'Journal ID of the change to revert (default: the most recent change to the entity)',
+            },
+          },
+          required: ['entity', 'id'],
+          additionalProperties: false,
+        },
+        handler: (args) => this.restoreEntity(args),
+      },
+    ]) {
+      this.registerTool(tool);
+    }
+  }
+
+  setupToolHandlers(server, context = {}) {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+      return {
+        tools: this.prepareToolList(context),
+      };
+    });
+
+    server.setRequestHandler(CallToolRequestSchema, async (request) => this.runToolCall(context, request, async () => {
+      const { name } = request.params;
+      const tool = this.tools.get(name);
+      if (!tool) {
+        throw new McpError(
+          ErrorCode.MethodNotFound,
+          `Unknown tool: ${name}`
+        );
+      }
+
+      try {
+        this.assertToolAllowed(name, context);
+        // dry_run and profile are checked against the advertised schema before they are dropped, so
+        // a tool without them (or a dry_run that is not a boolean) is refused rather than run for real
+        const advertised = this.advertisedTool(tool);
+        const properties = advertised.inputSchema.properties || {};
+        const unsupported = ['dry_run', 'profile']
+          .filter((argument) => (request.params.arguments || {})[argument] !== undefined && !(argument in properties));
+        if (unsupported.length > 0) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            `Invalid arguments for ${name}:\n${unsupported.map((argument) => `- ${argument}: not supported by this tool`).join('\n')}`
+          );
+        }
+        const args = this.applyProfileDefaults(name, request.params.arguments);
+        this.validateArguments(advertised, args);
+        const { profile, dry_run, ...toolArgs } = args;
+        return await tool.handler(toolArgs, context);
+      } catch (error) {
+        if (error instanceof McpError) {
+          throw error;
+        }
+        throw new McpError(
+          ErrorCode.InternalError,
+          `Tool execution failed: ${error.message}`
+        );
+      }
+    }));
+  }
+
+  /**
+   * Expose TimeChimp entities as resources, so clients can attach a project or a timesheet as
+   * context without a tool call. Resources are read-only and available in every mode.
+   */
+  setupResourceHandlers(server, context = {}) {
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return {
+        resourceTemplates: this.resourceTemplates(),
+      };
+    });
+
+    server.setRequestHandler(ListResourcesRequestSchema, async () => this.requestContext.run({ session: context }, async () => {
+      return {
+        resources: this.listResources(),
+      };
+    }));
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => this.requestContext.run({ session: context }, async () => {
+      return {
+        contents: await this.readResource(request.params.uri),
+      };
+    }));
+  }
+
+  /**
+   * URI templates of the resources: one per entity type by ID, and a user's timesheet for an ISO week
+   */
+  resourceTemplates() {
+    const entities = ['projects', 'customers', 'contacts', 'users', 'tasks', 'times', 'invoices', 'expenses', 'mileage', 'mileageVehicles', 'tags'];
+    const templates = entities.map((entity) => ({
+      uriTemplate: `timechimp://${entity}/{id}`,
+      name: this.entityLabel(entity),
+      description: {
+        projects: 'A TimeChimp project with its tasks and users',
+        users: 'A TimeChimp user; use "me" as the ID for yourself',
+      }[entity] || `A TimeChimp ${this.entityLabel(entity).toLowerCase()}`,
+      mimeType: 'application/json',
+    }));
+
+    templates.push({
+      uriTemplate: 'timechimp://users/{id}/week/{week}',
+      name: 'Weekly timesheet',
+      description: 'A user\'s time entries and hours per day for an ISO week such as 2026-W42; use "me" as the ID for yourself',
+      mimeType: 'application/json',
+    });
+    return templates;
+  }
+
+  /**
+   * The current user and their timesheet for this week, when the user ID is known
+   */
+  listResources() {
+    if (!this.currentAccount().userId) return [];
+
+    const week = this.isoWeek(new Date());
+    return [
+      {
+        uri: 'timechimp://users/me',
+        name: 'My TimeChimp user',
+        mimeType: 'application/json',
+      },
+      {
+        uri: `timechimp://users/me/week/${week}`,
+        name: `My timesheet for ${week}`,
+        mimeType: 'application/json',
+      },
+    ];
+  }
+
+  /**
+   * Read a timechimp://<entity>/<id> or timechimp://users/<id>/week/<week> resource
+   */
+  async readResource(uri) {
+    const match = /^timechimp:\/\/(\w+)\/(\w+)(?:\/week\/(\d{4}-W\d{2}))?$/.exec(uri);
+    const templates = this.resourceTemplates().map((template) => template.uriTemplate);
+    if (!match || !templates.includes(`timechimp://${match[1]}/{id}${match[3] ? '/week/{week}' : ''}`)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Unknown resource: ${uri}. Resource URIs look like ${templates.join(', ')}`
+      );
+    }
+
+    const [, entity, rawId, week] = match;
+    if (!/^\d+$/.test(rawId) && !(entity === 'users' && rawId === 'me')) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Invalid ID in ${uri}: ${rawId}`
+      );
+    }
+    const id = entity === 'users' ? this.resolveUserId(rawId) : rawId;
+
+    const result = week
+      ? await this.getWeeklyTimesheet(id, week)
+      : await this.handleGetByIdRequest(`/${entity}`, id, entity === 'projects' ? 'projectTasks,projectUsers' : null);
+    if (result.isError) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        result.content[0].text
+      );
+    }
+
+    return [
+      {
+        uri,
+        mimeType: 'application/json',
+        text: result.content[0].text,
+      },
+    ];
+  }
+
+  /**
+   * Resolve a user ID given as a number or as "me", the user configured for the current account
+   */
+  resolveUserId(id) {
+    if (String(id) !== 'me') return Number(id);
+
+    const { userId } = this.currentAccount();
+    if (!userId) {
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        'Your TimeChimp user ID is unknown. Set TIMECHIMP_USER_ID, or userId in your profile or HTTP client'
+      );
+    }
+    return userId;
+  }
+
+  /**
+   * A user's time entries for an ISO week, with the total hours and the hours per day
+   */
+  async getWeeklyTimesheet(userId, week) {
+    const { from, to } = this.isoWeekRange(week);
+    const result = await this.getTimeEntries({ user_id: userId, from_date: from, to_date: to, orderby: 'date', all: true });
+    if (result.isError) return result;
+
+    const { value: timeEntries } = JSON.parse(result.content[0].text);
+    const hoursPerDay = {};
+    for (let day = 0; day < 7; day += 1) {
+      hoursPerDay[this.addDays(from, day)] = 0;
+    }
+    for (const entry of timeEntries) {
+      hoursPerDay[entry.date.slice(0, 10)] += entry.hours || 0;
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            user: { id: userId },
+            week,
+            from,
+            to,
+            totalHours: Object.values(hoursPerDay).reduce((total, hours) => total + hours, 0),
+            hoursPerDay,
+            timeEntries,
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  /**
+   * The ISO week of a date, such as 2026-W42
+   */
+  isoWeek(date) {
+    // The ISO week and its year are those of the week's Thursday
+    const thursday = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+    thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+    const year = thursday.getUTCFullYear();
+    const week = Math.floor((thursday - Date.UTC(year, 0, 1)) / (7 * 86400000)) + 1;
+    return `${year}-W${String(week).padStart(2, '0')}`;
+  }
+
+  /**
+   * The Monday and Sunday (YYYY-MM-DD) of an ISO week such as 2026-W42
+   */
+  isoWeekRange(week) {
+    const [year, number] = week.split('-W').map(Number);
+    // January 4th is always in week 1
+    const monday = new Date(Date.UTC(year, 0, 4));
+    monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7) + (number - 1) * 7);
+    const from = monday.toISOString().slice(0, 10);
+    if (this.isoWeek(new Date(monday.getUTCFullYear(), monday.getUTCMonth(), monday.getUTCDate())) !== week) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `${week} is not an ISO week of ${year}`
+      );
+    }
+    return { from, to: this.addDays(from, 6) };
+  }
+
+  addDays(date, days) {
+    const result = new Date(`${date}T00:00:00Z`);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Offer ready-made prompts for common TimeChimp workflows. Each prompt fetches its data with the
+   * existing getters and embeds it, so every client starts from the same instructions and data.
+   */
+  setupPromptHandlers(server, context = {}) {
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return {
+        prompts: [...this.prompts.values()].map(({ name, description, arguments: args }) => ({
+          name,
+          description,
+          arguments: args.map(({ pattern, ...arg }) => arg),
+        })),
+      };
+    });
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => this.requestContext.run({ session: context }, async () => {
+      const { name, arguments: args = {} } = request.params;
+      const prompt = this.prompts.get(name);
+      if (!prompt) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Unknown prompt: ${name}. Available prompts: ${[...this.prompts.keys()].join(', ')}`
+        );
+      }
+
+      this.validateArguments({
+        name,
+        inputSchema: {
+          type: 'object',
+          properties: Object.fromEntries(prompt.arguments.map((arg) => [arg.name, { type: 'string', pattern: arg.pattern }])),
+          required: prompt.arguments.filter((arg) => arg.required).map((arg) => arg.name),
+          additionalProperties: false,
+        },
+      }, args);
+      return await prompt.handler(args, context);
+    }));
+  }
+
+  /**
+   * Register a prompt with its name, description, string arguments (each optionally with a
+   * pattern it must match) and a handler that returns the prompt's description and messages
+   */
+  registerPrompt(prompt) {
+    const { name, handler } = prompt;
+    if (!name || !handler) {
+      throw new Error('A prompt needs a name and a handler');
+    }
+    if (this.prompts.has(name)) {
+      throw new Error(`Prompt ${name} is already registered`);
+    }
+
+    this.prompts.set(name, { arguments: [], ...prompt });
+    return this;
+  }
+
+  registerBuiltinPrompts() {
+    for (const prompt of [
+      {
+        name: 'weekly_timesheet_review',
+        description: 'Review a user\'s timesheet for a week: gaps, vague notes, billability and readiness for approval',
+        arguments: [
+          { name: 'user', description: 'User ID, or "me" (default: me)', pattern: '^(\\d+|me)$' },
+          { name: 'week', description: 'ISO week such as 2026-W42 (default: last week)', pattern: '^\\d{4}-W\\d{2}$' },
+        ],
+        handler: (args) => this.weeklyTimesheetReviewPrompt(args),
+      },
+      {
+        name: 'project_budget_health',
+        description: 'Check a project\'s budget: hours and fees used, burn rate and when the budget runs out',
+        arguments: [
+          { name: 'project_id', description: 'Project ID', required: true, pattern: '^\\d+$' },
+        ],
+        handler: (args) => this.projectBudgetHealthPrompt(args),
+      },
+      {
+        name: 'month_end_invoicing_prep',
+        description: 'Prepare a customer\'s invoice for a month from its billable time, expenses and mileage',
+        arguments: [
+          { name: 'customer_id', description: 'Customer ID', required: true, pattern: '^\\d+$' },
+          { name: 'month', description: 'Month as YYYY-MM (default: last month)', pattern: '^\\d{4}-(0[1-9]|1[0-2])$' },
+        ],
+        handler: (args) => this.monthEndInvoicingPrepPrompt(args),
+      },
+      {
+        name: 'expense_approval_triage',
+        description: 'Sort the expenses awaiting approval into approve, reject and needs-information',
+        arguments: [
+          { name: 'user_id', description: 'Only expenses of this user ID', pattern: '^\\d+$' },
+          { name: 'from_date', description: 'Only expenses on or after this date (YYYY-MM-DD)', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+          { name: 'to_date', description: 'Only expenses on or before this date (YYYY-MM-DD)', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+        ],
+        handler: (args) => this.expenseApprovalTriagePrompt(args),
+      },
+    ]) {
+      this.registerPrompt(prompt);
+    }
+  }
+
+  /**
+   * The data of a successful getter result; a failed one becomes an error of the prompt or resource
+   */
+  resultData(result) {
+    if (result.isError) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        result.content[0].text
+      );
+    }
+    return JSON.parse(result.content[0].text);
+  }
+
+  /**
+   * A prompt of one user message: the instructions followed by each data set as a JSON block
+   */
+  promptResult(description, instructions, sections) {
+    const data = Object.entries(sections)
+      .map(([title, value]) => `## ${title}\n\n\`\`\`json\n${JSON.stringify(value, null, 2)}\n\`\`\``)
+      .join('\n\n');
+
+    return {
+      description,
+      messages: [
+        {
+          role: 'user',
+          content: {
+            type: 'text',
+            text: `${instructions}\n\n${data}`,
           },
+        },
+      ],
+    };
+  }
+
+  async weeklyTimesheetReviewPrompt(args = {}) {
+    const userId = this.resolveUserId(args.user || 'me');
+    const week = args.week || this.isoWeek(new Date(Date.now() - 7 * 86400000));
+    const user = this.resultData(await this.getUserById({ id: userId }));
+    const timesheet = this.resultData(await this.getWeeklyTimesheet(userId, week));
+
+    return this.promptResult(
+      `Timesheet review for ${user.displayName || `user ${userId}`}, ${week}`,
+      [
+        `Review the timesheet of ${user.displayName || `user ${userId}`} for ${week} (${timesheet.from} to ${timesheet.to}), included below. Point out:`,
+        '- Working days with no hours, or with unusually few or many',
+        '- Overlapping entries',
+        '- Entries without notes, or with notes too vague for a customer to understand',
+        '- Billable and non-billable time that looks misclassified',
+        '- Entries that are still Open and should be submitted for approval',
+        '',
+        'Then summarize the week in a few sentences and list the corrections you recommend. If the week is ready, offer to approve its entries with update_time_entry_status, but do not change anything without confirmation.',
+      ].join('\n'),
+      {
+        User: user,
+        Timesheet: timesheet,
+      }
+    );
+  }
+
+  async projectBudgetHealthPrompt(args = {}) {
+    const id = Number(args.project_id);
+    const today = new Date().toISOString().slice(0, 10);
+    const from = this.addDays(today, -27);
+    const project = this.resultData(await this.getProjectById({ id, expand: 'projectTasks,projectUsers' }));
+    const insights = this.resultData(await this.getProjectInsights({ id }));
+    const { value: timeEntries } = this.resultData(await this.getTimeEntries({ project_id: id, from_date: from, to_date: today, orderby: 'date', all: true }));
+
+    return this.promptResult(
+      `Budget health check for project ${project.name}`,
+      [
+        `Check the budget health of project ${project.name} as of ${today}. The project, its insights and its time entries of the last four weeks (${from} to ${today}) are included below. Report:`,
+        '- How much of the budget (hours or fee) is used',
+        '- The burn rate over the last four weeks, and when the budget runs out at that rate compared with the project\'s end date',
+        '- Which tasks and users account for most of the hours',
+        '- The share of non-billable hours',
+        '',
+        'Rate the project as healthy, at risk or over budget, explain why in a few sentences and recommend what to do next.',
+      ].join('\n'),
+      {
+        Project: project,
+        Insights: insights,
+        'Time entries, last four weeks': timeEntries,
+      }
+    );
+  }
+
+  async monthEndInvoicingPrepPrompt(args = {}) {
+    const id = Number(args.customer_id);
+    const now = new Date();
+    const month = args.month || new Date(Date.UTC(now.getFullYear(), now.getMonth() - 1, 1)).toISOString().slice(0, 7);
+    const [year, monthNumber] = month.split('-').map(Number);
+    const from = `${month}-01`;
+    const to = new Date(Date.UTC(year, monthNumber, 0)).toISOString().slice(0, 10);
+    const filters = { customer_id: id, from_date: from, to_date: to, orderby: 'date', all: true };
+
+    const customer = this.resultData(await this.getCustomerById({ id }));
+    const { value: timeEntries } = this.resultData(await this.getTimeEntries(filters));
+    const { value: expenses } = this.resultData(await this.getExpenses(filters));
+    const { value: mileage } = this.resultData(await this.getMileage(filters));
+    const { value: invoices } = this.resultData(await this.getInvoices({ customer_id: id, from_date: from, orderby: 'date' }));
+
+    return this.promptResult(
+      `Invoicing preparation for ${customer.name}, ${month}`,
+      [
+        `Prepare the invoice of ${customer.name} for ${month} (${from} to ${to}). The customer and its time entries, expenses, mileage and invoices since ${from} are included below.`,
+        '- Group the billable time that is not yet invoiced (clientStatus other than Invoiced) per project and task, with hours, rate and amount',
+        '- List the billable expenses and mileage that are not yet invoiced, with their amounts',
+        '- Flag entries that are not Approved yet, non-billable entries that look billable and entries without notes',
+        '- Check the existing invoices for anything that was already invoiced',
+        '',
+        'End with a draft invoice summary and totals. Offer to mark the invoiced entries with update_time_entry_client_status, update_expense_client_status and update_mileage_client_status once the invoice is sent, but do not change anything without confirmation.',
+      ].join('\n'),
+      {
+        Customer: customer,
+        'Time entries': timeEntries,
+        Expenses: expenses,
+        Mileage: mileage,
+        Invoices: invoices,
+      }
+    );
+  }
+
+  async expenseApprovalTriagePrompt(args = {}) {
+    const { user_id, from_date, to_date } = args;
+    const { value: expenses } = this.resultData(await this.getExpenses({
+      user_id,
+      from_date,
+      to_date,
+      filter: "status eq 'PendingApproval'",
+      expand: 'user,project',
+      orderby: 'date',
+      all: true,
+    }));
+
+    return this.promptResult(
+      'Expense approval triage',
+      [
+        `Triage the ${expenses.length} expenses awaiting approval, included below. Sort them into approve, reject and needs more information, and flag:`,
+        '- Expenses without notes or with unclear notes',
+        '- Amounts that are unusually high compared with similar expenses',
+        '- Possible duplicates: the same user, date and amount',
+        '- Billable expenses without a customer, and non-billable expenses on customer projects',
+        '',
+        'Then propose the update_expense_status calls to make (at most 100 expenses per call), with a message explaining each rejection, but do not run them without confirmation.',
+      ].join('\n'),
+      {
+        'Expenses awaiting approval': expenses,
+      }
+    );
+  }
+
+  /**
+   * Build query parameters for OData requests
+   */
+  buildQueryParams(args = {}) {
+    const { top, skip, count, expand, filter, orderby } = args;
+    const params = new URLSearchParams();
+    
+    // Pagination parameters
+    if (top) params.append('$top', top.toString());
+    if (skip) params.append('$skip', skip.toString());
+    if (count !== undefined) params.append('$count', count.toString());
+    
+    // Expansion
+    if (expand) params.append('$expand', expand);
+    
+    // Ordering
+    if (orderby) params.append('$orderby', orderby);
+    
+    // Filtering
+    if (filter) params.append('$filter', filter);
+    
+    return params;
+  }
+
+  /**
+   * Build filter expression with common filters
+   */
+  buildFilterExpression(args = {}) {
+    const { active_only, user_id, project_id, customer_id, from_date, to_date, filter } = args;
+    let filterExpression = '';
+    
+    // Add active filter
+    if (active_only) {
+      filterExpression = 'active eq true';
+    }
+    
+    // Add user_id filter
+    if (user_id) {
+      const userFilter = `user/id eq ${user_id}`;
+      filterExpression = filterExpression ? `${filterExpression} and ${userFilter}` : userFilter;
+    }
+    
+    // Add project_id filter
+    if (project_id) {
+      const projectFilter = `project/id eq ${project_id}`;
+      filterExpression = filterExpression ? `${filterExpression} and ${projectFilter}` : projectFilter;
+    }
+    
+    // Add customer_id filter
+    if (customer_id) {
+      const customerFilter = `customer/id eq ${customer_id}`;
+      filterExpression = filterExpression ? `${filterExpression} and ${customerFilter}` : customerFilter;
+    }
+    
+    // Add date range filters
+    if (from_date) {
+      const dateFilter = `date ge ${from_date}`;
+      filterExpression = filterExpression ? `${filterExpression} and ${dateFilter}` : dateFilter;
+    }
+    
+    if (to_date) {
+      const dateFilter = `date le ${to_date}`;
+      filterExpression = filterExpression ? `${filterExpression} and ${dateFilter}` : dateFilter;
+    }
+    
+    // Add custom filter
+    if (filter) {
+      filterExpression = filterExpression ? `${filterExpression} and ${filter}` : filter;
+    }
+    
+    return filterExpression;
+  }
+
+  /**
+   * Generic method to handle GET requests
+   */
+  async handleGetRequest(endpoint, args = {}, defaultOrderBy = null) {
+    const params = this.buildQueryParams(args);
+    const filterExpression = this.buildFilterExpression(args);
+    
+    // Add default ordering if no custom orderby is provided
+    if (defaultOrderBy && !args.orderby) {
+      params.append('$orderby', defaultOrderBy);
+    }
+    
+    if (filterExpression) {
+      params.set('$filter', filterExpression);
+    }
+
+    try {
+      const data = args.all
+        ? await this.fetchAllPages(endpoint, params, args)
+        : await this.makeRequest(`${endpoint}${params.toString() ? `?${params.toString()}` : ''}`, { refresh: args.refresh });
+      
+      return {
+        content: [
           {
-            name: 'get_expense_status_history',
-            description: 'Query status history modification records of an expense',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                id: {
-                  type: 'number',
-                  description: 'Expense ID',
-                },
-                top: {
-                  type: 'number',
-                  description: 'Maximum number of status history records to return (1-10000, default: 100)',
-                  minimum: 1,
-                  maximum: 10000,
-                },
-                skip: {
-                  type: 'number',
-                  description: 'Number of status history records to skip for pagination (default: 0)',
-                  minimum: 0,
-                },
-                count: {
-                  type: 'boolean',
-                  description: 'Whether to include the total count of results (default: true)',
-                },
-                expand: {
-                  type: 'string',
-                  description: 'Comma-delimited list of properties to expand',
-                },
-                filter: {
-                  type: 'string',
-                  description: 'OData filter expression',
-                },
-                orderby: {
-                  type: 'string',
-                  description: 'OData orderby expression (e.g., "modifiedOn desc")',
-                },
-              },
-              required: ['id'],
-              additionalProperties: false,
-            },
+            type: 'text',
+            text: JSON.stringify(data, null, 2),
           },
-          // Mileage
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
           {
-            name: 'get_mileage',
-            description: 'Retrieve all mileage entries from TimeChimp',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                top: {
-                  type: 'number',
-                  description: 'Maximum number of mileage entries to return (1-10000, default: 100)',
-                  minimum: 1,
-                  maximum: 10000,
-                },
-                skip: {
-                  type: 'number',
-                  description: 'Number of mileage entries to skip for pagination (default: 0)',
-                  minimum: 0,
-                },
-                count: {
-                  type: 'boolean',
-                  description: 'Whether to include the total count of results (default: true)',
-                },
-                expand: {
-                  type: 'string',
-                  description: 'Comma-delimited list of properties to expand (e.g., "user,project,customer")',
-                },
-                user_id: {
-                  type: 'string',
-                  description: 'Filter by specific user ID',
-                },
-                project_id: {
-                  type: 'string',
-                  description: 'Filter by specific project ID',
-                },
-                customer_id: {
-                  type: 'string',
-                  description: 'Filter by specific customer ID',
-                },
-                from_date: {
-                  type: 'string',
-                  description: 'Start date for filtering (YYYY-MM-DD format)',
-                  pattern: '^\\d{4}-\\d{2}-\\d{2}$',
-                },
-                to_date: {
-                  type: 'string',
-                  description: 'End date for filtering (YYYY-MM-DD format)',
-                  pattern: '^\\d{4}-\\d{2}-\\d{2}$',
-                },
-                filter: {
-                  type: 'string',
-                  description: 'OData filter expression (e.g., "distance gt 50" or "approved eq true")',
-                },
-                orderby: {
-                  type: 'string',
-                  description: 'OData orderby expression (e.g., "date desc" or "distance desc")',
-                },
-              },
-              additionalProperties: false,
-            },
+            type: 'text',
+            text: `Error retrieving data from ${endpoint}: ${error.message}`,
           },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  /**
+   * Follow $top/$skip pagination until the last page or the record cap is reached.
+   * The top argument is used as the page size. The page that reaches the cap asks for one extra
+   * record, so the result only counts as truncated when more records exist.
+   */
+  async fetchAllPages(endpoint, params, args = {}) {
+    const pageSize = args.top || 1000;
+    const maxRecords = Math.min(args.max_records || this.maxRecords, this.maxRecords);
+    let skip = args.skip || 0;
+    let first = null;
+    let pages = 0;
+    let truncated = false;
+    const records = [];
+
+    for (;;) {
+      const remaining = maxRecords - records.length;
+      const top = Math.min(pageSize, remaining + 1);
+      params.set('$top', top.toString());
+      params.set('$skip', skip.toString());
+
+      const data = await this.makeRequest(`${endpoint}?${params.toString()}`, { refresh: args.refresh });
+      const page = Array.isArray(data) ? data : data.value || [];
+      first = first || data;
+      pages += 1;
+
+      if (page.length > remaining) {
+        records.push(...page.slice(0, remaining));
+        truncated = true;
+        break;
+      }
+      records.push(...page);
+      skip += page.length;
+      if (page.length < top) break;
+    }
+
+    return {
+      ...(first && !Array.isArray(first) ? first : {}),
+      value: records,
+      pagination: {
+        pages,
+        records: records.length,
+        truncated,
+      },
+    };
+  }
+
+  /**
+   * Generic method to handle GET by ID requests
+   */
+  async handleGetByIdRequest(endpoint, id, expand = null, refresh = false) {
+    const params = new URLSearchParams();
+    if (expand) params.append('$expand', expand);
+    
+    const fullEndpoint = `${endpoint}/${id}${params.toString() ? `?${params.toString()}` : ''}`;
+    
+    try {
+      const data = await this.makeRequest(fullEndpoint, { refresh });
+      
+      return {
+        content: [
           {
-            name: 'get_mileage_by_id',
-            description: 'Get a specific mileage entry by ID',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                id: {
-                  type: 'number',
-                  description: 'Mileage entry ID',
-                },
-                expand: {
-                  type: 'string',
-                  description: 'Comma-delimited list of properties to expand',
-                },
-              },
-              required: ['id'],
-              additionalProperties: false,
-            },
+            type: 'text',
+            text: JSON.stringify(data, null, 2),
           },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
           {
-            name: 'create_mileage',
-            description: 'Create a new mileage entry',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                date: {
-                  type: 'string',
-                  description: 'The mileage date (YYYY-MM-DD format, default: UTC today)',
-                  pattern: '^\\d{4}-\\d{2}-\\d{2}$',
-                },
-                fromAddress: {
-                  type: 'string',
-                  description: 'The mileage from address',
-                },
-                toAddress: {
-                  type: 'string',
-                  description: 'The mileage to address',
-                },
-                notes: {
-                  type: 'string',
-                  description: 'The mileage notes',
-                },
-                distance: {
-                  type: 'number',
-                  description: 'The mileage distance in KM',
-                  minimum: 0,
-                },
-                billable: {
-                  type: 'boolean',
-                  description: 'Whether the mileage can be invoiced (default: true)',
-                },
-                type: {
-                  type: 'string',
-                  description: 'The mileage type',
-                  enum: ['Private', 'Business', 'HomeWork'],
-                },
-                customer: {
-                  type: 'object',
-                  description: 'Customer to be linked with the mileage',
-                  properties: {
-                    id: {
-                      type: 'number',
-                      description: 'Unique identifier for the customer',
-                    },
-                  },
-                  required: ['id'],
-                  additionalProperties: false,
-                },
-                project: {
-                  type: 'object',
-                  description: 'Project to be linked with the mileage',
-                  properties: {
-                    id: {
-                      type: 'number',
-                      description: 'Unique identifier for the project',
-                    },
-                  },
-                  required: ['id'],
-                  additionalProperties: false,
-                },
-                vehicle: {
-                  type: 'object',
-                  description: 'Vehicle to be linked with the mileage',
-                  properties: {
-                    id: {
-                      type: 'number',
-                      description: 'Unique identifier for the mileage vehicle',
-                    },
-                  },
-                  required: ['id'],
-                  additionalProperties: false,
-                },
-                user: {
-                  type: 'object',
-                  description: 'User to be linked with the mileage',
-                  properties: {
-                    id: {
-                      type: 'number',
-                      description: 'Unique identifier for the user',
-                    },
-                  },
-                  required: ['id'],
-                  additionalProperties: false,
-                },
-              },
-              required: ['distance', 'type', 'user'],
-              additionalProperties: false,
-            },
+            type: 'text',
+            text: `Error retrieving data from ${endpoint}/${id}: ${error.message}`,
           },
-          {
-            name: 'update_mileage',
-            description: 'Update an existing mileage entry',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                id: {
-                  type: 'number',
-                  description: 'Mileage entry ID',
-                },
-                date: {
-                  type: 'string',
-                  description: 'The mileage date (YYYY-MM-DD format)',
-                  pattern: '^\\d{4}-\\d{2}-\\d{2}$',
-                },
-                fromAddress: {
-                  type: 'string',
-                  description: 'The mileage from address',
-                },
-                toAddress: {
-                  type: 'string',
-                  description: 'The mileage to address',
-                },
-                notes: {
-                  type: 'string',
-                  description: 'The mileage notes',
-                },
-                distance: {
-                  type: 'number',
-                  description: 'The mileage distance in KM',
-                  minimum: 0,
-                },
-                billable: {
-                  type: 'boolean',
-                  description: 'Whether the mileage can be invoiced',
-                },
-                type: {
-                  type: 'string',
-                  description: 'The mileage type',
-                  enum: ['Private', 'Business', 'HomeWork'],
-                },
-                customer: {
-                  type: 'object',
-                  description: 'Customer to be linked with the mileage',
-                  properties: {
-                    id: {
-                      type: 'number',
-                      description: 'Unique identifier for the customer',
-                    },
-                  },
-                  required: ['id'],
-                  additionalProperties: false,
-                },
-                project: {
-                  type: 'object',
-                  description: 'Project to be linked with the mileage',
-                  properties: {
-                    id: {
-                      type: 'number',
-                      description: 'Unique identifier for the project',
-                    },
-                  },
-                  required: ['id'],
-                  additionalProperties: false,
-                },
-                vehicle: {
-                  type: 'object',
-                  description: 'Vehicle to be linked with the mileage',
-                  properties: {
-                    id: {
-                      type: 'number',
-                      description: 'Unique identifier for the mileage vehicle',
-                    },
-                  },
-                  required: ['id'],
-                  additionalProperties: false,
-                },
-                user: {
-                  type: 'object',
-                  description: 'User to be linked with the mileage',
-                  properties: {
-                    id: {
-                      type: 'number',
-                      description: 'Unique identifier for the user',
-                    },
-                  },
-                  required: ['id'],
-                  additionalProperties: false,
-                },
-              },
-              required: ['id', 'distance', 'type', 'user'],
-              additionalProperties: false,
-            },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  /**
+   * Recursively merge plain objects; arrays and other values in source replace those in target
+   */
+  deepMerge(target, source) {
+    const result = { ...target };
+    for (const [key, value] of Object.entries(source)) {
+      if (value === undefined) continue;
+      const current = result[key];
+      const isObject = (item) => item !== null && typeof item === 'object' && !Array.isArray(item);
+      result[key] = isObject(current) && isObject(value) ? this.deepMerge(current, value) : value;
+    }
+    return result;
+  }
+
+  /**
+   * Fetch an entity, deep-merge the changes into it and PUT the full result back.
+   * Changes may be an object or a function that derives them from the current entity.
+   */
+  async patchEntity(endpoint, id, changes, expand = null) {
+    const current = await this.makeRequest(`${endpoint}/${id}${expand ? `?$expand=${expand}` : ''}`, { refresh: true });
+    const merged = this.deepMerge(current, typeof changes === 'function' ? changes(current) : changes);
+
+    return await this.makeRequest(`${endpoint}/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(merged),
+    });
+  }
+
+  /**
+   * List the required fields that are missing from a full (non-patch) update
+   */
+  missingFields(args, fields) {
+    return fields.filter((field) => args[field] === undefined);
+  }
+
+  // Projects
+  async getProjects(args = {}) {
+    return await this.handleGetRequest('/projects', args);
+  }
+
+  async getProjectById(args = {}) {
+    const { id, expand, refresh } = args;
+    return await this.handleGetByIdRequest('/projects', id, expand, refresh);
+  }
+
+  async createProject(args = {}) {
+    const { name, active, code, notes, color, startDate, endDate, invoicing, budget, customer, mainProject, subprojects, managers, tags, projectTasks, projectUsers } = args;
+    
+    const projectData = {
+      name,
+      active,
+      code,
+      notes,
+      color,
+      startDate,
+      endDate,
+      invoicing,
+      budget,
+      customer,
+      mainProject,
+      subprojects,
+      managers,
+      tags,
+      projectTasks,
+      projectUsers,
+    };
+
+    try {
+      const data = await this.makeRequest('/projects', {
+        method: 'POST',
+        body: JSON.stringify(projectData),
+      });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(data, null, 2),
           },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
           {
-            name: 'delete_mileage',
-            description: 'Delete a mileage entry',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                id: {
-                  type: 'number',
-                  description: 'Mileage entry ID',
-                },
-              },
-              required: ['id'],
-              additionalProperties: false,
+            type: 'text',
+            text: `Error creating project: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  async updateProject(args = {}) {
+    const { id, patch, name, active, code, notes, color, startDate, endDate, invoicing, budget, customer, mainProject, subprojects, managers, tags, projectTasks, projectUsers } = args;
+    
+    const projectData = {
+      name,
+      active,
+      code,
+      notes,
+      color,
+      startDate,
+      endDate,
+      invoicing,
+      budget,
+      customer,
+      mainProject,
+      subprojects,
+      managers,
+      tags,
+      projectTasks,
+      projectUsers,
+    };
+
+    if (!patch) {
+      const missing = this.missingFields(args, ['name', 'invoicing', 'budget', 'projectTasks', 'projectUsers']);
+      if (missing.length > 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error updating project: missing required fields ${missing.join(', ')} (set patch to true to only change the supplied fields)`,
             },
+          ],
+          isError: true,
+        };
+      }
+    }
+
+    try {
+      const data = patch
+        ? await this.patchEntity('/projects', id, projectData, 'projectTasks,projectUsers')
+        : await this.makeRequest(`/projects/${id}`, {
+          method: 'PUT',
+          body: JSON.stringify(projectData),
+        });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(data, null, 2),
           },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
           {
-            name: 'update_mileage_status',
-            description: 'Update the status of mileage entries (internal approval/invoicing status)',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                message: {
-                  type: 'string',
-                  description: 'Status history message',
-                },
-                mileages: {
-                  type: 'array',
-                  description: 'List of mileage entries to be updated (maximum of 100 entries)',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      id: {
-                        type: 'number',
-                        description: 'Unique identifier for the mileage',
-                      },
-                    },
-                    required: ['id'],
-                    additionalProperties: false,
-                  },
-                  maxItems: 100,
-                },
-                status: {
-                  type: 'string',
-                  description: 'The internal approval/invoicing status of the mileage',
-                  enum: ['Open', 'PendingApproval', 'Approved', 'Invoiced', 'WrittenOff', 'Rejected'],
-                },
-              },
-              required: ['mileages', 'status'],
-              additionalProperties: false,
-            },
+            type: 'text',
+            text: `Error updating project: ${error.message}`,
           },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  async deleteProject(args = {}) {
+    const { id, confirmation_token } = args;
+
+    const confirmation = await this.requireConfirmation('delete_project', '/projects', id, confirmation_token);
+    if (confirmation) {
+      return confirmation;
+    }
+
+    try {
+      await this.makeRequest(`/projects/${id}`, {
+        method: 'DELETE',
+      });
+      
+      return {
+        content: [
           {
-            name: 'update_mileage_client_status',
-            description: 'Update the client status of mileage entries (external approval/invoicing status)',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                clientStatus: {
-                  type: 'string',
-                  description: 'The external approval/invoicing status of the mileage (used only when client portal is enabled)',
-                  enum: ['Open', 'PendingApproval', 'Approved', 'Invoiced', 'WrittenOff', 'Rejected'],
-                },
-                message: {
-                  type: 'string',
-                  description: 'Status history message',
-                },
-                mileages: {
-                  type: 'array',
-                  description: 'List of mileage entries to be updated (maximum of 100 entries)',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      id: {
-                        type: 'number',
-                        description: 'Unique identifier for the mileage',
-                      },
-                    },
-                    required: ['id'],
-                    additionalProperties: false,
-                  },
-                  maxItems: 100,
-                },
-              },
-              required: ['clientStatus', 'mileages'],
-              additionalProperties: false,
-            },
+            type: 'text',
+            text: `Project ${id} deleted successfully`,
           },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
           {
-            name: 'get_mileage_status_history',
-            description: 'Query status history modification records of a mileage entry',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                id: {
-                  type: 'number',
-                  description: 'Mileage entry ID',
-                },
-                top: {
-                  type: 'number',
-                  description: 'Maximum number of status history records to return (1-10000, default: 100)',
-                  minimum: 1,
-                  maximum: 10000,
-                },
-                skip: {
-                  type: 'number',
-                  description: 'Number of status history records to skip for pagination (default: 0)',
-                  minimum: 0,
-                },
-                count: {
-                  type: 'boolean',
-                  description: 'Whether to include the total count of results (default: true)',
-                },
-                expand: {
-                  type: 'string',
-                  description: 'Comma-delimited list of properties to expand',
-                },
-                filter: {
-                  type: 'string',
-                  description: 'OData filter expression',
-                },
-                orderby: {
-                  type: 'string',
-                  description: 'OData orderby expression (e.g., "modifiedOn desc")',
-                },
-              },
-              required: ['id'],
-              additionalProperties: false,
-            },
+            type: 'text',
+            text: `Error deleting project: ${error.message}`,
           },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  async getProjectInsights(args = {}) {
+    const { id } = args;
+    
+    try {
+      const data = await this.makeRequest(`/projects/${id}/insights`);
+      
+      return {
+        content: [
           {
-            name: 'get_mileage_vehicles',
-            description: 'Retrieve all mileage vehicles from TimeChimp',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                top: {
-                  type: 'number',
-                  description: 'Maximum number of mileage vehicles to return (1-10000, default: 100)',
-                  minimum: 1,
-                  maximum: 10000,
-                },
-                skip: {
-                  type: 'number',
-                  description: 'Number of mileage vehicles to skip for pagination (default: 0)',
-                  minimum: 0,
-                },
-                count: {
-                  type: 'boolean',
-                  description: 'Whether to include the total count of results (default: true)',
-                },
-                expand: {
-                  type: 'string',
-                  description: 'Comma-delimited list of properties to expand (e.g., "users")',
-                },
-                active_only: {
-                  type: 'boolean',
-                  description: 'Only return active mileage vehicles (default: false)',
-                },
-                filter: {
-                  type: 'string',
-                  description: 'OData filter expression (e.g., "brand eq \'Toyota\'" or "active eq true")',
-                },
-                orderby: {
-                  type: 'string',
-                  description: 'OData orderby expression (e.g., "brand asc" or "created desc")',
-                },
-              },
-              additionalProperties: false,
-            },
+            type: 'text',
+            text: JSON.stringify(data, null, 2),
           },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
           {
-            name: 'get_mileage_vehicle_by_id',
-            description: 'Get a specific mileage vehicle by ID',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                id: {
-                  type: 'number',
-                  description: 'Mileage vehicle ID',
-                },
-                expand: {
-                  type: 'string',
-                  description: 'Comma-delimited list of properties to expand',
-                },
-              },
-              required: ['id'],
-              additionalProperties: false,
-            },
+            type: 'text',
+            text: `Error retrieving project insights: ${error.message}`,
           },
-          // Tags
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  /**
+   * Apply a change to a project's project tasks, keeping the rest of the project as is
+   */
+  async modifyProjectTasks(id, modify) {
+    return await this.patchEntity(
+      '/projects',
+      id,
+      (project) => ({ projectTasks: modify(project.projectTasks || []) }),
+      'projectTasks,projectUsers'
+    );
+  }
+
+  async addProjectTask(args = {}) {
+    const { id, task, active, billable, hourlyRate, fixedRate, budgetHours, budgetRate } = args;
+
+    const projectTaskData = {
+      active,
+      billable,
+      hourlyRate,
+      fixedRate,
+      budgetHours,
+      budgetRate,
+      task,
+    };
+
+    try {
+      const data = await this.modifyProjectTasks(id, (projectTasks) => {
+        if (projectTasks.some((projectTask) => projectTask.task?.id === task.id)) {
+          throw new Error(`Task ${task.id} is already linked to project ${id}`);
+        }
+        return [...projectTasks, projectTaskData];
+      });
+      
+      return {
+        content: [
           {
-            name: 'get_tags',
-            description: 'Retrieve all tags from TimeChimp',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                top: {
-                  type: 'number',
-                  description: 'Maximum number of tags to return (1-10000, default: 100)',
-                  minimum: 1,
-                  maximum: 10000,
-                },
-                skip: {
-                  type: 'number',
-                  description: 'Number of tags to skip for pagination (default: 0)',
-                  minimum: 0,
-                },
-                count: {
-                  type: 'boolean',
-                  description: 'Whether to include the total count of results (default: true)',
-                },
-                expand: {
-                  type: 'string',
-                  description: 'Comma-delimited list of properties to expand',
-                },
-                active_only: {
-                  type: 'boolean',
-                  description: 'Only return active tags (default: false)',
-                },
-                filter: {
-                  type: 'string',
-                  description: 'OData filter expression (e.g., "name eq \'Important\'" or "active eq true")',
-                },
-                orderby: {
-                  type: 'string',
-                  description: 'OData orderby expression (e.g., "name asc" or "created desc")',
-                },
-              },
-              additionalProperties: false,
-            },
+            type: 'text',
+            text: JSON.stringify(data, null, 2),
           },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
           {
-            name: 'get_tag_by_id',
-            description: 'Get a specific tag by ID',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                id: {
-                  type: 'number',
-                  description: 'Tag ID',
-                },
-                expand: {
-                  type: 'string',
-                  description: 'Comma-delimited list of properties to expand',
-                },
-              },
-              required: ['id'],
-              additionalProperties: false,
-            },
+            type: 'text',
+            text: `Error adding project task: ${error.message}`,
           },
         ],
+        isError: true,
       };
-    });
+    }
+  }
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+  async removeProjectTask(args = {}) {
+    const { id, task } = args;
 
-      try {
-        switch (name) {
-          // Projects
-          case 'get_projects':
-            return await this.getProjects(args);
-          case 'get_project_by_id':
-            return await this.getProjectById(args);
-          case 'create_project':
-            return await this.createProject(args);
-          case 'update_project':
-            return await this.updateProject(args);
-          case 'delete_project':
-            return await this.deleteProject(args);
-          case 'get_project_insights':
-            return await this.getProjectInsights(args);
-          
-          // Users
-          case 'get_users':
-            return await this.getUsers(args);
-          case 'get_user_by_id':
-            return await this.getUserById(args);
-          case 'create_user':
-            return await this.createUser(args);
-          case 'update_user':
-            return await this.updateUser(args);
-          
-          // Time Entries
-          case 'get_time_entries':
-            return await this.getTimeEntries(args);
-          case 'get_time_entry_by_id':
-            return await this.getTimeEntryById(args);
-          
-          // Contacts
-          case 'get_contacts':
-            return await this.getContacts(args);
-          case 'get_contact_by_id':
-            return await this.getContactById(args);
-          case 'create_contact':
-            return await this.createContact(args);
-          case 'update_contact':
-            return await this.updateContact(args);
-          case 'delete_contact':
-            return await this.deleteContact(args);
-          
-          // Customers
-          case 'get_customers':
-            return await this.getCustomers(args);
-          case 'get_customer_by_id':
-            return await this.getCustomerById(args);
-          case 'create_customer':
-            return await this.createCustomer(args);
-          case 'update_customer':
-            return await this.updateCustomer(args);
-          case 'delete_customer':
-            return await this.deleteCustomer(args);
-          
-          // Tasks
-          case 'get_tasks':
-            return await this.getTasks(args);
-          case 'get_task_by_id':
-            return await this.getTaskById(args);
-          
-          // Invoices
-          case 'get_invoices':
-            return await this.getInvoices(args);
-          case 'get_invoice_by_id':
-            return await this.getInvoiceById(args);
-          
-          // Expenses
-          case 'get_expenses':
-            return await this.getExpenses(args);
-          case 'get_expense_by_id':
-            return await this.getExpenseById(args);
-          case 'create_expense':
-            return await this.createExpense(args);
-          case 'update_expense':
-            return await this.updateExpense(args);
-          case 'delete_expense':
-            return await this.deleteExpense(args);
-          case 'update_expense_status':
-            return await this.updateExpenseStatus(args);
-          case 'update_expense_client_status':
-            return await this.updateExpenseClientStatus(args);
-          case 'get_expense_status_history':
-            return await this.getExpenseStatusHistory(args);
-          
-          // Mileage
-          case 'get_mileage':
-            return await this.getMileage(args);
-          case 'get_mileage_by_id':
-            return await this.getMileageById(args);
-          case 'create_mileage':
-            return await this.createMileage(args);
-          case 'update_mileage':
-            return await this.updateMileage(args);
-          case 'delete_mileage':
-            return await this.deleteMileage(args);
-          case 'update_mileage_status':
-            return await this.updateMileageStatus(args);
-          case 'update_mileage_client_status':
-            return await this.updateMileageClientStatus(args);
-          case 'get_mileage_status_history':
-            return await this.getMileageStatusHistory(args);
-          case 'get_mileage_vehicles':
-            return await this.getMileageVehicles(args);
-          case 'get_mileage_vehicle_by_id':
-            return await this.getMileageVehicleById(args);
-          
-          // Tags
-          case 'get_tags':
-            return await this.getTags(args);
-          case 'get_tag_by_id':
-            return await this.getTagById(args);
-          
-          default:
-            throw new McpError(
-              ErrorCode.MethodNotFound,
-              `Unknown tool: ${name}`
-            );
-        }
-      } catch (error) {
-        if (error instanceof McpError) {
-          throw error;
+    try {
+      const data = await this.modifyProjectTasks(id, (projectTasks) => {
+        const remaining = projectTasks.filter((projectTask) => projectTask.task?.id !== task.id);
+        if (remaining.length === projectTasks.length) {
+          throw new Error(`Task ${task.id} is not linked to project ${id}`);
         }
-        throw new McpError(
-          ErrorCode.InternalError,
-          `Tool execution failed: ${error.message}`
-        );
-      }
-    });
+        return remaining;
+      });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(data, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error removing project task: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
   }
 
-  /**
-   * Build query parameters for OData requests
-   */
-  buildQueryParams(args = {}) {
-    const { top, skip, count, expand, filter, orderby } = args;
-    const params = new URLSearchParams();
-    
-    // Pagination parameters
-    if (top) params.append('$top', top.toString());
-    if (skip) params.append('$skip', skip.toString());
-    if (count !== undefined) params.append('$count', count.toString());
-    
-    // Expansion
-    if (expand) params.append('$expand', expand);
-    
-    // Ordering
-    if (orderby) params.append('$orderby', orderby);
-    
-    // Filtering
-    if (filter) params.append('$filter', filter);
-    
-    return params;
+  // Users
+  async getUsers(args = {}) {
+    return await this.handleGetRequest('/users', args);
   }
 
-  /**
-   * Build filter expression with common filters
-   */
-  buildFilterExpression(args = {}) {
-    const { active_only, user_id, project_id, customer_id, from_date, to_date, filter } = args;
-    let filterExpression = '';
-    
-    // Add active filter
-    if (active_only) {
-      filterExpression = 'active eq true';
-    }
-    
-    // Add user_id filter
-    if (user_id) {
-      const userFilter = `user/id eq ${user_id}`;
-      filterExpression = filterExpression ? `${filterExpression} and ${userFilter}` : userFilter;
-    }
-    
-    // Add project_id filter
-    if (project_id) {
-      const projectFilter = `project/id eq ${project_id}`;
-      filterExpression = filterExpression ? `${filterExpression} and ${projectFilter}` : projectFilter;
-    }
-    
-    // Add customer_id filter
-    if (customer_id) {
-      const customerFilter = `customer/id eq ${customer_id}`;
-      filterExpression = filterExpression ? `${filterExpression} and ${customerFilter}` : customerFilter;
-    }
-    
-    // Add date range filters
-    if (from_date) {
-      const dateFilter = `date ge ${from_date}`;
-      filterExpression = filterExpression ? `${filterExpression} and ${dateFilter}` : dateFilter;
-    }
-    
-    if (to_date) {
-      const dateFilter = `date le ${to_date}`;
-      filterExpression = filterExpression ? `${filterExpression} and ${dateFilter}` : dateFilter;
-    }
-    
-    // Add custom filter
-    if (filter) {
-      filterExpression = filterExpression ? `${filterExpression} and ${filter}` : filter;
-    }
-    
-    return filterExpression;
+  async getUserById(args = {}) {
+    const { id, expand, refresh } = args;
+    return await this.handleGetByIdRequest('/users', id, expand, refresh);
   }
 
-  /**
-   * Generic method to handle GET requests
-   */
-  async handleGetRequest(endpoint, args = {}, defaultOrderBy = null) {
-    const params = this.buildQueryParams(args);
-    const filterExpression = this.buildFilterExpression(args);
-    
-    // Add default ordering if no custom orderby is provided
-    if (defaultOrderBy && !args.orderby) {
-      params.append('$orderby', defaultOrderBy);
-    }
+  async createUser(args = {}) {
+    const { userName, displayName, language, role, sendInvitation, contracts } = args;
     
-    if (filterExpression) {
-      params.set('$filter', filterExpression);
-    }
+    const userData = {
+      userName,
+      displayName,
+      language,
+      role,
+      sendInvitation,
+      contracts,
+    };
 
-    const fullEndpoint = `${endpoint}${params.toString() ? `?${params.toString()}` : ''}`;
-    
     try {
-      const data = await this.makeRequest(fullEndpoint);
+      const data = await this.makeRequest('/users', {
+        method: 'POST',
+        body: JSON.stringify(userData),
+      });
       
       return {
         content: [
@@ -2904,7 +6250,7 @@ class TimechimpMCPServer {
         content: [
           {
             type: 'text',
-            text: `Error retrieving data from ${endpoint}: ${error.message}`,
+            text: `Error creating user: ${error.message}`,
           },
         ],
         isError: true,
@@ -2912,17 +6258,42 @@ class TimechimpMCPServer {
     }
   }
 
-  /**
-   * Generic method to handle GET by ID requests
-   */
-  async handleGetByIdRequest(endpoint, id, expand = null) {
-    const params = new URLSearchParams();
-    if (expand) params.append('$expand', expand);
-    
-    const fullEndpoint = `${endpoint}/${id}${params.toString() ? `?${params.toString()}` : ''}`;
+  async updateUser(args = {}) {
+    const { id, patch, displayName, language, employeeNumber, badgeNumber, citizenServiceNumber, role, tags, contracts } = args;
     
+    const userData = {
+      displayName,
+      language,
+      employeeNumber,
+      badgeNumber,
+      citizenServiceNumber,
+      role,
+      tags,
+      contracts,
+    };
+
+    if (!patch) {
+      const missing = this.missingFields(args, ['displayName']);
+      if (missing.length > 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error updating user: missing required fields ${missing.join(', ')} (set patch to true to only change the supplied fields)`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+
     try {
-      const data = await this.makeRequest(fullEndpoint);
+      const data = patch
+        ? await this.patchEntity('/users', id, userData)
+        : await this.makeRequest(`/users/${id}`, {
+          method: 'PUT',
+          body: JSON.stringify(userData),
+        });
       
       return {
         content: [
@@ -2937,7 +6308,7 @@ class TimechimpMCPServer {
         content: [
           {
             type: 'text',
-            text: `Error retrieving data from ${endpoint}/${id}: ${error.message}`,
+            text: `Error updating user: ${error.message}`,
           },
         ],
         isError: true,
@@ -2945,42 +6316,36 @@ class TimechimpMCPServer {
     }
   }
 
-  // Projects
-  async getProjects(args = {}) {
-    return await this.handleGetRequest('/projects', args);
+  // Time Entries
+  async getTimeEntries(args = {}) {
+    return await this.handleGetRequest('/times', args);
   }
 
-  async getProjectById(args = {}) {
+  async getTimeEntryById(args = {}) {
     const { id, expand } = args;
-    return await this.handleGetByIdRequest('/projects', id, expand);
+    return await this.handleGetByIdRequest('/times', id, expand);
   }
 
-  async createProject(args = {}) {
-    const { name, active, code, notes, color, startDate, endDate, invoicing, budget, customer, mainProject, subprojects, managers, tags, projectTasks, projectUsers } = args;
+  async createTimeEntry(args = {}) {
+    const { date, start, end, hours, notes, billable, user, project, task, tags } = args;
     
-    const projectData = {
-      name,
-      active,
-      code,
+    const timeEntryData = {
+      date: date || this.localDate(Number.isNaN(Date.parse(start)) ? undefined : start),
+      start,
+      end,
+      hours,
       notes,
-      color,
-      startDate,
-      endDate,
-      invoicing,
-      budget,
-      customer,
-      mainProject,
-      subprojects,
-      managers,
+      billable,
+      user,
+      project,
+      task,
       tags,
-      projectTasks,
-      projectUsers,
     };
 
     try {
-      const data = await this.makeRequest('/projects', {
+      const data = await this.makeRequest('/times', {
         method: 'POST',
-        body: JSON.stringify(projectData),
+        body: JSON.stringify(timeEntryData),
       });
       
       return {
@@ -2996,7 +6361,7 @@ class TimechimpMCPServer {
         content: [
           {
             type: 'text',
-            text: `Error creating project: ${error.message}`,
+            text: `Error creating time entry: ${error.message}`,
           },
         ],
         isError: true,
@@ -3004,39 +6369,70 @@ class TimechimpMCPServer {
     }
   }
 
-  async updateProject(args = {}) {
-    const { id, name, active, code, notes, color, startDate, endDate, invoicing, budget, customer, mainProject, subprojects, managers, tags, projectTasks, projectUsers } = args;
+  async updateTimeEntry(args = {}) {
+    const { id, date, start, end, hours, notes, billable, user, project, task, tags } = args;
     
-    const projectData = {
-      name,
-      active,
-      code,
+    const timeEntryData = {
+      date,
+      start,
+      end,
+      hours,
       notes,
-      color,
-      startDate,
-      endDate,
-      invoicing,
-      budget,
-      customer,
-      mainProject,
-      subprojects,
-      managers,
+      billable,
+      user,
+      project,
+      task,
       tags,
-      projectTasks,
-      projectUsers,
     };
 
     try {
-      const data = await this.makeRequest(`/projects/${id}`, {
-        method: 'PUT',
-        body: JSON.stringify(projectData),
+      // A PUT replaces the whole entry, so fields that are not supplied keep their current value.
+      // New start or end times without hours replace the hours they were derived from.
+      const data = await this.patchEntity('/times', id, (current) => {
+        if (hours !== undefined || (start === undefined && end === undefined)) return timeEntryData;
+        const duration = new Date(end || current.end) - new Date(start || current.start);
+        return Number.isNaN(duration) ? timeEntryData : { ...timeEntryData, hours: Math.round(duration / 36000) / 100 };
+      });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(data, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error updating time entry: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  async deleteTimeEntry(args = {}) {
+    const { id, confirmation_token } = args;
+
+    const confirmation = await this.requireConfirmation('delete_time_entry', '/times', id, confirmation_token);
+    if (confirmation) {
+      return confirmation;
+    }
+
+    try {
+      await this.makeRequest(`/times/${id}`, {
+        method: 'DELETE',
       });
       
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify(data, null, 2),
+            text: `Time entry ${id} deleted successfully`,
           },
         ],
       };
@@ -3045,7 +6441,7 @@ class TimechimpMCPServer {
         content: [
           {
             type: 'text',
-            text: `Error updating project: ${error.message}`,
+            text: `Error deleting time entry: ${error.message}`,
           },
         ],
         isError: true,
@@ -3053,19 +6449,26 @@ class TimechimpMCPServer {
     }
   }
 
-  async deleteProject(args = {}) {
-    const { id } = args;
+  async updateTimeEntryStatus(args = {}) {
+    const { message, times, status } = args;
+    
+    const timeEntryData = {
+      message,
+      times,
+      status,
+    };
 
     try {
-      await this.makeRequest(`/projects/${id}`, {
-        method: 'DELETE',
+      const data = await this.makeRequest('/times/status', {
+        method: 'PUT',
+        body: JSON.stringify(timeEntryData),
       });
       
       return {
         content: [
           {
             type: 'text',
-            text: `Project ${id} deleted successfully`,
+            text: JSON.stringify(data, null, 2),
           },
         ],
       };
@@ -3074,7 +6477,7 @@ class TimechimpMCPServer {
         content: [
           {
             type: 'text',
-            text: `Error deleting project: ${error.message}`,
+            text: `Error updating time entry status: ${error.message}`,
           },
         ],
         isError: true,
@@ -3082,11 +6485,20 @@ class TimechimpMCPServer {
     }
   }
 
-  async getProjectInsights(args = {}) {
-    const { id } = args;
+  async updateTimeEntryClientStatus(args = {}) {
+    const { clientStatus, message, times } = args;
     
+    const timeEntryData = {
+      clientStatus,
+      message,
+      times,
+    };
+
     try {
-      const data = await this.makeRequest(`/projects/${id}/insights`);
+      const data = await this.makeRequest('/times/clientStatus', {
+        method: 'PUT',
+        body: JSON.stringify(timeEntryData),
+      });
       
       return {
         content: [
@@ -3101,7 +6513,7 @@ class TimechimpMCPServer {
         content: [
           {
             type: 'text',
-            text: `Error retrieving project insights: ${error.message}`,
+            text: `Error updating time entry client status: ${error.message}`,
           },
         ],
         isError: true,
@@ -3109,39 +6521,96 @@ class TimechimpMCPServer {
     }
   }
 
-  // Users
-  async getUsers(args = {}) {
-    return await this.handleGetRequest('/users', args);
+  async getTimeEntryStatusHistory(args = {}) {
+    const { id, ...rest } = args;
+    return await this.handleGetRequest(`/times/${id}/statusHistory`, rest);
   }
 
-  async getUserById(args = {}) {
-    const { id, expand } = args;
-    return await this.handleGetByIdRequest('/users', id, expand);
+
+  // Timer
+  /**
+   * Each authenticated HTTP client and each profile keeps its own timer
+   */
+  timerPath() {
+    const { client, profile } = this.currentAccount();
+    const suffix = [client, profile].filter(Boolean).join('-');
+    return path.join(this.stateDir, suffix ? `timer-${suffix}.json` : 'timer.json');
   }
 
-  async createUser(args = {}) {
-    const { userName, displayName, language, role, sendInvitation, contracts } = args;
-    
-    const userData = {
-      userName,
-      displayName,
-      language,
-      role,
-      sendInvitation,
-      contracts,
+  async loadTimer() {
+    try {
+      return JSON.parse(await fs.readFile(this.timerPath(), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async saveTimer(timer) {
+    await fs.mkdir(this.stateDir, { recursive: true });
+    await fs.writeFile(this.timerPath(), JSON.stringify(timer, null, 2));
+  }
+
+  async clearTimer() {
+    await fs.rm(this.timerPath(), { force: true });
+  }
+
+  /**
+   * Run timer operations one at a time so concurrent tool calls cannot start two timers
+   */
+  withTimerLock(operation) {
+    const result = this.timerQueue.then(operation);
+    this.timerQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Describe a timer together with the time elapsed since it was started
+   */
+  describeTimer(timer, end = new Date()) {
+    const elapsedMs = end.getTime() - new Date(timer.start).getTime();
+    return {
+      ...timer,
+      elapsedMinutes: Math.floor(elapsedMs / 60000),
+      elapsedHours: Math.round((elapsedMs / 3600000) * 100) / 100,
     };
+  }
+
+  async startTimer(args = {}) {
+    const { notes, billable, user, project, task, tags } = args;
 
     try {
-      const data = await this.makeRequest('/users', {
-        method: 'POST',
-        body: JSON.stringify(userData),
-      });
+      const running = await this.loadTimer();
+      if (running) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `A timer is already running since ${running.start}. Stop it before starting a new one.`,
+            },
+          ],
+          isError: true,
+        };
+      }
+
+      const timer = {
+        start: new Date().toISOString(),
+        notes,
+        billable,
+        user,
+        project,
+        task,
+        tags,
+      };
+      await this.saveTimer(timer);
       
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify(data, null, 2),
+            text: JSON.stringify(timer, null, 2),
           },
         ],
       };
@@ -3150,7 +6619,7 @@ class TimechimpMCPServer {
         content: [
           {
             type: 'text',
-            text: `Error creating user: ${error.message}`,
+            text: `Error starting timer: ${error.message}`,
           },
         ],
         isError: true,
@@ -3158,25 +6627,69 @@ class TimechimpMCPServer {
     }
   }
 
-  async updateUser(args = {}) {
-    const { id, displayName, language, employeeNumber, badgeNumber, citizenServiceNumber, role, tags, contracts } = args;
-    
-    const userData = {
-      displayName,
-      language,
-      employeeNumber,
-      badgeNumber,
-      citizenServiceNumber,
-      role,
-      tags,
-      contracts,
-    };
+  async stopTimer(args = {}) {
+    const { notes, discard } = args;
 
     try {
-      const data = await this.makeRequest(`/users/${id}`, {
-        method: 'PUT',
-        body: JSON.stringify(userData),
+      const timer = await this.loadTimer();
+      if (!timer) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: 'No timer is running',
+            },
+          ],
+          isError: true,
+        };
+      }
+
+      if (discard) {
+        if (this.isDryRun()) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Dry run: timer started at ${timer.start} would be discarded`,
+              },
+            ],
+          };
+        }
+        await this.clearTimer();
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Timer started at ${timer.start} discarded`,
+            },
+          ],
+        };
+      }
+
+      // The end time and the hours come from the same moment, so they always agree
+      const now = new Date();
+      const { start, elapsedHours } = this.describeTimer(timer, now);
+      const timeEntryData = {
+        date: this.localDate(start),
+        start,
+        end: now.toISOString(),
+        hours: elapsedHours,
+        notes: notes !== undefined ? notes : timer.notes,
+        billable: timer.billable,
+        user: timer.user,
+        project: timer.project,
+        task: timer.task,
+        tags: timer.tags,
+      };
+
+      // The timer is only cleared once the time entry exists, so a failed request can be retried
+      const data = await this.makeRequest('/times', {
+        method: 'POST',
+        body: JSON.stringify(timeEntryData),
       });
+      if (!this.isDryRun()) {
+        await this.clearTimer();
+      }
       
       return {
         content: [
@@ -3191,7 +6704,7 @@ class TimechimpMCPServer {
         content: [
           {
             type: 'text',
-            text: `Error updating user: ${error.message}`,
+            text: `Error stopping timer: ${error.message}`,
           },
         ],
         isError: true,
@@ -3199,14 +6712,29 @@ class TimechimpMCPServer {
     }
   }
 
-  // Time Entries
-  async getTimeEntries(args = {}) {
-    return await this.handleGetRequest('/times', args);
-  }
-
-  async getTimeEntryById(args = {}) {
-    const { id, expand } = args;
-    return await this.handleGetByIdRequest('/times', id, expand);
+  async currentTimer() {
+    try {
+      const timer = await this.loadTimer();
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: timer ? JSON.stringify(this.describeTimer(timer), null, 2) : 'No timer is running',
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error retrieving timer: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
   }
 
   // Contacts
@@ -3300,7 +6828,12 @@ class TimechimpMCPServer {
   }
 
   async deleteContact(args = {}) {
-    const { id } = args;
+    const { id, confirmation_token } = args;
+
+    const confirmation = await this.requireConfirmation('delete_contact', '/contacts', id, confirmation_token);
+    if (confirmation) {
+      return confirmation;
+    }
 
     try {
       await this.makeRequest(`/contacts/${id}`, {
@@ -3334,8 +6867,8 @@ class TimechimpMCPServer {
   }
 
   async getCustomerById(args = {}) {
-    const { id, expand } = args;
-    return await this.handleGetByIdRequest('/customers', id, expand);
+    const { id, expand, refresh } = args;
+    return await this.handleGetByIdRequest('/customers', id, expand, refresh);
   }
 
   async createCustomer(args = {}) {
@@ -3365,9 +6898,161 @@ class TimechimpMCPServer {
     };
 
     try {
-      const data = await this.makeRequest('/customers', {
+      const data = await this.makeRequest('/customers', {
+        method: 'POST',
+        body: JSON.stringify(customerData),
+      });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(data, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error creating customer: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  async updateCustomer(args = {}) {
+    const { id, patch, name, active, relationId, address, phone, email, website, paymentPeriod, hourlyRate, mileageRate, iban, bic, vatNumber, kvkNumber, invoiceAddress, notes, prospect, vatRate, tags, contacts } = args;
+    
+    const customerData = {
+      name,
+      active,
+      relationId,
+      address,
+      phone,
+      email,
+      website,
+      paymentPeriod,
+      hourlyRate,
+      mileageRate,
+      iban,
+      bic,
+      vatNumber,
+      kvkNumber,
+      invoiceAddress,
+      notes,
+      prospect,
+      vatRate,
+      tags,
+      contacts,
+    };
+
+    if (!patch) {
+      const missing = this.missingFields(args, ['name']);
+      if (missing.length > 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error updating customer: missing required fields ${missing.join(', ')} (set patch to true to only change the supplied fields)`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+
+    try {
+      const data = patch
+        ? await this.patchEntity('/customers', id, customerData)
+        : await this.makeRequest(`/customers/${id}`, {
+          method: 'PUT',
+          body: JSON.stringify(customerData),
+        });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(data, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error updating customer: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  async deleteCustomer(args = {}) {
+    const { id, confirmation_token } = args;
+
+    const confirmation = await this.requireConfirmation('delete_customer', '/customers', id, confirmation_token);
+    if (confirmation) {
+      return confirmation;
+    }
+
+    try {
+      await this.makeRequest(`/customers/${id}`, {
+        method: 'DELETE',
+      });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Customer ${id} deleted successfully`,
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error deleting customer: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  // Tasks
+  async getTasks(args = {}) {
+    return await this.handleGetRequest('/tasks', args);
+  }
+
+  async getTaskById(args = {}) {
+    const { id, expand, refresh } = args;
+    return await this.handleGetByIdRequest('/tasks', id, expand, refresh);
+  }
+
+  async createTask(args = {}) {
+    const { name, code, active, billable, hourlyRate } = args;
+    
+    const taskData = {
+      name,
+      code,
+      active,
+      billable,
+      hourlyRate,
+    };
+
+    try {
+      const data = await this.makeRequest('/tasks', {
         method: 'POST',
-        body: JSON.stringify(customerData),
+        body: JSON.stringify(taskData),
       });
       
       return {
@@ -3383,7 +7068,7 @@ class TimechimpMCPServer {
         content: [
           {
             type: 'text',
-            text: `Error creating customer: ${error.message}`,
+            text: `Error creating task: ${error.message}`,
           },
         ],
         isError: true,
@@ -3391,37 +7076,20 @@ class TimechimpMCPServer {
     }
   }
 
-  async updateCustomer(args = {}) {
-    const { id, name, active, relationId, address, phone, email, website, paymentPeriod, hourlyRate, mileageRate, iban, bic, vatNumber, kvkNumber, invoiceAddress, notes, prospect, vatRate, tags, contacts } = args;
+  async updateTask(args = {}) {
+    const { id, name, code, active, billable, hourlyRate } = args;
     
-    const customerData = {
+    const taskData = {
       name,
+      code,
       active,
-      relationId,
-      address,
-      phone,
-      email,
-      website,
-      paymentPeriod,
+      billable,
       hourlyRate,
-      mileageRate,
-      iban,
-      bic,
-      vatNumber,
-      kvkNumber,
-      invoiceAddress,
-      notes,
-      prospect,
-      vatRate,
-      tags,
-      contacts,
     };
 
     try {
-      const data = await this.makeRequest(`/customers/${id}`, {
-        method: 'PUT',
-        body: JSON.stringify(customerData),
-      });
+      // A PUT replaces the whole task, so fields that are not supplied keep their current value
+      const data = await this.patchEntity('/tasks', id, taskData);
       
       return {
         content: [
@@ -3436,7 +7104,7 @@ class TimechimpMCPServer {
         content: [
           {
             type: 'text',
-            text: `Error updating customer: ${error.message}`,
+            text: `Error updating task: ${error.message}`,
           },
         ],
         isError: true,
@@ -3444,11 +7112,16 @@ class TimechimpMCPServer {
     }
   }
 
-  async deleteCustomer(args = {}) {
-    const { id } = args;
+  async deleteTask(args = {}) {
+    const { id, confirmation_token } = args;
+
+    const confirmation = await this.requireConfirmation('delete_task', '/tasks', id, confirmation_token);
+    if (confirmation) {
+      return confirmation;
+    }
 
     try {
-      await this.makeRequest(`/customers/${id}`, {
+      await this.makeRequest(`/tasks/${id}`, {
         method: 'DELETE',
       });
       
@@ -3456,7 +7129,7 @@ class TimechimpMCPServer {
         content: [
           {
             type: 'text',
-            text: `Customer ${id} deleted successfully`,
+            text: `Task ${id} deleted successfully`,
           },
         ],
       };
@@ -3465,7 +7138,7 @@ class TimechimpMCPServer {
         content: [
           {
             type: 'text',
-            text: `Error deleting customer: ${error.message}`,
+            text: `Error deleting task: ${error.message}`,
           },
         ],
         isError: true,
@@ -3473,16 +7146,6 @@ class TimechimpMCPServer {
     }
   }
 
-  // Tasks
-  async getTasks(args = {}) {
-    return await this.handleGetRequest('/tasks', args);
-  }
-
-  async getTaskById(args = {}) {
-    const { id, expand } = args;
-    return await this.handleGetByIdRequest('/tasks', id, expand);
-  }
-
   // Invoices
   async getInvoices(args = {}) {
     return await this.handleGetRequest('/invoices', args);
@@ -3602,7 +7265,12 @@ class TimechimpMCPServer {
   }
 
   async deleteMileage(args = {}) {
-    const { id } = args;
+    const { id, confirmation_token } = args;
+
+    const confirmation = await this.requireConfirmation('delete_mileage', '/mileage', id, confirmation_token);
+    if (confirmation) {
+      return confirmation;
+    }
 
     try {
       await this.makeRequest(`/mileage/${id}`, {
@@ -3703,49 +7371,18 @@ class TimechimpMCPServer {
   }
 
   async getMileageStatusHistory(args = {}) {
-    const { id, top, skip, count, expand, filter, orderby } = args;
-    
-    const params = new URLSearchParams();
-    if (top) params.append('$top', top.toString());
-    if (skip) params.append('$skip', skip.toString());
-    if (count !== undefined) params.append('$count', count.toString());
-    if (expand) params.append('$expand', expand);
-    if (filter) params.append('$filter', filter);
-    if (orderby) params.append('$orderby', orderby);
-    
-    const fullEndpoint = `/mileage/${id}/statusHistory${params.toString() ? `?${params.toString()}` : ''}`;
-    
-    try {
-      const data = await this.makeRequest(fullEndpoint);
-      
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify(data, null, 2),
-          },
-        ],
-      };
-    } catch (error) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Error retrieving mileage status history: ${error.message}`,
-          },
-        ],
-        isError: true,
-      };
-    }
+    const { id, ...rest } = args;
+    return await this.handleGetRequest(`/mileage/${id}/statusHistory`, rest);
   }
 
+
   async getMileageVehicles(args = {}) {
     return await this.handleGetRequest('/mileageVehicles', args);
   }
 
   async getMileageVehicleById(args = {}) {
-    const { id, expand } = args;
-    return await this.handleGetByIdRequest('/mileageVehicles', id, expand);
+    const { id, expand, refresh } = args;
+    return await this.handleGetByIdRequest('/mileageVehicles', id, expand, refresh);
   }
 
   // Tags
@@ -3754,8 +7391,8 @@ class TimechimpMCPServer {
   }
 
   async getTagById(args = {}) {
-    const { id, expand } = args;
-    return await this.handleGetByIdRequest('/tags', id, expand);
+    const { id, expand, refresh } = args;
+    return await this.handleGetByIdRequest('/tags', id, expand, refresh);
   }
 
   async createExpense(args = {}) {
@@ -3845,7 +7482,12 @@ class TimechimpMCPServer {
   }
 
   async deleteExpense(args = {}) {
-    const { id } = args;
+    const { id, confirmation_token } = args;
+
+    const confirmation = await this.requireConfirmation('delete_expense', '/expenses', id, confirmation_token);
+    if (confirmation) {
+      return confirmation;
+    }
 
     try {
       await this.makeRequest(`/expenses/${id}`, {
@@ -3946,35 +7588,240 @@ class TimechimpMCPServer {
   }
 
   async getExpenseStatusHistory(args = {}) {
-    const { id, top, skip, count, expand, filter, orderby } = args;
-    
-    const params = new URLSearchParams();
-    if (top) params.append('$top', top.toString());
-    if (skip) params.append('$skip', skip.toString());
-    if (count !== undefined) params.append('$count', count.toString());
-    if (expand) params.append('$expand', expand);
-    if (filter) params.append('$filter', filter);
-    if (orderby) params.append('$orderby', orderby);
-    
-    const fullEndpoint = `/expenses/${id}/statusHistory${params.toString() ? `?${params.toString()}` : ''}`;
+    const { id, ...rest } = args;
+    return await this.handleGetRequest(`/expenses/${id}/statusHistory`, rest);
+  }
+
+
+  // Profiles
+  async listProfiles() {
+    const { profile: active } = this.currentAccount();
+    const profiles = Object.entries(this.profiles).map(([name, profile]) => ({
+      name,
+      baseUrl: profile.baseUrl || this.baseUrl,
+      default: name === this.defaultProfile,
+      active: name === active,
+      defaults: Object.keys(profile.defaults || {}),
+    }));
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: profiles.length > 0
+            ? JSON.stringify(profiles, null, 2)
+            : 'No profiles configured. Set TIMECHIMP_PROFILES_FILE to use several TimeChimp accounts.',
+        },
+      ],
+    };
+  }
+
+  async switchProfile(args = {}, session = {}) {
+    const { name } = args;
+
+    if (!this.profiles[name]) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error switching profile: unknown profile ${name}. Available profiles: ${Object.keys(this.profiles).join(', ') || 'none'}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+
+    if (session.client && typeof session.client.apiKey !== 'string' && !session.client.apiKey[name]) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error switching profile: client ${session.client.name} has no API key for profile ${name}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+
+    session.profile = name;
     
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Switched to profile ${name}`,
+        },
+      ],
+    };
+  }
+
+  // Diagnostics
+  async getDiagnostics() {
+    const diagnostics = {
+      rateLimiter: this.rateLimiter.status(),
+      cache: this.cache ? this.cache.status() : null,
+      fixtures: this.fixtures ? this.fixtures.status() : null,
+    };
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(diagnostics, null, 2),
+        },
+      ],
+    };
+  }
+
+  // Audit
+  async getAuditLog(args = {}) {
+    const { from_date, to_date, tool, entity, id, client, limit = 100 } = args;
+
+    if (!this.auditFile) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error reading audit log: the audit log is disabled (TIMECHIMP_AUDIT=false)',
+          },
+        ],
+        isError: true,
+      };
+    }
+
     try {
-      const data = await this.makeRequest(fullEndpoint);
-      
+      let text = '';
+      try {
+        text = await fs.readFile(this.auditFile, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      // Unless configured otherwise, clients only see the entries of their own client and profile
+      const { session = {} } = this.requestContext.getStore() || {};
+      const { client: caller, profile } = this.currentAccount();
+      const scope = (session.client && session.client.auditScope) || this.auditScope;
+      const entries = this.parseJsonLines(text)
+        .filter((entry) => scope === 'all' || (entry.client === (caller || null) && entry.profile === (profile || null)))
+        .filter((entry) => !from_date || entry.timestamp.slice(0, 10) >= from_date)
+        .filter((entry) => !to_date || entry.timestamp.slice(0, 10) <= to_date)
+        .filter((entry) => !tool || entry.tool === tool)
+        .filter((entry) => !entity || entry.entity === entity)
+        .filter((entry) => id === undefined || entry.ids.includes(id))
+        .filter((entry) => !client || entry.client === client)
+        .reverse();
+
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify(data, null, 2),
+            text: JSON.stringify({
+              file: this.auditFile,
+              scope,
+              total: entries.length,
+              entries: entries.slice(0, limit),
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error reading audit log: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  // Undo
+  async undoLastChange(args = {}) {
+    const { entity, id } = args;
+
+    try {
+      const { client, profile } = this.currentAccount();
+      const { changes, restored } = await this.readJournal();
+      const undoable = changes
+        .filter((entry) => !entry.restores && !restored.has(entry.id))
+        .filter((entry) => entry.client === (client || null) && entry.profile === (profile || null));
+      const change = undoable
+        .filter((entry) => !entity || entry.entity === entity)
+        .filter((entry) => id === undefined || entry.entityId === id)
+        .pop();
+
+      if (!change) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: 'Error undoing change: no change to undo in the undo journal',
+            },
+          ],
+          isError: true,
+        };
+      }
+
+      // A bulk status change is undone for all of its entries that were not restored yet
+      const batch = change.batch ? undoable.filter((entry) => entry.batch === change.batch) : [change];
+      return await this.restoreChange(change, batch);
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error undoing change: ${error.message}`,
           },
         ],
+        isError: true,
       };
+    }
+  }
+
+  async restoreEntity(args = {}) {
+    const { entity, id, change_id } = args;
+
+    try {
+      const { client, profile } = this.currentAccount();
+      const { changes, restored } = await this.readJournal();
+      const change = changes
+        .filter((entry) => entry.client === (client || null) && entry.profile === (profile || null))
+        .filter((entry) => entry.entity === entity && entry.entityId === id)
+        .filter((entry) => (change_id ? entry.id === change_id : !entry.restores))
+        .pop();
+
+      if (!change) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error restoring entity: no stored version of ${entity} ${id}${change_id ? ` for change ${change_id}` : ''} in the undo journal`,
+            },
+          ],
+          isError: true,
+        };
+      }
+      if (restored.has(change.id)) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error restoring entity: change ${change.id} to ${entity} ${id} was already restored`,
+            },
+          ],
+          isError: true,
+        };
+      }
+
+      return await this.restoreChange(change);
     } catch (error) {
       return {
         content: [
           {
             type: 'text',
-            text: `Error retrieving expense status history: ${error.message}`,
+            text: `Error restoring entity: ${error.message}`,
           },
         ],
         isError: true,
@@ -3982,27 +7829,233 @@ class TimechimpMCPServer {
     }
   }
 
+  /**
+   * Put back the previous version stored for a change: PUT it over an update, re-create a deleted
+   * entity, or set the previous status of each entry of a bulk status change (batch)
+   */
+  async restoreChange(change, batch = [change]) {
+    const { entity, entityId, previous } = change;
+    const store = this.requestContext.getStore();
+    store.restores = change.id;
+
+    let data;
+    if (change.field) {
+      // Entries that had the same status are put back with one request
+      const statusChange = this.matchStatusChange(`/${entity}/${change.field}`);
+      const byStatus = new Map();
+      for (const entry of batch) {
+        const status = entry.previous[change.field];
+        byStatus.set(status, [...(byStatus.get(status) || []), { id: entry.entityId }]);
+      }
+      data = [];
+      for (const [status, items] of byStatus) {
+        data.push(await this.makeRequest(`/${entity}/${change.field}`, {
+          method: 'PUT',
+          body: JSON.stringify({
+            [statusChange.items]: items,
+            [change.field]: status,
+            message: `Restored from the undo journal (change ${change.id})`,
+          }),
+        }));
+      }
+    } else if (change.method === 'DELETE') {
+      const { id, ...entityData } = previous;
+      data = await this.makeRequest(`/${entity}`, {
+        method: 'POST',
+        body: JSON.stringify(entityData),
+      });
+    } else {
+      data = await this.makeRequest(`/${entity}/${entityId}`, {
+        method: 'PUT',
+        body: JSON.stringify(previous),
+      });
+    }
+
+    if (!this.isDryRun()) {
+      const { client, profile } = this.currentAccount();
+      for (const entry of batch) {
+        await this.writeJournal({
+          timestamp: new Date().toISOString(),
+          tool: store.tool,
+          client: client || null,
+          profile: profile || null,
+          restored: entry.id,
+        });
+      }
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            restored: {
+              change: change.id,
+              tool: change.tool,
+              timestamp: change.timestamp,
+              entity,
+              id: entityId,
+              ...(change.field && { field: change.field, ids: batch.map((entry) => entry.entityId) }),
+              ...(change.method === 'DELETE' && { recreatedId: data && data.id }),
+            },
+            result: data,
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
   async run() {
+    await this.loadPlugins(process.env.TIMECHIMP_PLUGINS);
+
+    if (this.transport === 'http') {
+      await this.runHttp();
+      return;
+    }
+
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
     console.error('TimeChimp MCP server running on stdio');
   }
+
+  /**
+   * Load the bearer tokens for the HTTP server from a JSON file of the form
+   * { "clients": [{ "name": "alice", "token": "...", "apiKey": "..." }] }.
+   * With profiles, apiKey may instead map profile names to API keys.
+   */
+  async loadAuthClients(file) {
+    const { clients } = JSON.parse(await fs.readFile(file, 'utf8'));
+    if (!Array.isArray(clients) || clients.length === 0) {
+      throw new Error(`${file} must contain a non-empty "clients" array`);
+    }
+
+    const names = new Set();
+    for (const client of clients) {
+      if (!client.name || !client.token || !client.apiKey) {
+        throw new Error(`Every client in ${file} needs a name, token and apiKey`);
+      }
+      if (client.mode) {
+        this.parseMode(client.mode, `Mode of client ${client.name} in ${file}`);
+      }
+      if (client.auditScope) {
+        this.parseAuditScope(client.auditScope, `Audit scope of client ${client.name} in ${file}`);
+      }
+      // A per-profile map only resolves for profiles that exist; catch mistakes here rather than on every call
+      for (const field of ['apiKey', 'userId']) {
+        if (!client[field] || typeof client[field] !== 'object') continue;
+        if (Object.keys(this.profiles).length === 0) {
+          throw new Error(`Client ${client.name} in ${file} maps its ${field} to profiles, but no profiles are configured (set TIMECHIMP_PROFILES_FILE or give a single ${field})`);
+        }
+        const unknown = Object.keys(client[field]).filter((profile) => !this.profiles[profile]);
+        if (unknown.length > 0) {
+          throw new Error(`The ${field} of client ${client.name} in ${file} names unknown profiles: ${unknown.join(', ')}. Available profiles: ${Object.keys(this.profiles).join(', ')}`);
+        }
+      }
+      if (!/^[\w.-]+$/.test(client.name) || names.has(client.name)) {
+        throw new Error(`Client name "${client.name}" in ${file} must be unique and only contain letters, digits, ".", "_" and "-"`);
+      }
+      names.add(client.name);
+    }
+    return clients;
+  }
+
+  /**
+   * Find the client whose token matches the request's bearer token
+   */
+  authenticate(clients, req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) return null;
+
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    const token = digest(match[1].trim());
+    return clients.find((client) => crypto.timingSafeEqual(digest(client.token), token)) || null;
+  }
+
+  /**
+   * Serve the tools over HTTP with the MCP SSE transport: clients open an event stream with
+   * GET /sse and send messages with POST /messages?sessionId=...
+   */
+  async runHttp() {
+    const sessions = new Map();
+    const clients = this.authFile ? await this.loadAuthClients(this.authFile) : null;
+    if (!clients && !['127.0.0.1', 'localhost', '::1'].includes(this.httpHost)) {
+      console.error('Warning: TIMECHIMP_AUTH_FILE is not set, so anyone who can reach this server can use TIMECHIMP_API_KEY');
+    }
+
+    const httpServer = http.createServer(async (req, res) => {
+      const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+      try {
+        if (req.method === 'GET' && url.pathname === '/sse') {
+          const client = clients ? this.authenticate(clients, req) : null;
+          if (clients && !client) {
+            res.writeHead(401, { 'WWW-Authenticate': 'Bearer' }).end('Unauthorized');
+            return;
+          }
+
+          const transport = new SSEServerTransport('/messages', res);
+          sessions.set(transport.sessionId, { transport, client });
+          res.on('close', () => sessions.delete(transport.sessionId));
+          await this.createServer(client ? { client } : {}).connect(transport);
+          return;
+        }
+
+        if (req.method === 'POST' && url.pathname === '/messages') {
+          const session = sessions.get(url.searchParams.get('sessionId'));
+          if (!session) {
+            res.writeHead(404).end('Unknown session');
+            return;
+          }
+          // Messages must be sent with the same token that opened the session
+          if (clients && this.authenticate(clients, req) !== session.client) {
+            res.writeHead(401, { 'WWW-Authenticate': 'Bearer' }).end('Unauthorized');
+            return;
+          }
+          await session.transport.handlePostMessage(req, res);
+          return;
+        }
+
+        if (req.method === 'GET' && url.pathname === '/health') {
+          res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ status: 'ok', sessions: sessions.size }));
+          return;
+        }
+
+        res.writeHead(404).end('Not found');
+      } catch (error) {
+        console.error('HTTP request failed:', error);
+        if (!res.headersSent) {
+          res.writeHead(500).end(error.message);
+        }
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      httpServer.once('error', reject);
+      httpServer.listen(this.httpPort, this.httpHost, resolve);
+    });
+    console.error(`TimeChimp MCP server running on http://${this.httpHost}:${this.httpPort}/sse`);
+  }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', async () => {
-  console.error('Shutting down TimeChimp MCP server...');
-  process.exit(0);
-});
-
-process.on('SIGTERM', async () => {
-  console.error('Shutting down TimeChimp MCP server...');
-  process.exit(0);
-});
-
-// Start the server
-const server = new TimechimpMCPServer();
-server.run().catch((error) => {
-  console.error('Failed to run server:', error);
-  process.exit(1);
-}); 
\ No newline at end of file
+export { TimechimpMCPServer };
+
+// Start the server when run directly rather than imported to register extra tools
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+  // Handle graceful shutdown
+  process.on('SIGINT', async () => {
+    console.error('Shutting down TimeChimp MCP server...');
+    process.exit(0);
+  });
+
+  process.on('SIGTERM', async () => {
+    console.error('Shutting down TimeChimp MCP server...');
+    process.exit(0);
+  });
+
+  // Start the server
+  const server = new TimechimpMCPServer();
+  server.run().catch((error) => {
+    console.error('Failed to run server:', error);
+    process.exit(1);
+  });
+}
\ No newline at end of file